@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Local bridge between the browser app and OSC hardware:
+//   net-viz-bridge --osc-port 9000 --osc-out 192.168.1.50:9001
+// See "Remote Bridge" in the README for the messages.
+
+import { parseArgs } from 'node:util';
+import { startBridge } from '../src/remote/bridge.js';
+import { BRIDGE_DEFAULTS } from '../src/remote/protocol.js';
+
+const USAGE = `Usage: net-viz-bridge [options]
+
+Options:
+  --host <addr>        interface the WebSocket server listens on (default ${BRIDGE_DEFAULTS.host};
+                       0.0.0.0 for every one)
+  --ws-port <n>        WebSocket port the app connects to (default ${BRIDGE_DEFAULTS.wsPort})
+  --allow-origin <url>  browser origin allowed besides localhost, e.g.
+                       http://192.168.1.20:5173 (repeatable)
+  --osc-host <addr>    interface to receive OSC on (default ${BRIDGE_DEFAULTS.oscHost})
+  --osc-port <n>       UDP port to receive OSC on (default ${BRIDGE_DEFAULTS.oscPort})
+  --osc-out <host:port>  where to send output OSC (default ${BRIDGE_DEFAULTS.oscOutHost}:${BRIDGE_DEFAULTS.oscOutPort})
+  --prefix <path>      OSC address prefix (default ${BRIDGE_DEFAULTS.prefix})
+  -h, --help           show this help`;
+
+async function main() {
+  const { values: opts } = parseArgs({
+    options: {
+      host:           { type: 'string' },
+      'ws-port':      { type: 'string' },
+      'allow-origin': { type: 'string', multiple: true },
+      'osc-host':     { type: 'string' },
+      'osc-port':     { type: 'string' },
+      'osc-out':      { type: 'string' },
+      prefix:         { type: 'string' },
+      help:           { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const options = {};
+  if (opts.host !== undefined) options.host = opts.host;
+  if (opts['allow-origin'] !== undefined) options.allowOrigins = opts['allow-origin'];
+  if (opts['osc-host'] !== undefined) options.oscHost = opts['osc-host'];
+  if (opts['ws-port'] !== undefined) options.wsPort = port(opts['ws-port'], '--ws-port');
+  if (opts['osc-port'] !== undefined) options.oscPort = port(opts['osc-port'], '--osc-port');
+  if (opts['osc-out'] !== undefined) {
+    const match = /^(.+):(\d+)$/.exec(opts['osc-out']);
+    if (!match) throw new Error('--osc-out must be host:port');
+    options.oscOutHost = match[1];
+    options.oscOutPort = port(match[2], '--osc-out');
+  }
+  if (opts.prefix !== undefined) options.prefix = '/' + opts.prefix.replace(/^\/+|\/+$/g, '');
+
+  const bridge = await startBridge(options, message => console.error(`net-viz-bridge: ${message}`));
+  const stop = async () => {
+    await bridge.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+function port(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 65535) throw new Error(`${name} must be a port number`);
+  return n;
+}
+
+main().catch((err) => {
+  console.error(`net-viz-bridge: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// Stand-in for the installation's hardware, to check the bridge and app
+// without it: sends sine-wave input vectors (and optional rewards) as OSC
+// to the bridge, and prints the outputs the app streams back.
+//   net-viz-bridge &  net-viz-loopback --size 8 --reward-every 5
+
+import { createSocket } from 'node:dgram';
+import { parseArgs } from 'node:util';
+import { decodePacket, encodeMessage } from '../src/remote/osc.js';
+import { BRIDGE_DEFAULTS, OSC_PATHS } from '../src/remote/protocol.js';
+
+const USAGE = `Usage: net-viz-loopback [options]
+
+Options:
+  --size <n>           input values per vector (default 4)
+  --hz <n>             vectors sent per second (default 20)
+  --to <host:port>     the bridge's OSC port (default 127.0.0.1:${BRIDGE_DEFAULTS.oscPort})
+  --listen <n>         UDP port to receive outputs on (default ${BRIDGE_DEFAULTS.oscOutPort})
+  --prefix <path>      OSC address prefix (default ${BRIDGE_DEFAULTS.prefix})
+  --reward-every <s>   send /reward every s seconds (default off)
+  --seconds <s>        stop after s seconds; exits 1 if no outputs came back (default: run until Ctrl-C)
+  -h, --help           show this help`;
+
+function main() {
+  const { values: opts } = parseArgs({
+    options: {
+      size:           { type: 'string', default: '4' },
+      hz:             { type: 'string', default: '20' },
+      to:             { type: 'string', default: `127.0.0.1:${BRIDGE_DEFAULTS.oscPort}` },
+      listen:         { type: 'string', default: String(BRIDGE_DEFAULTS.oscOutPort) },
+      prefix:         { type: 'string', default: BRIDGE_DEFAULTS.prefix },
+      'reward-every': { type: 'string' },
+      seconds:        { type: 'string' },
+      help:           { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const size = Math.floor(positive(opts.size, '--size'));
+  const hz = positive(opts.hz, '--hz');
+  const match = /^(.+):(\d+)$/.exec(opts.to);
+  if (!match) throw new Error('--to must be host:port');
+  const [, host, toPort] = match;
+  const prefix = '/' + opts.prefix.replace(/^\/+|\/+$/g, '');
+  const rewardEvery = opts['reward-every'] !== undefined ? positive(opts['reward-every'], '--reward-every') : 0;
+
+  const udp = createSocket('udp4');
+  const send = (name, values) => udp.send(encodeMessage(prefix + OSC_PATHS[name], values), Number(toPort), host);
+
+  let sent = 0;
+  let received = 0;
+  let latest = null;
+  const layers = new Set();
+  udp.on('message', (data) => {
+    try {
+      for (const { address, args } of decodePacket(data)) {
+        if (address === prefix + OSC_PATHS.outputs) {
+          received++;
+          latest = args;
+        } else if (address.startsWith(prefix + OSC_PATHS.layer + '/')) {
+          layers.add(address.slice(prefix.length + OSC_PATHS.layer.length + 1));
+        }
+      }
+    } catch (err) {
+      console.error(`net-viz-loopback: bad packet: ${err.message}`);
+    }
+  });
+  udp.bind(Math.floor(positive(opts.listen, '--listen')));
+
+  const started = Date.now();
+  let lastReward = 0;
+  const timer = setInterval(() => {
+    const t = (Date.now() - started) / 1000;
+    // Each input its own frequency, like the app's sine stimulus
+    send('inputs', Array.from({ length: size }, (_, i) => 0.5 + 0.5 * Math.sin(2 * Math.PI * (0.3 + 0.25 * i) * t)));
+    sent++;
+    if (rewardEvery && t - lastReward >= rewardEvery) {
+      send('reward', [1]);
+      lastReward = t;
+      console.log('→ reward');
+    }
+  }, 1000 / hz);
+
+  const report = setInterval(() => {
+    const outputs = latest ? latest.map(v => Number(v).toFixed(2)).join(' ') : '—';
+    const extra = layers.size ? `, layers ${[...layers].sort().join(',')}` : '';
+    console.log(`sent ${sent} vectors, received ${received} output vectors${extra}; latest: ${outputs}`);
+  }, 1000);
+
+  const stop = () => {
+    clearInterval(timer);
+    clearInterval(report);
+    udp.close();
+    if (opts.seconds !== undefined && received === 0) {
+      console.error('net-viz-loopback: no outputs came back — is the app connected to the bridge and streaming?');
+      process.exit(1);
+    }
+    process.exit(0);
+  };
+  if (opts.seconds !== undefined) setTimeout(stop, positive(opts.seconds, '--seconds') * 1000);
+  process.on('SIGINT', stop);
+}
+
+function positive(value, name) {
+  const n = Number(value);
+  if (!(n > 0)) throw new Error(`${name} must be a positive number`);
+  return n;
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`net-viz-loopback: ${err.message}`);
+  process.exit(1);
+}
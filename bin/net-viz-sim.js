@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// Headless simulation runner:
+//   net-viz-sim config.json --ticks 10000 --out trace.csv
+// See "Headless Runner" in the README for the config format.
+
+import { readFileSync, writeFileSync, openSync, writeSync, closeSync } from 'node:fs';
+import { basename, dirname, resolve, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createSession, runSession, HEADLESS_DEFAULTS } from '../src/sim/headless.js';
+import { decodeWAV } from '../src/stimulus/wav.js';
+
+const USAGE = `Usage: net-viz-sim <config.json> [options]
+
+Options:
+  --ticks <n>        ticks to run (default ${HEADLESS_DEFAULTS.ticks}, or config.ticks)
+  --tick-hz <n>      simulated ticks per second (default ${HEADLESS_DEFAULTS.tickHz})
+  --seed <seed>      override config.seed
+  --out <file>       trace output (default stdout)
+  --format <fmt>     csv | ndjson (default from --out extension, else csv)
+  --every <n>        write every nth tick (default 1)
+  --weights          include weights in the trace
+  --snapshot <file>  final network snapshot (default <out>.snapshot.json when --out is set)
+  -h, --help         show this help`;
+
+// Float32 values round-trip with 7 significant digits
+const num = v => Number(v.toPrecision(7));
+
+const layerName = (l, n) => (l === 0 ? 'in' : l === n - 1 ? 'out' : `h${l}`);
+
+const TRACE_FORMATS = {
+  csv: {
+    header(network, withWeights) {
+      const cols = ['tick', 'time', 'reward', 'loss'];
+      network.layerConfigs.forEach((cfg, l) => {
+        for (let i = 0; i < cfg.size; i++) cols.push(`${layerName(l, network.numLayers)}_${i}`);
+      });
+      if (withWeights) {
+        network.weights.forEach((w, l) => {
+          const outN = network.layerConfigs[l + 1].size;
+          for (let k = 0; k < w.length; k++) cols.push(`w${l}_${Math.floor(k / outN)}_${k % outN}`);
+        });
+        network.recurrent.forEach((r, p) => {
+          for (let k = 0; k < r.weights.length; k++) cols.push(`r${p}_${k}`);
+        });
+        network.skips.forEach((s, p) => {
+          for (let k = 0; k < s.weights.length; k++) cols.push(`s${p}_${k}`);
+        });
+      }
+      return cols.join(',') + '\n';
+    },
+    row(network, s, withWeights) {
+      const vals = [s.tick, num(s.time), num(s.reward), s.loss === null ? '' : num(s.loss)];
+      for (const a of network.activations) for (const v of a) vals.push(num(v));
+      if (withWeights) {
+        for (const w of network.weights) for (const v of w) vals.push(num(v));
+        for (const r of network.recurrent) for (const v of r.weights) vals.push(num(v));
+        for (const sk of network.skips) for (const v of sk.weights) vals.push(num(v));
+      }
+      return vals.join(',') + '\n';
+    },
+  },
+  ndjson: {
+    header: () => '',
+    row(network, s, withWeights) {
+      const row = {
+        tick: s.tick,
+        time: num(s.time),
+        reward: num(s.reward),
+        loss: s.loss === null ? null : num(s.loss),
+        inputs: s.inputs.map(num),
+        ...(s.targets && { targets: s.targets.map(num) }),
+        activations: network.activations.map(a => Array.from(a, num)),
+      };
+      if (withWeights) {
+        row.weights = network.weights.map(w => Array.from(w, num));
+        row.recurrent = network.recurrent.map(r => Array.from(r.weights, num));
+        row.skips = network.skips.map(sk => Array.from(sk.weights, num));
+      }
+      return JSON.stringify(row) + '\n';
+    },
+  },
+};
+
+function main() {
+  const { values: opts, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      ticks:      { type: 'string' },
+      'tick-hz':  { type: 'string' },
+      seed:       { type: 'string' },
+      out:        { type: 'string' },
+      format:     { type: 'string' },
+      every:      { type: 'string' },
+      weights:    { type: 'boolean', default: false },
+      snapshot:   { type: 'string' },
+      help:       { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (opts.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exit(opts.help ? 0 : 1);
+  }
+
+  const configPath = resolve(positionals[0]);
+  const config = JSON.parse(readFileSync(configPath, 'utf8'));
+  if (typeof config.snapshot === 'string') {
+    config.snapshot = JSON.parse(readFileSync(resolve(dirname(configPath), config.snapshot), 'utf8'));
+  }
+  // Audio and dataset stimulus read files next to the config
+  const { audioFile, datasetFile, ...stimulus } = config.stimulus ?? {};
+  const nearConfig = file => resolve(dirname(configPath), file);
+  if (typeof audioFile === 'string') stimulus.audioBuffer = decodeWAV(readFileSync(nearConfig(audioFile)));
+  if (typeof datasetFile === 'string') {
+    stimulus.datasetText = readFileSync(nearConfig(datasetFile), 'utf8');
+    stimulus.datasetName = basename(datasetFile);
+  }
+  if (config.stimulus) config.stimulus = stimulus;
+  if (opts.seed !== undefined) config.seed = opts.seed;
+
+  const ticks = positiveInt(opts.ticks ?? config.ticks ?? HEADLESS_DEFAULTS.ticks, '--ticks');
+  const tickHz = positiveInt(opts['tick-hz'] ?? config.tickHz ?? HEADLESS_DEFAULTS.tickHz, '--tick-hz');
+  const every = positiveInt(opts.every ?? 1, '--every');
+  const formatName = opts.format ?? (/^\.(nd)?jsonl?$/.test(extname(opts.out ?? '')) ? 'ndjson' : 'csv');
+  const format = TRACE_FORMATS[formatName];
+  if (!format) throw new Error(`Unknown format: ${formatName} (csv or ndjson)`);
+  const snapshotPath = opts.snapshot
+    ?? (opts.out ? opts.out.slice(0, opts.out.length - extname(opts.out).length) + '.snapshot.json' : null);
+
+  const session = createSession(config);
+  const { network } = session;
+  const fd = opts.out ? openSync(opts.out, 'w') : process.stdout.fd;
+  const started = Date.now();
+
+  try {
+    writeSync(fd, format.header(network, opts.weights));
+    runSession(session, {
+      ticks,
+      tickHz,
+      rewards: config.rewards,
+      learningRate: config.learningRate,
+      onTick(s) {
+        if (s.tick % every === 0 || s.tick === ticks - 1) writeSync(fd, format.row(network, s, opts.weights));
+      },
+    });
+  } finally {
+    if (opts.out) closeSync(fd);
+  }
+
+  if (snapshotPath) writeFileSync(snapshotPath, JSON.stringify(network.toJSON()));
+
+  const secs = ((Date.now() - started) / 1000).toFixed(2);
+  const outputs = [opts.out, snapshotPath].filter(Boolean).join(', ');
+  console.error(`net-viz-sim: ${ticks} ticks in ${secs}s${outputs ? ` → ${outputs}` : ''}`);
+}
+
+function positiveInt(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive integer`);
+  return n;
+}
+
+try {
+  main();
+} catch (err) {
+  // Output piped into e.g. `head` that stopped reading
+  if (err.code === 'EPIPE') process.exit(0);
+  console.error(`net-viz-sim: ${err.message}`);
+  process.exit(1);
+}
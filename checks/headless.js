@@ -0,0 +1,185 @@
+// The headless runner, its CLI, and the learning rules it exercises.
+//   npm run check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSession, runSession, rewardSchedule } from '../src/sim/headless.js';
+import { LEARNING_RULES } from '../src/network/learningRules.js';
+import { NeuralNetwork } from '../src/network/NeuralNetwork.js';
+
+const CLI = new URL('../bin/net-viz-sim.js', import.meta.url).pathname;
+const EXAMPLE = new URL('../examples/sim-config.json', import.meta.url).pathname;
+
+const LAYERS = [
+  { size: 3, activation: 'sigmoid' },
+  { size: 4, activation: 'tanh', recurrent: true },
+  { size: 2, activation: 'sigmoid' },
+];
+
+/** One tick of a rule's trace from a zero trace, for 2 → 2 weights. */
+function trace(rule, { pre, post, prevPre = [0, 0], prevPost = [0, 0], w = [0, 0, 0, 0] }) {
+  const def = LEARNING_RULES[rule];
+  const elig = new Float32Array(4);
+  const ctx = {
+    elig, w: Float32Array.from(w), pre, post, prevPre, prevPost, inN: 2, outN: 2, state: def.createState(2, 2),
+  };
+  def.trace(ctx, def.defaults);
+  return Array.from(elig);
+}
+
+test('rewardSchedule expands one-shot and repeating events', () => {
+  const at = rewardSchedule([
+    { tick: 3, reward: 1 },
+    { every: 4, start: 2, end: 10, reward: -0.5, learningRate: 0.2 },
+  ], 0.01);
+  assert.deepEqual(at(0), []);
+  assert.deepEqual(at(2), [{ reward: -0.5, learningRate: 0.2 }]);
+  assert.deepEqual(at(3), [{ reward: 1, learningRate: 0.01 }]);
+  assert.deepEqual(at(6), [{ reward: -0.5, learningRate: 0.2 }]);
+  assert.deepEqual(at(14), []);
+});
+
+test('rewardSchedule rejects malformed events', () => {
+  assert.throws(() => rewardSchedule([{ tick: 1 }]), /numeric `reward`/);
+  assert.throws(() => rewardSchedule([{ reward: 1 }]), /`tick` or a positive `every`/);
+  assert.throws(() => rewardSchedule([{ every: 0, reward: 1 }]), /`tick` or a positive `every`/);
+});
+
+test('createSession rejects configs that do not fit the network', () => {
+  assert.throws(() => createSession({ layers: [{ size: 2 }] }), /at least input and output/);
+  assert.throws(() => createSession({ layers: LAYERS, plasticity: [{}, {}, {}] }), /3 entries but the network has 2/);
+  assert.throws(() => createSession({ layers: LAYERS, plasticity: [{ rule: 'nope' }] }), /Unknown learning rule/);
+  assert.throws(() => createSession({ layers: LAYERS, stimulus: { audio: { volume: 1 } } }), /Unknown audio setting/);
+  assert.throws(() => createSession({ layers: LAYERS, homeostasis: { nope: {} } }), /Unknown homeostasis mechanism/);
+});
+
+test('runSession ticks at the given rate and reports scheduled rewards', () => {
+  const session = createSession({ seed: 1, layers: LAYERS, stimulus: { mode: 'noise' } });
+  const ticks = [];
+  runSession(session, { ticks: 10, tickHz: 20, rewards: [{ tick: 4, reward: 2 }], onTick: s => ticks.push(s) });
+  assert.deepEqual(ticks.map(s => s.tick), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.ok(Math.abs(ticks[9].time - 0.5) < 1e-9);
+  assert.deepEqual(ticks.map(s => s.reward), [0, 0, 0, 0, 2, 0, 0, 0, 0, 0]);
+  assert.equal(ticks[0].targets, null);
+  assert.equal(ticks[0].loss, null);
+});
+
+test('weights move only when a reward arrives', () => {
+  const config = { seed: 2, layers: LAYERS, stimulus: { mode: 'noise' } };
+  const still = createSession(config);
+  const before = still.network.toJSON().weights;
+  runSession(still, { ticks: 50 });
+  assert.deepEqual(still.network.toJSON().weights, before);
+
+  const rewarded = createSession(config);
+  runSession(rewarded, { ticks: 50, rewards: [{ tick: 49, reward: 1, learningRate: 0.1 }] });
+  assert.notDeepEqual(rewarded.network.toJSON().weights, before);
+});
+
+test('a dataset that stopped at its end without Loop plays again after a reset', () => {
+  const session = createSession({
+    seed: 4, layers: LAYERS,
+    stimulus: { mode: 'dataset', datasetText: 'a,b,c\n0,0.5,1\n1,0.5,0\n0.5,0,1\n', dataset: { rate: 24, loop: false } },
+  });
+  const { stimulus } = session;
+  runSession(session, { ticks: 10 });
+  assert.equal(stimulus.datasetSource.playing, false);
+  stimulus.reset();
+  assert.equal(stimulus.datasetSource.playing, true);
+  const rows = [];
+  runSession(session, { ticks: 3, onTick: () => rows.push(stimulus.datasetSource.row) });
+  assert.deepEqual(rows, [1, 2, 2]);
+});
+
+test('Normalize Incoming keeps feedforward and recurrent norms through a reward', () => {
+  const session = createSession({
+    seed: 3, layers: LAYERS, stimulus: { mode: 'noise' }, plasticity: [{ rule: 'hebbian', params: { normalize: true } }],
+  });
+  const { network } = session;
+  const matrices = [network.weights[0], network.recurrent[0].weights];
+  const before = matrices.map(w => Float32Array.from(w));
+  const norms = () => matrices.flatMap(w => Array.from(network._incomingNorms(w, 4)));
+  const normsBefore = norms();
+  runSession(session, { ticks: 20, rewards: [{ tick: 19, reward: 1, learningRate: 0.5 }] });
+  matrices.forEach((w, m) => assert.notDeepEqual(w, before[m]));
+  norms().forEach((n, j) => assert.ok(Math.abs(n - normsBefore[j]) < 1e-4, `norm ${j}: ${n} vs ${normsBefore[j]}`));
+});
+
+test('loadJSON keeps the running activity through an edit, unless asked to start from rest', () => {
+  const session = createSession({ seed: 5, layers: LAYERS, stimulus: { mode: 'noise' }, plasticity: [{ rule: 'bcm' }] });
+  const { network } = session;
+  runSession(session, { ticks: 10 });
+  const hidden = Float32Array.from(network.activations[1]);
+  const theta = Float32Array.from(network._ruleState[0].theta);
+  const edited = network.toJSON();
+  edited.biases[1][0] += 0.1;
+
+  network.loadJSON(edited, { keepLive: true });
+  assert.deepEqual(network.activations[1], hidden);
+  assert.deepEqual(network._ruleState[0].theta, theta);
+  assert.equal(network.biases[1][0], Math.fround(edited.biases[1][0]));
+
+  network.loadJSON(edited);
+  assert.ok(network.activations[1].every(a => a === 0));
+  assert.notDeepEqual(network._ruleState[0].theta, theta);
+});
+
+test('Hebbian and anti-Hebbian traces are pre · post with opposite signs', () => {
+  const act = { pre: [1, 0.5], post: [0.2, 1] };
+  // Traces are Float32Arrays
+  assert.deepEqual(trace('hebbian', act), [0.2, 1, 0.1, 0.5].map(Math.fround));
+  assert.deepEqual(trace('antiHebbian', act), [-0.2, -1, -0.1, -0.5].map(Math.fround));
+});
+
+test("Oja's rule forgets in proportion to post² · w", () => {
+  const hebb = trace('hebbian', { pre: [1, 1], post: [1, 1] });
+  const oja = trace('oja', { pre: [1, 1], post: [1, 1], w: [0.5, 0, 0, 2] });
+  assert.deepEqual(oja, hebb.map((h, k) => h - [0.5, 0, 0, 2][k]));
+});
+
+test('BCM depresses below its threshold and potentiates above it', () => {
+  // θ starts at 0.25: post 0.1 is below it, post 1 above
+  const [low, high] = trace('bcm', { pre: [1, 0], post: [0.1, 1] });
+  assert.ok(low < 0);
+  assert.ok(high > 0);
+});
+
+test('STDP potentiates pre-then-post and depresses post-then-pre', () => {
+  const causal = trace('stdp', { prevPre: [1, 0], pre: [0, 0], post: [1, 0] });
+  const acausal = trace('stdp', { prevPost: [1, 0], pre: [1, 0], post: [0, 0] });
+  assert.ok(causal[0] > 0);
+  assert.ok(acausal[0] < 0);
+});
+
+test('the CLI writes a CSV trace and a snapshot that loads back', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'net-viz-check-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const out = join(dir, 'trace.csv');
+  const run = spawnSync(process.execPath, [CLI, EXAMPLE, '--ticks', '6', '--out', out], { encoding: 'utf8' });
+  assert.equal(run.status, 0, run.stderr);
+
+  const [header, ...rows] = readFileSync(out, 'utf8').trim().split('\n');
+  assert.deepEqual(header.split(',').slice(0, 5), ['tick', 'time', 'reward', 'loss', 'in_0']);
+  assert.deepEqual(rows.map(r => Number(r.split(',')[0])), [0, 1, 2, 3, 4, 5]);
+  const snapshot = JSON.parse(readFileSync(join(dir, 'trace.snapshot.json'), 'utf8'));
+  assert.deepEqual(NeuralNetwork.fromJSON(snapshot).layerConfigs.map(l => l.size), [4, 10, 4]);
+});
+
+test('the CLI writes every nth tick as NDJSON, and the last one', () => {
+  const run = spawnSync(process.execPath, [CLI, EXAMPLE, '--ticks', '6', '--every', '4', '--format', 'ndjson'], {
+    encoding: 'utf8',
+  });
+  assert.equal(run.status, 0, run.stderr);
+  const rows = run.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(rows.map(r => r.tick), [0, 4, 5]);
+  assert.equal(rows[0].inputs.length, 4);
+});
+
+test('the CLI reports bad options without a stack trace', () => {
+  const run = spawnSync(process.execPath, [CLI, EXAMPLE, '--ticks', '0'], { encoding: 'utf8' });
+  assert.equal(run.status, 1);
+  assert.equal(run.stderr.trim(), 'net-viz-sim: --ticks must be a positive integer');
+});
@@ -0,0 +1,66 @@
+import { ACTIVATIONS, hasActivation } from '../network/activations.js';
+
+// Keras activations without a built-in counterpart, written as custom
+// activation expressions so imported models run unchanged.
+export const KERAS_EXTRA_ACTIVATIONS = {
+  softplus:     { expression: 'log(1 + exp(x))', vizMin: 0, vizMax: 4 },
+  softsign:     { expression: 'x / (1 + abs(x))', vizMin: -1, vizMax: 1 },
+  elu:          { expression: 'max(x, 0) + min(exp(x) - 1, 0)', vizMin: -1, vizMax: 3 },
+  selu:         { expression: '1.0507 * (max(x, 0) + 1.67326 * min(exp(x) - 1, 0))', vizMin: -1.8, vizMax: 3 },
+  swish:        { expression: 'x * sigmoid(x)', vizMin: -0.3, vizMax: 3 },
+  silu:         { expression: 'x * sigmoid(x)', vizMin: -0.3, vizMax: 3 },
+  hard_sigmoid: { expression: 'max(0, min(1, 0.2 * x + 0.5))', vizMin: 0, vizMax: 1 },
+};
+
+const BUILTIN = new Set(['sigmoid', 'relu', 'tanh', 'linear']);
+
+/**
+ * Map a model's activation name onto one this app can run.
+ * Extra Keras activations are added to `customs` for the snapshot to register;
+ * already-registered custom activations are used as-is.
+ * @param {string|null|undefined} name
+ * @param {string} where   layer description for error messages
+ * @param {object} customs snapshot customActivations being collected
+ * @param {string[]} problems collected unsupported-feature messages
+ * @returns {string}
+ */
+export function resolveActivation(name, where, customs, problems) {
+  if (!name || name === 'linear') return 'linear';
+  if (BUILTIN.has(name)) return name;
+  const extra = Object.hasOwn(KERAS_EXTRA_ACTIVATIONS, name) ? KERAS_EXTRA_ACTIVATIONS[name] : null;
+  if (extra) {
+    customs[name] = { ...extra };
+    return name;
+  }
+  const registered = hasActivation(name) ? ACTIVATIONS[name].custom : null;
+  if (registered) {
+    customs[name] = { ...registered };
+    return name;
+  }
+  problems.push(`${where}: activation '${name}'`);
+  return 'linear';
+}
+
+/** Throw one error listing every unsupported feature found. */
+export function reportUnsupported(problems, what) {
+  if (!problems.length) return;
+  const list = [...new Set(problems)];
+  throw new Error(`${what} uses unsupported features — ${list.join('; ')}`);
+}
+
+/**
+ * Check a network is a plain dense MLP that other frameworks can represent.
+ * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+ * @param {(name: string) => boolean} canExport activation names the format supports
+ * @param {string} format
+ */
+export function checkExportable(network, canExport, format) {
+  const problems = [];
+  network.layerConfigs.forEach((l, i) => {
+    if (i > 0 && !canExport(l.activation)) problems.push(`layer ${i}: activation '${l.activation}'`);
+    if (l.type !== 'dense') problems.push(`layer ${i}: ${l.type} layer`);
+  });
+  if (network.recurrent.length) problems.push('recurrent projections');
+  if (network.skips.length) problems.push('skip projections');
+  reportUnsupported(problems, `${format} export`);
+}
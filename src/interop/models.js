@@ -0,0 +1,24 @@
+// File-level entry points for the model importers/exporters
+import { importTFJSModel, exportTFJSModel } from './tfjs.js';
+import { importONNXModel, exportONNXModel } from './onnx.js';
+
+export { importTFJSModel, exportTFJSModel, importONNXModel, exportONNXModel };
+
+/**
+ * Import a pretrained model from user-selected files: a single .onnx file, or
+ * a TF.js model.json together with its .bin weight shards.
+ * @param {File[]} files
+ * @returns {Promise<{snapshot: object, name: string}>}
+ */
+export async function importModelFiles(files) {
+  const onnx = files.find(f => /\.onnx$/i.test(f.name));
+  if (onnx) return { snapshot: importONNXModel(await onnx.arrayBuffer()), name: onnx.name };
+
+  const json = files.find(f => /\.json$/i.test(f.name));
+  if (!json) throw new Error('Select an .onnx file, or model.json with its .bin weight files');
+  const shards = new Map();
+  for (const f of files) {
+    if (f !== json) shards.set(f.name, await f.arrayBuffer());
+  }
+  return { snapshot: importTFJSModel(JSON.parse(await json.text()), shards), name: json.name };
+}
@@ -0,0 +1,281 @@
+// ONNX models (ModelProto) restricted to small MLPs: a single chain of
+// Gemm / MatMul(+Add) layers with element-wise activations, as exported by
+// torch.onnx for nn.Sequential(Linear, ReLU, …) or by tf2onnx for Dense stacks.
+
+import { SNAPSHOT_VERSION } from '../network/NeuralNetwork.js';
+import { resolveActivation, reportUnsupported, checkExportable } from './activations.js';
+import { decodeMessage, all, one, text, ints, floats, doubles, float, ProtoWriter } from './protobuf.js';
+
+// ONNX op → activation name, with the attribute values our definitions assume
+const ACTIVATION_OPS = {
+  Relu:        { name: 'relu' },
+  Sigmoid:     { name: 'sigmoid' },
+  Tanh:        { name: 'tanh' },
+  Softplus:    { name: 'softplus' },
+  Softsign:    { name: 'softsign' },
+  Elu:         { name: 'elu', attrs: { alpha: 1 } },
+  Selu:        { name: 'selu', attrs: { alpha: 1.67326, gamma: 1.0507 } },
+  HardSigmoid: { name: 'hard_sigmoid', attrs: { alpha: 0.2, beta: 0.5 } },
+};
+
+// Identities at inference time; Flatten/Reshape only before the first layer
+const PASSTHROUGH_OPS = new Set(['Identity', 'Dropout']);
+const INPUT_SHAPING_OPS = new Set(['Flatten', 'Reshape']);
+
+const TENSOR_FLOAT = 1;
+const TENSOR_DOUBLE = 11;
+
+/**
+ * Convert an ONNX MLP into a network snapshot for loadJSON().
+ * @param {ArrayBuffer|Uint8Array} buffer .onnx file contents
+ * @returns {object} snapshot
+ * @throws {Error} listing unsupported ops, or if the graph isn't a single chain
+ */
+export function importONNXModel(buffer) {
+  const model = decodeMessage(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+  const graphBytes = one(model, 7);
+  if (!graphBytes) throw new Error('Not an ONNX model: no graph found');
+  const graph = decodeMessage(graphBytes);
+
+  const problems = [];
+  const customs = {};
+  const constants = new Map();
+  for (const t of all(graph, 5)) {
+    const tensor = readTensor(decodeMessage(t), problems);
+    constants.set(tensor.name, tensor);
+  }
+
+  const inputs = all(graph, 11).map(v => readValueInfo(decodeMessage(v))).filter(v => !constants.has(v.name));
+  const outputs = all(graph, 12).map(v => readValueInfo(decodeMessage(v)));
+  if (inputs.length !== 1) problems.push(`${inputs.length} graph inputs (expected one)`);
+  if (outputs.length !== 1) problems.push(`${outputs.length} graph outputs (expected one)`);
+
+  const layerConfigs = [];
+  const weights = [];
+  const biases = [];
+  let current = inputs[0]?.name;
+  let lastOp = null;
+
+  const startLayer = (where, inN, outN) => {
+    if (!layerConfigs.length) {
+      layerConfigs.push({ size: inN, activation: 'linear' });
+    } else if (layerConfigs[layerConfigs.length - 1].size !== inN) {
+      problems.push(`${where}: expects ${inN} inputs but the previous layer has ${layerConfigs[layerConfigs.length - 1].size}`);
+      return false;
+    }
+    layerConfigs.push({ size: outN, activation: 'linear' });
+    return true;
+  };
+
+  for (const bytes of all(graph, 1)) {
+    const node = readNode(decodeMessage(bytes));
+    const where = `${node.op} '${node.name || node.outputs[0]}'`;
+
+    if (node.op === 'Constant') {
+      const value = node.attrs.value;
+      if (value) constants.set(node.outputs[0], { ...value, name: node.outputs[0] });
+      else problems.push(`${where} without a tensor value`);
+      continue;
+    }
+    if (!node.inputs.includes(current)) {
+      problems.push(`${where} is not part of a single chain`);
+      continue;
+    }
+    const dataSide = node.inputs.indexOf(current);
+    const other = node.inputs.filter((name, k) => k !== dataSide && name);
+
+    if (PASSTHROUGH_OPS.has(node.op) || (INPUT_SHAPING_OPS.has(node.op) && !weights.length)) {
+      // pass through
+    } else if (node.op === 'Gemm') {
+      const a = { alpha: 1, beta: 1, transA: 0, transB: 0, ...node.attrs };
+      const w = constants.get(node.inputs[1]);
+      if (a.transA || dataSide !== 0 || !w || w.dims.length !== 2) {
+        problems.push(`${where}: only x·W(+C) with a constant W is supported`);
+      } else {
+        // Gemm's W is [in, out], or [out, in] with transB
+        const [inN, outN] = a.transB ? [w.dims[1], w.dims[0]] : w.dims;
+        if (startLayer(where, inN, outN)) {
+          const m = new Array(inN * outN);
+          for (let i = 0; i < inN; i++) {
+            for (let j = 0; j < outN; j++) {
+              m[i * outN + j] = a.alpha * (a.transB ? w.values[j * inN + i] : w.values[i * outN + j]);
+            }
+          }
+          weights.push(m);
+          const c = constants.get(node.inputs[2]);
+          biases.push(biasValues(c, outN, a.beta, where, problems));
+        }
+      }
+    } else if (node.op === 'MatMul') {
+      const w = constants.get(other[0]);
+      if (dataSide !== 0 || !w || w.dims.length !== 2) {
+        problems.push(`${where}: only x·W with a constant W is supported`);
+      } else if (startLayer(where, w.dims[0], w.dims[1])) {
+        weights.push(Array.from(w.values));
+        biases.push(new Array(w.dims[1]).fill(0));
+      }
+    } else if (node.op === 'Add' && lastOp === 'MatMul') {
+      const outN = layerConfigs[layerConfigs.length - 1].size;
+      biases[biases.length - 1] = biasValues(constants.get(other[0]), outN, 1, where, problems);
+    } else if (ACTIVATION_OPS[node.op]) {
+      const { name, attrs = {} } = ACTIVATION_OPS[node.op];
+      const last = layerConfigs[layerConfigs.length - 1];
+      const mismatch = Object.entries(attrs).find(([k, v]) => k in node.attrs && Math.abs(node.attrs[k] - v) > 1e-4);
+      if (!weights.length || last.activation !== 'linear') {
+        problems.push(`${where} not directly after a linear layer`);
+      } else if (mismatch) {
+        problems.push(`${where} with ${mismatch[0]}=${node.attrs[mismatch[0]]}`);
+      } else {
+        last.activation = resolveActivation(name, where, customs, problems);
+      }
+    } else {
+      problems.push(`${where} op`);
+    }
+    lastOp = node.op;
+    current = node.outputs[0];
+  }
+
+  if (outputs.length === 1 && current !== outputs[0].name) problems.push('graph output is not the end of the layer chain');
+  if (!weights.length && !problems.length) problems.push('no Gemm or MatMul layers');
+  reportUnsupported(problems, 'ONNX model');
+
+  return { version: SNAPSHOT_VERSION, customActivations: customs, layerConfigs, weights, biases };
+}
+
+function biasValues(tensor, outN, scale, where, problems) {
+  if (!tensor) return new Array(outN).fill(0);
+  if (tensor.values.length !== outN) {
+    problems.push(`${where}: bias must have one value per output (broadcast shapes aren't supported)`);
+    return new Array(outN).fill(0);
+  }
+  return Array.from(tensor.values, v => v * scale);
+}
+
+// TensorProto: dims 1, data_type 2, float_data 4, name 8, raw_data 9, double_data 10
+function readTensor(msg, problems) {
+  const name = text(one(msg, 8));
+  const dims = ints(msg, 1);
+  const type = one(msg, 2);
+  const raw = one(msg, 9);
+  let values;
+  if (type === TENSOR_FLOAT) {
+    values = raw
+      ? Float32Array.from({ length: raw.byteLength / 4 }, (_, k) => new DataView(raw.buffer, raw.byteOffset).getFloat32(k * 4, true))
+      : Float32Array.from(floats(msg, 4));
+  } else if (type === TENSOR_DOUBLE) {
+    values = raw
+      ? Float32Array.from({ length: raw.byteLength / 8 }, (_, k) => new DataView(raw.buffer, raw.byteOffset).getFloat64(k * 8, true))
+      : Float32Array.from(doubles(msg, 10));
+  } else {
+    // Integer tensors (e.g. Reshape shapes) are fine as long as no layer needs them
+    values = new Float32Array(0);
+    if (dims.length === 2) problems.push(`tensor '${name}': data type ${type} (only float weights are supported)`);
+  }
+  return { name, dims, values };
+}
+
+// NodeProto: input 1, output 2, name 3, op_type 4, attribute 5
+function readNode(msg) {
+  const attrs = {};
+  for (const bytes of all(msg, 5)) {
+    // AttributeProto: name 1, f 2, i 3, s 4, t 5
+    const a = decodeMessage(bytes);
+    const name = text(one(a, 1));
+    if (one(a, 2) !== undefined) attrs[name] = float(a, 2);
+    else if (one(a, 3) !== undefined) attrs[name] = one(a, 3);
+    else if (one(a, 5) !== undefined) attrs[name] = readTensor(decodeMessage(one(a, 5)), []);
+    else if (one(a, 4) !== undefined) attrs[name] = text(one(a, 4));
+  }
+  return {
+    inputs: all(msg, 1).map(text),
+    outputs: all(msg, 2).map(text),
+    name: text(one(msg, 3)),
+    op: text(one(msg, 4)),
+    attrs,
+  };
+}
+
+// ValueInfoProto: name 1 — shapes aren't needed, weight dims carry the sizes
+function readValueInfo(msg) {
+  return { name: text(one(msg, 1)) };
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+const EXPORT_OPS = Object.fromEntries(Object.entries(ACTIVATION_OPS).map(([op, { name }]) => [name, op]));
+const canExport = name => name === 'linear' || name in EXPORT_OPS;
+
+const IR_VERSION = 8;
+const OPSET = 13;
+
+/**
+ * Write the network as an ONNX graph of Gemm + activation nodes.
+ * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+ * @returns {Uint8Array} .onnx file contents
+ * @throws {Error} if the network has features the graph can't express
+ */
+export function exportONNXModel(network) {
+  checkExportable(network, canExport, 'ONNX');
+
+  const { layerConfigs } = network;
+  const sizes = layerConfigs.map(l => l.size);
+  const model = new ProtoWriter();
+  model.int(1, IR_VERSION);
+  model.string(2, 'net-viz');
+
+  model.message(7, graph => {
+    let current = 'input';
+    network.weights.forEach((w, l) => {
+      const [inN, outN] = [sizes[l], sizes[l + 1]];
+      const wName = `dense_${l + 1}.weight`;
+      const bName = `dense_${l + 1}.bias`;
+      const gemmOut = `dense_${l + 1}`;
+      const act = EXPORT_OPS[layerConfigs[l + 1].activation];
+      const last = l === network.weights.length - 1;
+      const out = last && !act ? 'output' : gemmOut;
+
+      graph.message(1, node => {
+        node.string(1, current).string(1, wName).string(1, bName);
+        node.string(2, out).string(3, `Gemm_${l + 1}`).string(4, 'Gemm');
+      });
+      current = out;
+      if (act) {
+        const actOut = last ? 'output' : `${gemmOut}_${act.toLowerCase()}`;
+        graph.message(1, node => {
+          node.string(1, current).string(2, actOut).string(3, `${act}_${l + 1}`).string(4, act);
+        });
+        current = actOut;
+      }
+      graph.message(5, tensor => writeTensor(tensor, wName, [inN, outN], w));
+      graph.message(5, tensor => writeTensor(tensor, bName, [outN], network.biases[l]));
+    });
+    graph.string(2, 'net_viz');
+    graph.message(11, v => writeValueInfo(v, 'input', sizes[0]));
+    graph.message(12, v => writeValueInfo(v, 'output', sizes[sizes.length - 1]));
+  });
+
+  model.message(8, opset => opset.string(1, '').int(2, OPSET));
+  return model.finish();
+}
+
+function writeTensor(tensor, name, dims, values) {
+  for (const d of dims) tensor.int(1, d);
+  tensor.int(2, TENSOR_FLOAT);
+  tensor.string(8, name);
+  const raw = new Uint8Array(values.length * 4);
+  const view = new DataView(raw.buffer);
+  for (let k = 0; k < values.length; k++) view.setFloat32(k * 4, values[k], true);
+  tensor.bytes(9, raw);
+}
+
+// ValueInfoProto.type → TypeProto.tensor_type → { elem_type, shape: [batch, n] }
+function writeValueInfo(v, name, size) {
+  v.string(1, name);
+  v.message(2, type => type.message(1, tensorType => {
+    tensorType.int(1, TENSOR_FLOAT);
+    tensorType.message(2, shape => {
+      shape.message(1, dim => dim.string(2, 'batch'));
+      shape.message(1, dim => dim.int(1, size));
+    });
+  }));
+}
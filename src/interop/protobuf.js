@@ -0,0 +1,181 @@
+// Just enough protocol-buffers wire format to read and write ONNX models.
+// Messages decode to a list of { field, wire, value } entries; callers pick
+// fields by number, since ONNX's schema is small and fixed.
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_BYTES = 2;
+const WIRE_FIXED32 = 5;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Array<{field: number, wire: number, value: number|Uint8Array}>}
+ */
+export function decodeMessage(bytes) {
+  const out = [];
+  let pos = 0;
+  while (pos < bytes.length) {
+    let key;
+    [key, pos] = readVarint(bytes, pos);
+    const field = Math.floor(key / 8);
+    const wire = key & 7;
+    let value;
+    switch (wire) {
+      case WIRE_VARINT:
+        [value, pos] = readVarint(bytes, pos);
+        break;
+      case WIRE_FIXED64:
+        value = bytes.subarray(pos, pos + 8);
+        pos += 8;
+        break;
+      case WIRE_BYTES: {
+        let len;
+        [len, pos] = readVarint(bytes, pos);
+        value = bytes.subarray(pos, pos + len);
+        pos += len;
+        break;
+      }
+      case WIRE_FIXED32:
+        value = bytes.subarray(pos, pos + 4);
+        pos += 4;
+        break;
+      default:
+        throw new Error(`Corrupt protobuf: wire type ${wire} at byte ${pos}`);
+    }
+    if (pos > bytes.length) throw new Error('Corrupt protobuf: truncated message');
+    out.push({ field, wire, value });
+  }
+  return out;
+}
+
+/** Signed 64-bit varint as a Number (exact up to 2^53). */
+function readVarint(bytes, pos) {
+  let result = 0n;
+  let shift = 0n;
+  let b;
+  do {
+    if (pos >= bytes.length) throw new Error('Corrupt protobuf: truncated varint');
+    b = bytes[pos++];
+    result |= BigInt(b & 0x7f) << shift;
+    shift += 7n;
+  } while (b & 0x80);
+  return [Number(BigInt.asIntN(64, result)), pos];
+}
+
+// ─── Field accessors ──────────────────────────────────────────────────────────
+
+/** All values of one field. */
+export const all = (msg, field) => msg.filter(e => e.field === field).map(e => e.value);
+
+/** Last value of one field (protobuf's rule for repeated scalars in a singular slot). */
+export const one = (msg, field) => {
+  const values = all(msg, field);
+  return values[values.length - 1];
+};
+
+export const text = bytes => (bytes ? new TextDecoder().decode(bytes) : '');
+
+/** Repeated integer field, packed or not. */
+export function ints(msg, field) {
+  const out = [];
+  for (const e of msg) {
+    if (e.field !== field) continue;
+    if (e.wire === WIRE_BYTES) {
+      let pos = 0;
+      while (pos < e.value.length) {
+        let v;
+        [v, pos] = readVarint(e.value, pos);
+        out.push(v);
+      }
+    } else {
+      out.push(e.value);
+    }
+  }
+  return out;
+}
+
+/** Repeated float field, packed or not. */
+export function floats(msg, field) {
+  const out = [];
+  for (const e of msg) {
+    if (e.field !== field) continue;
+    const view = new DataView(e.value.buffer, e.value.byteOffset, e.value.byteLength);
+    for (let k = 0; k + 4 <= e.value.byteLength; k += 4) out.push(view.getFloat32(k, true));
+  }
+  return out;
+}
+
+/** Repeated double field, packed or not. */
+export function doubles(msg, field) {
+  const out = [];
+  for (const e of msg) {
+    if (e.field !== field) continue;
+    const view = new DataView(e.value.buffer, e.value.byteOffset, e.value.byteLength);
+    for (let k = 0; k + 8 <= e.value.byteLength; k += 8) out.push(view.getFloat64(k, true));
+  }
+  return out;
+}
+
+/** Single float (fixed32) field. */
+export function float(msg, field) {
+  const v = one(msg, field);
+  return v ? new DataView(v.buffer, v.byteOffset, 4).getFloat32(0, true) : undefined;
+}
+
+// ─── Writer ───────────────────────────────────────────────────────────────────
+
+export class ProtoWriter {
+  constructor() {
+    this._bytes = [];
+  }
+
+  _varint(n) {
+    let v = BigInt.asUintN(64, BigInt(n));
+    do {
+      let b = Number(v & 0x7fn);
+      v >>= 7n;
+      if (v) b |= 0x80;
+      this._bytes.push(b);
+    } while (v);
+  }
+
+  _tag(field, wire) {
+    this._varint(field * 8 + wire);
+  }
+
+  int(field, n) {
+    this._tag(field, WIRE_VARINT);
+    this._varint(n);
+    return this;
+  }
+
+  float(field, x) {
+    this._tag(field, WIRE_FIXED32);
+    const b = new Uint8Array(4);
+    new DataView(b.buffer).setFloat32(0, x, true);
+    this._bytes.push(...b);
+    return this;
+  }
+
+  bytes(field, data) {
+    this._tag(field, WIRE_BYTES);
+    this._varint(data.length);
+    for (let k = 0; k < data.length; k++) this._bytes.push(data[k]);
+    return this;
+  }
+
+  string(field, s) {
+    return this.bytes(field, new TextEncoder().encode(s));
+  }
+
+  /** Embedded message built by fill(writer). */
+  message(field, fill) {
+    const inner = new ProtoWriter();
+    fill(inner);
+    return this.bytes(field, inner.finish());
+  }
+
+  finish() {
+    return Uint8Array.from(this._bytes);
+  }
+}
@@ -0,0 +1,229 @@
+// TensorFlow.js layers-model format (model.json + binary weight shards), as
+// written by tfjs-converter for Keras models and by tf.LayersModel.save().
+// Only sequential stacks of Dense layers map onto this app's networks.
+
+import { SNAPSHOT_VERSION } from '../network/NeuralNetwork.js';
+import { resolveActivation, reportUnsupported, checkExportable, KERAS_EXTRA_ACTIVATIONS } from './activations.js';
+
+// Layers that are identities at inference time
+const PASSTHROUGH_LAYERS = new Set(['InputLayer', 'Dropout', 'GaussianNoise', 'GaussianDropout', 'AlphaDropout', 'Flatten']);
+
+const DTYPE_BYTES = { float32: 4, int32: 4, uint8: 1, uint16: 2, float16: 2 };
+
+/**
+ * Convert a TF.js layers model into a network snapshot for loadJSON().
+ * @param {object} modelJSON parsed model.json
+ * @param {Map<string, ArrayBuffer>} shards weight files keyed by file name
+ * @returns {object} snapshot
+ * @throws {Error} listing unsupported layers/activations, or missing shards
+ */
+export function importTFJSModel(modelJSON, shards) {
+  const topology = modelJSON?.modelTopology;
+  if (!topology) throw new Error('Not a TF.js layers model: model.json has no modelTopology');
+
+  const problems = [];
+  const customs = {};
+  const tensors = readWeights(modelJSON.weightsManifest ?? [], shards);
+  const layerConfigs = [];
+  const weights = [];
+  const biases = [];
+
+  for (const layer of sequentialLayers(topology, problems)) {
+    const cfg = layer.config ?? {};
+    const where = `${layer.class_name} '${cfg.name}'`;
+
+    if (PASSTHROUGH_LAYERS.has(layer.class_name)) {
+      if (layer.class_name === 'Flatten' && weights.length) problems.push(`${where} after a Dense layer`);
+      continue;
+    }
+
+    if (layer.class_name === 'Activation') {
+      const last = layerConfigs[layerConfigs.length - 1];
+      if (!weights.length || last.activation !== 'linear') {
+        problems.push(`${where} not directly after a linear Dense layer`);
+        continue;
+      }
+      last.activation = resolveActivation(cfg.activation, where, customs, problems);
+      continue;
+    }
+
+    if (layer.class_name !== 'Dense') {
+      problems.push(`${where} layer`);
+      continue;
+    }
+
+    const kernel = findTensor(tensors, cfg.name, 'kernel');
+    if (!kernel || kernel.shape.length !== 2) {
+      problems.push(`${where}: kernel weights not found in the manifest`);
+      continue;
+    }
+    const [inN, outN] = kernel.shape;
+    if (!layerConfigs.length) {
+      layerConfigs.push({ size: inN, activation: 'linear' });
+    } else if (layerConfigs[layerConfigs.length - 1].size !== inN) {
+      problems.push(`${where}: expects ${inN} inputs but the previous layer has ${layerConfigs[layerConfigs.length - 1].size}`);
+      continue;
+    }
+
+    // Keras kernels are [in, out] row-major — already the i*outN+j layout
+    weights.push(Array.from(kernel.values));
+    const bias = cfg.use_bias === false ? null : findTensor(tensors, cfg.name, 'bias');
+    biases.push(bias ? Array.from(bias.values) : new Array(outN).fill(0));
+    layerConfigs.push({ size: outN, activation: resolveActivation(cfg.activation, where, customs, problems) });
+  }
+
+  if (!weights.length && !problems.length) problems.push('no Dense layers');
+  reportUnsupported(problems, 'TF.js model');
+
+  return { version: SNAPSHOT_VERSION, customActivations: customs, layerConfigs, weights, biases };
+}
+
+/** Layer list of a Sequential model, or of a Functional model that is a plain chain. */
+function sequentialLayers(topology, problems) {
+  const model = topology.model_config ?? topology;
+  const config = model.config;
+  // Keras < 2.2.3 stored Sequential configs as a bare layer array
+  const layers = Array.isArray(config) ? config : config?.layers;
+  if (!Array.isArray(layers)) {
+    problems.push(`model class '${model.class_name}'`);
+    return [];
+  }
+  if (model.class_name === 'Sequential') return layers;
+
+  // Functional: accept only when each layer feeds the next one
+  const chained = layers.every((layer, k) => {
+    const inbound = layer.inbound_nodes ?? [];
+    if (k === 0) return inbound.length === 0;
+    const sources = inbound.flat(Infinity).filter(v => typeof v === 'string');
+    return inbound.length === 1 && sources.length === 1 && sources[0] === layers[k - 1].name;
+  });
+  if (!chained) problems.push('non-sequential graph (branches, merges or shared layers)');
+  return layers;
+}
+
+/** Decode every tensor in the manifest, keyed by weight name. */
+function readWeights(manifest, shards) {
+  const tensors = new Map();
+  for (const group of manifest) {
+    const buffers = group.paths.map(path => {
+      const name = path.split('/').pop();
+      const buf = shards.get(name);
+      if (!buf) throw new Error(`Missing weight file '${name}' — select it together with model.json`);
+      return new Uint8Array(buf);
+    });
+    const data = new Uint8Array(buffers.reduce((n, b) => n + b.length, 0));
+    let pos = 0;
+    for (const b of buffers) { data.set(b, pos); pos += b.length; }
+
+    let offset = 0;
+    for (const spec of group.weights) {
+      const count = spec.shape.reduce((n, d) => n * d, 1);
+      const q = spec.quantization;
+      const stored = q?.dtype ?? spec.dtype;
+      const bytes = DTYPE_BYTES[stored];
+      if (!bytes) throw new Error(`Weight '${spec.name}' has unsupported dtype '${stored}'`);
+      const size = count * bytes;
+      if (offset + size > data.length) throw new Error(`Weight files are shorter than the manifest describes`);
+      const view = new DataView(data.buffer, offset, size);
+      tensors.set(spec.name, { shape: spec.shape, values: decode(view, count, stored, q, spec.dtype) });
+      offset += size;
+    }
+  }
+  return tensors;
+}
+
+function decode(view, count, stored, q, dtype) {
+  const out = new Float32Array(count);
+  for (let k = 0; k < count; k++) {
+    switch (stored) {
+      case 'float32': out[k] = view.getFloat32(k * 4, true); break;
+      case 'int32':   out[k] = view.getInt32(k * 4, true); break;
+      case 'uint8':   out[k] = view.getUint8(k); break;
+      case 'uint16':  out[k] = view.getUint16(k * 2, true); break;
+      case 'float16': out[k] = halfToFloat(view.getUint16(k * 2, true)); break;
+    }
+  }
+  // Affine-quantized weights store (value - min) / scale
+  if (q && q.dtype !== 'float16') {
+    for (let k = 0; k < count; k++) out[k] = out[k] * q.scale + q.min;
+  }
+  if (dtype === 'int32' && !q) for (let k = 0; k < count; k++) out[k] = Math.round(out[k]);
+  return out;
+}
+
+function halfToFloat(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >> 10) & 0x1f;
+  const frac = h & 0x3ff;
+  if (exp === 0) return sign * 2 ** -14 * (frac / 1024);
+  if (exp === 31) return frac ? NaN : sign * Infinity;
+  return sign * 2 ** (exp - 15) * (1 + frac / 1024);
+}
+
+/** Weight names may carry a model scope prefix ("sequential/dense_1/kernel"). */
+function findTensor(tensors, layerName, kind) {
+  const suffix = `${layerName}/${kind}`;
+  for (const [name, tensor] of tensors) {
+    if (name === suffix || name.endsWith(`/${suffix}`) || name.startsWith(`${suffix}:`)) return tensor;
+  }
+  return null;
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+const canExport = name => ['sigmoid', 'relu', 'tanh', 'linear'].includes(name) || name in KERAS_EXTRA_ACTIVATIONS;
+
+/**
+ * Write the network as a Sequential stack of Dense layers.
+ * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+ * @param {string} [name] base name for the weight shard
+ * @returns {{modelJSON: object, weightData: ArrayBuffer, weightsFile: string}}
+ * @throws {Error} if the network has features a Dense stack can't express
+ */
+export function exportTFJSModel(network, name = 'net-viz') {
+  checkExportable(network, canExport, 'TF.js');
+
+  const weightsFile = `${name}.weights.bin`;
+  const layers = [];
+  const specs = [];
+  const total = network.weights.reduce((n, w, l) => n + w.length + network.biases[l].length, 0);
+  const weightData = new Float32Array(total);
+  let offset = 0;
+
+  network.weights.forEach((w, l) => {
+    const inN = network.layerConfigs[l].size;
+    const outN = network.layerConfigs[l + 1].size;
+    const layerName = `dense_${l + 1}`;
+    layers.push({
+      class_name: 'Dense',
+      config: {
+        name: layerName,
+        trainable: true,
+        dtype: 'float32',
+        units: outN,
+        activation: network.layerConfigs[l + 1].activation,
+        use_bias: true,
+        ...(l === 0 && { batch_input_shape: [null, inN] }),
+      },
+    });
+    specs.push({ name: `${layerName}/kernel`, shape: [inN, outN], dtype: 'float32' });
+    specs.push({ name: `${layerName}/bias`, shape: [outN], dtype: 'float32' });
+    weightData.set(w, offset);
+    offset += w.length;
+    weightData.set(network.biases[l], offset);
+    offset += outN;
+  });
+
+  const modelJSON = {
+    format: 'layers-model',
+    generatedBy: 'net-viz',
+    convertedBy: null,
+    modelTopology: {
+      class_name: 'Sequential',
+      config: { name, layers },
+      backend: 'tensor_flow.js',
+    },
+    weightsManifest: [{ paths: [weightsFile], weights: specs }],
+  };
+  return { modelJSON, weightData: weightData.buffer, weightsFile };
+}
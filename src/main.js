@@ -4,6 +4,15 @@ import { NetworkVisualizer } from './viz/NetworkVisualizer.js';
 import { StimulusController } from './stimulus/StimulusController.js';
 import { UIController } from './ui/UIController.js';
 import { STLLayout } from './viz/STLLayout.js';
+import { SupervisedTrainer } from './training/SupervisedTrainer.js';
+import { AutoReward } from './training/AutoReward.js';
+import { Homeostasis } from './training/Homeostasis.js';
+import { random } from './util/random.js';
+import { createSimulation, SIMULATION_DEFAULTS } from './sim/Simulation.js';
+import { SessionRecorder } from './recording/SessionRecorder.js';
+import { SessionPlayer } from './recording/SessionPlayer.js';
+import { RemoteLink } from './remote/RemoteLink.js';
+import { MidiLink } from './midi/MidiLink.js';
 
 // ─── Default network topology ────────────────────────────────────────────────
 const DEFAULT_CONFIG = [
@@ -16,37 +25,168 @@ const DEFAULT_CONFIG = [
 // ─── Initialize core objects ─────────────────────────────────────────────────
 const canvas = document.getElementById('canvas');
 
+const params = new URLSearchParams(location.search);
+
+// Seed before anything draws random numbers; ?seed=… recreates a session
+random.setSeed(params.get('seed') ?? random.seed);
+
 const network    = new NeuralNetwork(DEFAULT_CONFIG);
 const visualizer = new NetworkVisualizer(canvas);
 const stimulus   = new StimulusController(DEFAULT_CONFIG[0].size);
 const stlLayout  = new STLLayout();
+const trainer    = new SupervisedTrainer();
+const autoReward = new AutoReward();
+const homeostasis = new Homeostasis();
+const remote     = new RemoteLink();
+stimulus.setRemoteLink(remote);
+const midi       = new MidiLink();
+stimulus.setMidiLink(midi);
 
 // Build initial visualization
 visualizer.buildFromNetwork(network);
 visualizer.syncWeights();
 
+// ─── Recording & replay ──────────────────────────────────────────────────────
+const recorder = new SessionRecorder();
+const player = new SessionPlayer({
+  network,
+  visualizer,
+  onNetworkReplaced(topologyChanged) {
+    if (topologyChanged) rebuildForTopology();
+    else visualizer.rebuildConnections();
+  },
+});
+let pendingReward = 0; // manual reward/punish since the last captured tick
+
+function enterReplay(recording, index) {
+  if (!player.active) sim.pause();
+  player.enter(recording, index);
+}
+
+function exitReplay() {
+  if (!player.active) return;
+  player.exit();
+  sim.resume();
+}
+
+// ─── Simulation backend ──────────────────────────────────────────────────────
+// Worker by default; ?worker=0 keeps everything on the main thread for debugging
+const simSettings = { ...SIMULATION_DEFAULTS, worker: params.get('worker') !== '0' };
+let sim = null;
+
+function startSimulation() {
+  const running = stlLayout.isRunning;
+  stlLayout.stop();
+  sim?.dispose();
+
+  sim = createSimulation({ network, trainer, autoReward, homeostasis, feedback: stimulus.feedback }, simSettings);
+  sim.onError = message => {
+    simSettings.worker = false;
+    startSimulation();
+    ui.showSimulationStatus(`Worker failed (${message}) — running in-process`);
+  };
+  stlLayout.runner = sim.layoutRunner;
+  if (running) stlLayout.start();
+  if (player.active) sim.pause();
+}
+startSimulation();
+
+// ─── Topology changes ────────────────────────────────────────────────────────
+// Shared by Architecture → Apply and snapshot loads that change the topology
+function rebuildForTopology() {
+  if (stlLayout.isLoaded) {
+    // Re-place neurons in updated topology inside the same mesh
+    stlLayout.initNeurons(network);
+  } else {
+    visualizer.buildFromNetwork(network);
+  }
+  visualizer.syncWeights();
+  stimulus.setInputSize(network.layerConfigs[0].size, network.layerConfigs[0].channels);
+  autoReward.reset();
+  homeostasis.reset();
+}
+
 // ─── UI ──────────────────────────────────────────────────────────────────────
 const ui = new UIController({
   network,
   visualizer,
   stimulus,
-  onReconfigure(configs) {
-    network.configure(configs);
-    if (stlLayout.isLoaded) {
-      // Re-place neurons in updated topology inside the same mesh
-      stlLayout.initNeurons(network);
+  trainer,
+  autoReward,
+  homeostasis,
+  recorder,
+  player,
+  remote,
+  midi,
+  onReplay(recording, index) {
+    if (recording) enterReplay(recording, index);
+    else exitReplay();
+  },
+  onReward(value, learningRate) {
+    // The network shows a recording during replay; rewards would change it underneath
+    if (player.active) return;
+    sim.reinforce(value, learningRate);
+    pendingReward += value;
+  },
+  simulation: simSettings,
+  onSimulationChange(key) {
+    if (key === 'worker') startSimulation();
+    else sim.applySettings();
+  },
+  onNetworkEdit(opts) {
+    sim.markDirty(opts);
+  },
+  onTrainingChange() {
+    sim.applyTraining();
+  },
+  onFeedbackChange() {
+    sim.applyFeedback();
+  },
+  onReconfigure(configs, { preserveWeights = false } = {}) {
+    if (preserveWeights) network.reshape(configs);
+    else network.configure(configs);
+    sim.markDirty({ fresh: !preserveWeights });
+    rebuildForTopology();
+  },
+  onReseed(seed) {
+    // Replay from the start: same seed + same reward events → same session
+    random.setSeed(seed);
+    network.configure(network.layerConfigs);
+    sim.markDirty({ restart: true });
+    stimulus.reset();
+    autoReward.reset();
+    rebuildForTopology();
+  },
+  onRestore(snapshot) {
+    const sameTopology = network.hasTopology(snapshot.layerConfigs ?? []);
+    network.loadJSON(snapshot);
+    // File loads finish after the button click, so flag the edit here
+    sim.markDirty({ fresh: true });
+    if (sameTopology) {
+      // Masks may differ even when layer sizes match
+      visualizer.rebuildConnections();
     } else {
-      visualizer.buildFromNetwork(network);
+      rebuildForTopology();
     }
-    visualizer.syncWeights();
-    stimulus.setInputSize(configs[0].size);
   },
 });
 
 ui.addSTLPanel(stlLayout);
 
+// ─── Remote bridge ───────────────────────────────────────────────────────────
+// Bridge rewards act like the Reward/Punish buttons, and like them are
+// ignored during replay. ?bridge[=ws://…] connects on load, for
+// installations that start unattended.
+remote.onReward = (value) => ui.applyReward(value);
+if (params.has('bridge')) {
+  if (params.get('bridge')) remote.settings.url = params.get('bridge');
+  remote.connect();
+}
+
 // ─── HUD helpers ─────────────────────────────────────────────────────────────
 const statsEl = document.getElementById('stats');
+const rewardTraceEl = document.getElementById('reward-trace');
+const rewardTraceCtx = rewardTraceEl.getContext('2d');
 let frameCount = 0;
 let fpsTime = 0;
 let fps = 0;
@@ -61,44 +201,93 @@ function updateHUD(elapsed) {
   const energyStr = stlLayout.isLoaded
     ? `  |  energy ${stlLayout.energy.toFixed(3)}`
     : '';
+  const rewardStr = autoReward.enabled
+    ? `  |  reward ${autoReward.lastReward.toFixed(3)}`
+    : '';
+  const replayStr = player.active
+    ? `  |  replay tick ${player.recording.firstTick + player.index}${player.playing ? ' ▶' : ''}`
+    : '';
+  const lossStr = trainer.enabled
+    ? `  |  loss ${trainer.lastLoss.toFixed(4)}`
+    : '';
   statsEl.textContent =
     `${fps} fps  |  ` +
     `${network.numLayers} layers  |  ` +
     `${network.getTotalNeurons()} neurons  |  ` +
     `${network.getTotalConnections()} weights  |  ` +
     `${visualizer._particles.length} particles` +
-    energyStr;
+    energyStr +
+    lossStr +
+    rewardStr +
+    replayStr;
+
+  drawRewardTrace();
+}
+
+/** Sparkline of recent automatic rewards: zero line in the middle, ±max scale. */
+function drawRewardTrace() {
+  rewardTraceEl.style.display = autoReward.enabled ? 'block' : 'none';
+  if (!autoReward.enabled) return;
+
+  const { width: w, height: h } = rewardTraceEl;
+  const trace = autoReward.trace;
+  const ctx = rewardTraceCtx;
+  ctx.clearRect(0, 0, w, h);
+
+  ctx.strokeStyle = 'rgba(0, 255, 238, 0.25)';
+  ctx.beginPath();
+  ctx.moveTo(0, h / 2);
+  ctx.lineTo(w, h / 2);
+  ctx.stroke();
+
+  if (trace.length < 2) return;
+  const scale = Math.max(1, ...trace.map(Math.abs));
+  ctx.strokeStyle = '#00ffee';
+  ctx.beginPath();
+  trace.forEach((r, i) => {
+    const x = (i / (trace.length - 1)) * w;
+    const y = h / 2 - (r / scale) * (h / 2 - 2);
+    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
 }
 
 // ─── Animation loop ───────────────────────────────────────────────────────────
 const clock = new THREE.Clock();
-let lastForwardAt  = 0;
 let lastWeightSync = 0;
 
-const FORWARD_HZ    = 24;   // forward pass rate
 const WEIGHT_SYNC_S = 0.15; // how often to refresh weight colors (seconds)
 
+// Advance the stimulus by one step and sample it
+let lastInputs = [];
+const readInputs = step => {
+  stimulus.update(step);
+  lastInputs = stimulus.getInputs();
+  return { inputs: lastInputs, targets: stimulus.getTargets() };
+};
+
 function animate() {
   requestAnimationFrame(animate);
 
   const dt      = clock.getDelta();
   const elapsed = clock.getElapsedTime();
 
-  // Advance stimulus time
-  stimulus.update(dt);
-
-  // Forward pass at a fixed rate
-  if (elapsed - lastForwardAt >= 1 / FORWARD_HZ) {
-    const inputs = stimulus.getInputs();
-    network.forward(inputs);
+  // Forward passes run at their own fixed rate — in-process or in the worker.
+  // Replay pauses them and drives the visualizer from the recording instead.
+  if (player.active) {
+    player.update(dt);
+  } else if (sim.step(dt, readInputs) > 0) {
+    recorder.tickHz = simSettings.tickHz;
+    recorder.capture(network, lastInputs, sim.lastReward + pendingReward);
+    pendingReward = 0;
 
     visualizer.syncActivations();
+    remote.publish(network, elapsed);
+    midi.publish(network);
 
     if (visualizer.showParticles) {
       visualizer.triggerSignalFlow();
     }
-
-    lastForwardAt = elapsed;
   }
 
   // Weight color sync (cheaper than per-frame)
@@ -0,0 +1,274 @@
+// Web MIDI in and out. Incoming note velocities and CCs become input values;
+// learned bindings route knobs and keys to GUI controls instead; output
+// activations go back out as CCs or as notes gated by a threshold. A
+// built-in loopback port stands in for hardware, so everything can be
+// tried without a device.
+
+import { normalizeForViz } from '../network/activations.js';
+import { parseMessage, noteOn, noteOff, controlChange, describeMessage } from './messages.js';
+
+export const VIRTUAL_PORT = 'virtual';
+
+export const MIDI_DEFAULTS = {
+  inputPort:    VIRTUAL_PORT,  // port id
+  outputPort:   VIRTUAL_PORT,
+  inChannel:    0,             // 1–16, or 0 for any
+  inputMap:     'notes',
+  firstNote:    36,            // input 0's note; input i is firstNote + i
+  firstCC:      1,             // input 0's controller number
+  output:       'off',
+  outChannel:   1,
+  outFirstNote: 60,
+  outFirstCC:   20,
+  threshold:    0.5,           // notes: on at or above, off below (less HYSTERESIS)
+};
+
+export const INPUT_MAPS = {
+  notes: { label: 'Note Velocity' },
+  cc:    { label: 'Control Change' },
+  both:  { label: 'Notes + CCs' },
+};
+
+export const OUTPUT_MODES = {
+  off:   { label: 'Off' },
+  cc:    { label: 'CC per Output' },
+  notes: { label: 'Notes over Threshold' },
+};
+
+const HYSTERESIS = 0.05;
+const BINDINGS_KEY = 'net-viz:midi-bindings';
+
+/**
+ * Loopback port: what's sent to it arrives on it, in the shape of a Web
+ * MIDI MIDIInput/MIDIOutput.
+ */
+class VirtualPort {
+  constructor() {
+    this.id = VIRTUAL_PORT;
+    this.name = 'Virtual Loopback';
+    this.onmidimessage = null;
+  }
+
+  send(data) {
+    this.onmidimessage?.({ data: Uint8Array.from(data) });
+  }
+}
+
+export class MidiLink {
+  constructor() {
+    this.settings = { ...MIDI_DEFAULTS };
+    this.status = 'Virtual port only';
+    this.values = new Float32Array(128); // input i's latest value, 0–1
+    this.lastMessage = '';
+    this.received = 0;
+    this.sent = 0;
+    /** @type {{path: string, type: 'cc'|'note', channel: number, number: number}[]} */
+    this.bindings = this._loadBindings();
+    this.learning = null;       // control path waiting for a knob or key
+    this.onControl = null;      // (path, {value, press}) => void, for bound messages
+    this.onLearn = null;        // (binding) => void
+    this.onPortsChange = null;  // () => void
+
+    this._virtual = new VirtualPort();
+    this._access = null;
+    this._input = null;
+    this._output = null;
+    this._ccLast = new Map();   // 'channel:number' → last value, for press edges
+    this._sentCC = [];          // last 7-bit value sent per output
+    this._notesOn = new Map();  // output index → [channel, note] held
+    this._sending = false;
+    this._attach();
+  }
+
+  /** Ask the browser for MIDI access; the virtual port works without it. */
+  async open() {
+    if (!globalThis.navigator?.requestMIDIAccess) {
+      this.status = 'Web MIDI unavailable — virtual port only';
+      return;
+    }
+    try {
+      this._access = await navigator.requestMIDIAccess();
+    } catch (err) {
+      this.status = `MIDI access denied: ${err.message}`;
+      return;
+    }
+    this._access.onstatechange = () => {
+      this._attach();
+      this.onPortsChange?.();
+    };
+    this._attach();
+    this.onPortsChange?.();
+  }
+
+  /**
+   * @param {'input'|'output'} kind
+   * @returns {{id: string, name: string}[]} the virtual port first
+   */
+  listPorts(kind) {
+    const ports = [{ id: VIRTUAL_PORT, name: this._virtual.name }];
+    const map = kind === 'input' ? this._access?.inputs : this._access?.outputs;
+    map?.forEach(port => ports.push({ id: port.id, name: port.name }));
+    return ports;
+  }
+
+  /** Re-open the ports named in settings, e.g. after changing them. */
+  selectPorts() {
+    this._attach();
+  }
+
+  /** Deliver a message on the virtual port, as a test keyboard would. */
+  sendVirtual(data) {
+    this._virtual.send(data);
+  }
+
+  /** Bind the next CC or note that arrives to a control path. */
+  learn(path) {
+    this.learning = path;
+  }
+
+  cancelLearn() {
+    this.learning = null;
+  }
+
+  unbind(binding) {
+    this.bindings = this.bindings.filter(b => b !== binding);
+    this._saveBindings();
+  }
+
+  /**
+   * Send output-layer activations as configured. Call after each tick.
+   * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+   */
+  publish(network) {
+    const { output, outChannel, outFirstCC, outFirstNote, threshold } = this.settings;
+    if (output === 'off' || !this._output) return;
+    const last = network.numLayers - 1;
+    const name = network.layerConfigs[last].activation;
+    const spiking = network.mode === 'spiking';
+    const acts = network.activations[last];
+    for (let i = 0; i < acts.length; i++) {
+      const a = spiking ? Math.min(1, Math.max(0, acts[i])) : normalizeForViz(acts[i], name);
+      if (output === 'cc') {
+        if (outFirstCC + i > 127) break;
+        // Only changes go out; the 7-bit value absorbs jitter
+        const v = Math.round(a * 127);
+        if (this._sentCC[i] === v) continue;
+        this._sentCC[i] = v;
+        this._send(controlChange(outChannel, outFirstCC + i, v));
+      } else {
+        if (outFirstNote + i > 127) break;
+        const held = this._notesOn.get(i);
+        if (!held && a >= threshold) {
+          this._notesOn.set(i, [outChannel, outFirstNote + i]);
+          this._send(noteOn(outChannel, outFirstNote + i, a * 127));
+        } else if (held && a < threshold - HYSTERESIS) {
+          this._notesOn.delete(i);
+          this._send(noteOff(...held));
+        }
+      }
+    }
+  }
+
+  /** Release held notes and forget sent CCs, e.g. when output settings change. */
+  resetOutput() {
+    if (this._output) for (const held of this._notesOn.values()) this._send(noteOff(...held));
+    this._notesOn.clear();
+    this._sentCC = [];
+  }
+
+  _send(data) {
+    this._sending = true;
+    try {
+      this._output.send(data);
+    } finally {
+      this._sending = false;
+    }
+    this.sent++;
+  }
+
+  _attach() {
+    const { inputPort, outputPort } = this.settings;
+    const find = (map, id) => (id === VIRTUAL_PORT ? this._virtual : map?.get(id) ?? null);
+
+    const input = find(this._access?.inputs, inputPort);
+    if (input !== this._input) {
+      if (this._input) this._input.onmidimessage = null;
+      this._input = input;
+      if (input) input.onmidimessage = e => this.receive(e.data);
+      this.values.fill(0);
+    }
+    const output = find(this._access?.outputs, outputPort);
+    if (output !== this._output) {
+      if (this._output) this.resetOutput();
+      this._output = output;
+    }
+
+    const label = port => port?.name ?? 'missing';
+    this.status = `${label(this._input)} → ${label(this._output)}`;
+  }
+
+  /** Handle one raw message from the input port. */
+  receive(data) {
+    const msg = parseMessage(data);
+    if (!msg) return;
+    this.received++;
+    const type = msg.type === 'cc' ? 'cc' : 'note';
+    this.lastMessage = `${describeMessage(msg)} = ${msg.value}`;
+
+    const key = `${msg.channel}:${msg.number}`;
+    const prev = type === 'cc' ? this._ccLast.get(key) ?? 0 : 0;
+    if (type === 'cc') this._ccLast.set(key, msg.value);
+
+    // Our own output looping back through the virtual port feeds inputs,
+    // but never learns or drives a binding
+    const echo = this._sending;
+
+    if (this.learning && !echo && msg.type !== 'noteoff') {
+      const binding = { path: this.learning, type, channel: msg.channel, number: msg.number };
+      // One knob drives one control
+      this.bindings = this.bindings.filter(b => b.path !== binding.path && !sameSource(b, binding));
+      this.bindings.push(binding);
+      this._saveBindings();
+      this.learning = null;
+      this.onLearn?.(binding);
+      return;
+    }
+
+    const binding = !echo && this.bindings.find(b => sameSource(b, { type, channel: msg.channel, number: msg.number }));
+    if (binding) {
+      // A press is a note-on, or a CC crossing the middle upwards
+      const press = type === 'cc' ? msg.value >= 64 && prev < 64 : msg.type === 'noteon';
+      this.onControl?.(binding.path, { value: msg.value / 127, press, type });
+      return;
+    }
+
+    const { inChannel, inputMap, firstNote, firstCC } = this.settings;
+    if (inChannel && msg.channel !== inChannel) return;
+    if (type === 'note' && inputMap !== 'cc') {
+      const i = msg.number - firstNote;
+      if (i >= 0) this.values[i] = msg.value / 127;
+    } else if (type === 'cc' && inputMap !== 'notes') {
+      const i = msg.number - firstCC;
+      if (i >= 0) this.values[i] = msg.value / 127;
+    }
+  }
+
+  _loadBindings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _saveBindings() {
+    try {
+      localStorage.setItem(BINDINGS_KEY, JSON.stringify(this.bindings));
+    } catch {
+      // Bindings still work for this session
+    }
+  }
+}
+
+const sameSource = (a, b) => a.type === b.type && a.channel === b.channel && a.number === b.number;
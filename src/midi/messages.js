@@ -0,0 +1,39 @@
+// MIDI channel messages the app reads and writes. Channels are 1–16 here,
+// as on hardware, and 0-based only on the wire.
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+
+/**
+ * @param {Uint8Array|number[]} data - one message
+ * @returns {{type: 'noteon'|'noteoff'|'cc', channel: number, number: number, value: number} | null}
+ *   null for anything else; a note-on with velocity 0 is a note-off
+ */
+export function parseMessage(data) {
+  if (data.length < 3) return null;
+  const status = data[0] & 0xf0;
+  const channel = (data[0] & 0x0f) + 1;
+  const [, number, value] = data;
+  switch (status) {
+    case NOTE_ON:
+      return { type: value > 0 ? 'noteon' : 'noteoff', channel, number, value };
+    case NOTE_OFF:
+      return { type: 'noteoff', channel, number, value: 0 };
+    case CONTROL_CHANGE:
+      return { type: 'cc', channel, number, value };
+    default:
+      return null;
+  }
+}
+
+const byte = v => Math.max(0, Math.min(127, Math.round(v)));
+const statusByte = (kind, channel) => kind | ((Math.max(1, Math.min(16, channel | 0)) - 1) & 0x0f);
+
+export const noteOn = (channel, note, velocity) => [statusByte(NOTE_ON, channel), byte(note), Math.max(1, byte(velocity))];
+export const noteOff = (channel, note) => [statusByte(NOTE_OFF, channel), byte(note), 0];
+export const controlChange = (channel, cc, value) => [statusByte(CONTROL_CHANGE, channel), byte(cc), byte(value)];
+
+/** Short label for the GUI, e.g. "CC 21 · ch 1". */
+export const describeMessage = ({ type, channel, number }) =>
+  `${type === 'cc' ? 'CC' : 'Note'} ${number} · ch ${channel}`;
@@ -1,104 +1,994 @@
-import { ACTIVATIONS } from './activations.js';
+import { ACTIVATIONS, customActivations, hasActivation, registerActivation } from './activations.js';
+import { LOSSES } from './losses.js';
+import { OPTIMIZERS } from './optimizers.js';
+import { LEARNING_RULES, makePlasticity } from './learningRules.js';
+import { SPIKING_DEFAULTS, lifStep } from './spiking.js';
+import { CONNECTIVITY_TYPES, CONNECTIVITY_DEFAULTS } from './connectivity.js';
+import { copyBlock, zeroRows, identityInto, mergeChain } from './reshape.js';
+import { NEURON_OVERRIDES } from './overrides.js';
+import {
+  LAYER_TYPES, isFeatureMap, layerShape, resolveFeatureMap, buildWindows, windowKey, gatherTied, scatterTied, sumTied,
+} from './layerTypes.js';
+import { random } from '../util/random.js';
+
+// Bump when the serialized layout changes; fromJSON() rejects newer versions
+export const SNAPSHOT_VERSION = 3;
+
+// Recurrent weights start smaller than feedforward ones so echoes decay
+// instead of saturating the first few ticks
+const RECURRENT_INIT_SCALE = 0.5;
+
+// Regrown connections start weak relative to Xavier so they earn their place
+const REGROW_INIT_SCALE = 0.5;
+
+// Skip projections start weak too, so adding one nudges rather than rewires
+const SKIP_INIT_SCALE = 0.5;
+
+const rand = random.stream('network');
+// Dropout and noise overrides draw every tick — keep them off the init stream
+const lesionRand = random.stream('lesions');
 
 export class NeuralNetwork {
   /**
-   * @param {Array<{size: number, activation: string}>} layerConfigs
+   * @param {Array<{size: number, activation: string, recurrent?: boolean, feedback?: boolean}>} layerConfigs
+   *   `recurrent` (hidden layers) adds Elman-style self-connections from the
+   *   layer's previous-tick activations; `feedback` (output layer) feeds the
+   *   previous tick's outputs back into the first layer after the input.
+   *   `type` 'conv' or 'pool' (any layer after the input) makes a feature-map
+   *   layer whose size follows from `kernel`, `stride`, `channels` (conv) or
+   *   `pool` ('max' | 'avg') and the previous layer's shape — see layerTypes.js.
+   *   `channels` on a dense layer says how many maps to read it as.
    */
   constructor(layerConfigs) {
+    // 'rate' — continuous activations; 'spiking' — leaky integrate-and-fire
+    this.mode = 'rate';
+    this.spiking = { ...SPIKING_DEFAULTS };
     this.configure(layerConfigs);
   }
 
+  /**
+   * Switch between rate-based and spiking simulation. Activations and
+   * membrane state restart from rest; weights and traces are kept.
+   * @param {'rate'|'spiking'} mode
+   */
+  setMode(mode) {
+    if (mode !== 'rate' && mode !== 'spiking') throw new Error(`Unknown network mode: ${mode}`);
+    this.mode = mode;
+    for (let l = 0; l < this.numLayers; l++) {
+      this.activations[l].fill(0);
+      this.prevActivations[l].fill(0);
+      this.membrane[l].fill(0);
+      this.refractory[l].fill(0);
+    }
+  }
+
   configure(layerConfigs) {
-    this.layerConfigs = layerConfigs.map(l => ({
-      size: Math.max(1, l.size | 0),
-      activation: l.activation || 'sigmoid',
-    }));
+    const last = layerConfigs.length - 1;
+    // Feature-map layers size themselves from the layer before, so go in order
+    const configs = [];
+    layerConfigs.forEach((l, i) => {
+      const type = i > 0 && LAYER_TYPES[l.type] ? l.type : 'dense';
+      const cfg = {
+        type,
+        size: Math.max(1, l.size | 0),
+        // Pooling passes its window's max or mean straight through
+        activation: type === 'pool' ? 'linear' : l.activation || 'sigmoid',
+        channels: Math.max(1, l.channels | 0 || 1),
+        recurrent: type !== 'pool' && i > 0 && i < last && !!l.recurrent,
+        feedback: i === last && !!l.feedback,
+      };
+      if (isFeatureMap(cfg)) Object.assign(cfg, resolveFeatureMap(l, configs[i - 1], i));
+      configs.push(cfg);
+    });
+    // A pooling layer reads nothing but its windows
+    if (configs[1]?.type === 'pool') configs[last].feedback = false;
+    this.layerConfigs = configs;
     this.numLayers = this.layerConfigs.length;
     this._initWeightsAndState();
+    this._initPlasticity();
+    this._initSkips();
+    this._initConnectivity();
+    this._initLesions();
+  }
+
+  /**
+   * Change topology while keeping learned state, in the spirit of Net2Net.
+   * Each config may carry `source`: the index of the current layer it
+   * continues. Layers without a source are newly inserted.
+   *
+   * - Kept layer pairs copy their overlapping weight/bias/trace/mask blocks.
+   *   New neurons get fresh incoming weights and zero outgoing weights, so
+   *   the network computes the same function until it learns otherwise.
+   * - An inserted layer starts as an identity copy of the layer before it,
+   *   and the matrix out of it inherits that layer's outgoing weights
+   *   (exact when the inserted layer's activation is linear over the range).
+   * - Removing layers merges the bypassed matrices by multiplying them,
+   *   treating the removed layers as linear.
+   * - A matrix into a feature-map layer is kept only when its windows are
+   *   unchanged; otherwise its kernel starts fresh.
+   *
+   * @param {Array<{size: number, activation: string, source?: number}>} layerConfigs
+   */
+  reshape(layerConfigs) {
+    const sources = layerConfigs.map(l =>
+      (Number.isInteger(l.source) && l.source >= 0 && l.source < this.numLayers ? l.source : null));
+    const staged = new NeuralNetwork(layerConfigs);
+    staged.mode = this.mode;
+    staged.spiking = this.spiking;
+
+    // Inserted layers mirror the nearest kept layer before them
+    const mirror = [];
+    sources.forEach((src, l) => { mirror[l] = src ?? (l > 0 ? mirror[l - 1] : null); });
+
+    for (let l = 0; l < staged.numLayers - 1; l++) {
+      const inN = staged.layerConfigs[l].size;
+      const outN = staged.layerConfigs[l + 1].size;
+      const a = mirror[l];
+      const b = sources[l + 1];
+
+      if (staged._windows[l]) {
+        const same = a !== null && b === a + 1 &&
+          windowKey(this.layerConfigs[a], this.layerConfigs[b]) ===
+          windowKey(staged.layerConfigs[l], staged.layerConfigs[l + 1]);
+        if (same) {
+          staged.plasticity[l] = makePlasticity(this.plasticity[a].rule, this.plasticity[a].params);
+          staged._ruleState[l] = staged._createRuleState(l, staged.plasticity[l].rule);
+          staged.weights[l].set(this.weights[a]);
+          staged.biases[l].set(this.biases[a]);
+          if (sources[l] !== null) staged.eligibility[l].set(this.eligibility[a]);
+        }
+        continue;
+      }
+      if (b === null) {
+        // Matrix into an inserted layer: pass the previous layer straight through
+        if (a !== null) {
+          identityInto(staged.weights[l], inN, outN);
+          staged.biases[l].fill(0);
+        }
+        continue;
+      }
+      if (a === null || b <= a) continue; // no learned path — keep fresh init
+
+      const oldIn = this.layerConfigs[a].size;
+      const oldOut = this.layerConfigs[b].size;
+
+      if (b === a + 1) {
+        // Direct pair: inherit everything, including rule and connectivity
+        staged.plasticity[l] = makePlasticity(this.plasticity[a].rule, this.plasticity[a].params);
+        staged._ruleState[l] = staged._createRuleState(l, staged.plasticity[l].rule);
+        staged.connectivity[l] = { ...this.connectivity[a] };
+        staged.masks[l] = staged._buildMask(l, staged.connectivity[l]);
+        copyBlock(staged.masks[l], inN, outN, this.masks[a], oldIn, oldOut);
+        copyBlock(staged.weights[l], inN, outN, this.weights[a], oldIn, oldOut);
+        if (sources[l] !== null) copyBlock(staged.eligibility[l], inN, outN, this.eligibility[a], oldIn, oldOut);
+        copyBlock(staged.biases[l], 1, outN, this.biases[a], 1, oldOut);
+      } else {
+        // Removed layers in between: collapse the chain a → b
+        const sizes = [];
+        for (let k = a; k <= b; k++) sizes.push(this.layerConfigs[k].size);
+        const merged = mergeChain(this.weights.slice(a, b), this.biases.slice(a, b), sizes);
+        staged.plasticity[l] = makePlasticity(this.plasticity[b - 1].rule, this.plasticity[b - 1].params);
+        staged._ruleState[l] = staged._createRuleState(l, staged.plasticity[l].rule);
+        copyBlock(staged.weights[l], inN, outN, merged.weights, oldIn, oldOut);
+        copyBlock(staged.biases[l], 1, outN, merged.bias, 1, oldOut);
+      }
+      zeroRows(staged.weights[l], inN, outN, oldIn);
+    }
+
+    // Recurrent projections whose endpoints both survived keep their blocks
+    for (const r of staged.recurrent) {
+      staged._resetProjectionRule(r);
+      const old = this.recurrent.find(o => o.from === sources[r.from] && o.to === sources[r.to]);
+      if (!old) continue;
+      const fromN = staged.layerConfigs[r.from].size;
+      const toN = staged.layerConfigs[r.to].size;
+      const oldFrom = this.layerConfigs[old.from].size;
+      const oldTo = this.layerConfigs[old.to].size;
+      copyBlock(r.weights, fromN, toN, old.weights, oldFrom, oldTo);
+      copyBlock(r.eligibility, fromN, toN, old.eligibility, oldFrom, oldTo);
+      zeroRows(r.weights, fromN, toN, oldFrom);
+    }
+
+    // Skip projections follow their layers. One whose span collapses to
+    // adjacent layers folds into the feedforward matrix between them.
+    for (const old of this.skips) {
+      const from = sources.indexOf(old.from);
+      const to = sources.indexOf(old.to);
+      if (from < 0 || to < 0) continue;
+      const fromN = staged.layerConfigs[from].size;
+      const toN = staged.layerConfigs[to].size;
+      const oldFrom = this.layerConfigs[old.from].size;
+      const oldTo = this.layerConfigs[old.to].size;
+      if (to === from + 1) {
+        if (staged._windows[from]) continue; // tied or fixed — nothing to fold into
+        const w = staged.weights[from];
+        for (let i = 0; i < Math.min(fromN, oldFrom); i++) {
+          for (let j = 0; j < Math.min(toN, oldTo); j++) w[i * toN + j] += old.weights[i * oldTo + j];
+        }
+        continue;
+      }
+      if (staged.layerConfigs[to].type === 'pool') continue;
+      const r = staged.addSkip(from, to);
+      copyBlock(r.weights, fromN, toN, old.weights, oldFrom, oldTo);
+      copyBlock(r.eligibility, fromN, toN, old.eligibility, oldFrom, oldTo);
+      zeroRows(r.weights, fromN, toN, oldFrom);
+    }
+
+    // Carry live state so the picture doesn't blank out mid-run
+    sources.forEach((src, l) => {
+      if (src === null) return;
+      for (const key of ['activations', 'prevActivations', 'membrane']) {
+        const dst = staged[key][l];
+        dst.set(this[key][src].subarray(0, Math.min(dst.length, this[key][src].length)));
+      }
+    });
+
+    staged._applyMasks();
+
+    // Lesions follow their layer; those on removed layers or neurons go away
+    staged.dropout = sources.map(src => (src === null ? 0 : this.dropout[src]));
+    staged.overrides = this.overrides
+      .map(o => ({ ...o, layer: sources.indexOf(o.layer) }))
+      .filter(o => o.layer >= 0 && o.index < staged.layerConfigs[o.layer].size);
+
+    Object.assign(this, staged);
+  }
+
+  /**
+   * Per-matrix learning rules. Existing choices survive reconfigure/reset for
+   * every matrix index that still exists; rule state always starts fresh.
+   */
+  _initPlasticity() {
+    const prev = this.plasticity ?? [];
+    this.plasticity = this.weights.map((_, l) => prev[l] ?? makePlasticity());
+    this._ruleState = this.plasticity.map((p, l) => this._createRuleState(l, p.rule));
+    for (const r of this.recurrent) this._resetProjectionRule(r);
+  }
+
+  _createRuleState(layerIdx, rule) {
+    return LEARNING_RULES[rule].createState(
+      this.layerConfigs[layerIdx].size,
+      this.layerConfigs[layerIdx + 1].size,
+    );
+  }
+
+  /** Recurrent and skip projections follow the rule of the feedforward matrix into their target layer. */
+  _resetProjectionRule(r) {
+    const rule = LEARNING_RULES[this.plasticity[r.to - 1].rule];
+    r.ruleState = rule.createState(this.layerConfigs[r.from].size, this.layerConfigs[r.to].size);
+    r.eligibility.fill(0);
+  }
+
+  /**
+   * Choose the plasticity rule for one weight matrix. Switching rules clears
+   * that matrix's eligibility trace so the old rule's credit doesn't leak.
+   * @param {number} layerIdx - index of the weight matrix (0 = input→hidden1)
+   * @param {string} rule     - key of LEARNING_RULES
+   * @param {object} [params] - overrides for the rule's defaults
+   */
+  setLearningRule(layerIdx, rule, params = {}) {
+    const changed = this.plasticity[layerIdx].rule !== rule;
+    this.plasticity[layerIdx] = makePlasticity(rule, params);
+    if (changed) {
+      this._ruleState[layerIdx] = this._createRuleState(layerIdx, rule);
+      this.eligibility[layerIdx].fill(0);
+      for (const r of [...this.recurrent, ...this.skips]) {
+        if (r.to === layerIdx + 1) this._resetProjectionRule(r);
+      }
+    }
+  }
+
+  /**
+   * Skip projections: extra weight matrices from a layer to any later,
+   * non-adjacent one — input→output shortcuts, residual-style links. They
+   * read the source layer's activations from the same tick. Like plasticity,
+   * the list survives reconfigure wherever both layers still exist; weights
+   * start fresh.
+   */
+  _initSkips() {
+    const prev = this.skips ?? [];
+    this.skips = [];
+    for (const s of prev) {
+      if (s.to < this.numLayers) this.addSkip(s.from, s.to);
+    }
+  }
+
+  /**
+   * Add a skip projection. Weight layout matches feedforward matrices.
+   * @param {number} from - source layer
+   * @param {number} to   - target layer, at least two after `from`, not a pooling layer
+   * @returns {object} the projection { from, to, weights, eligibility }
+   */
+  addSkip(from, to) {
+    if (!(Number.isInteger(from) && Number.isInteger(to) && from >= 0 && to < this.numLayers && to - from >= 2)) {
+      throw new Error(`A skip needs a later, non-adjacent target layer (got ${from} → ${to})`);
+    }
+    if (this.skips.some(s => s.from === from && s.to === to)) throw new Error(`Skip ${from} → ${to} already exists`);
+    if (this.layerConfigs[to].type === 'pool') throw new Error(`Layer ${to} pools its window only — it can't take a skip`);
+
+    const fromN = this.layerConfigs[from].size;
+    const toN = this.layerConfigs[to].size;
+    const limit = Math.sqrt(6.0 / (fromN + toN)) * SKIP_INIT_SCALE;
+    const weights = new Float32Array(fromN * toN);
+    for (let k = 0; k < weights.length; k++) weights[k] = rand.uniform(-limit, limit);
+
+    const skip = {
+      from, to, weights,
+      eligibility: new Float32Array(fromN * toN),
+      ruleState: null,
+      _grad: new Float32Array(fromN * toN),
+    };
+    this._resetProjectionRule(skip);
+    this.skips.push(skip);
+    this._optimizerState = null; // per-parameter state no longer lines up
+    return skip;
+  }
+
+  /** @returns {boolean} whether a skip was removed */
+  removeSkip(from, to) {
+    const k = this.skips.findIndex(s => s.from === from && s.to === to);
+    if (k < 0) return false;
+    this.skips.splice(k, 1);
+    this._optimizerState = null;
+    return true;
+  }
+
+  /**
+   * Neuron overrides and per-layer dropout rates. Like plasticity, they
+   * survive reconfigure wherever their layer and neuron still exist.
+   */
+  _initLesions() {
+    const prevDropout = this.dropout ?? [];
+    this.dropout = this.layerConfigs.map((_, l) => prevDropout[l] ?? 0);
+    this.overrides = (this.overrides ?? []).filter(o =>
+      o.layer < this.numLayers && o.index < this.layerConfigs[o.layer].size);
+  }
+
+  /**
+   * Override one neuron's output in forward(): 'silence' forces 0, 'clamp'
+   * holds it at `value`, 'noise' adds Gaussian noise with standard
+   * deviation `value`. Pass 'none' to remove the override.
+   * @param {number} layer
+   * @param {number} index
+   * @param {string} type   - key of NEURON_OVERRIDES, or 'none'
+   * @param {number} [value]
+   */
+  setOverride(layer, index, type, value = 0) {
+    if (!(layer >= 0 && layer < this.numLayers && index >= 0 && index < this.layerConfigs[layer].size)) {
+      throw new Error(`No neuron ${index} in layer ${layer}`);
+    }
+    if (type !== 'none' && !NEURON_OVERRIDES[type]) throw new Error(`Unknown neuron override: ${type}`);
+    this.overrides = this.overrides.filter(o => o.layer !== layer || o.index !== index);
+    if (type !== 'none') this.overrides.push({ layer, index, type, value: Number(value) || 0 });
+  }
+
+  /** The override on one neuron, or null. */
+  getOverride(layer, index) {
+    return this.overrides.find(o => o.layer === layer && o.index === index) ?? null;
+  }
+
+  /**
+   * Remove neuron overrides.
+   * @param {number} [layer] - only this layer; every layer when omitted
+   */
+  clearOverrides(layer) {
+    this.overrides = layer === undefined ? [] : this.overrides.filter(o => o.layer !== layer);
+  }
+
+  /**
+   * Drop each neuron of a layer with probability `rate` on every forward pass.
+   * Dropped neurons output 0 and nothing is rescaled — it's a lesion, not
+   * a training regularizer.
+   * @param {number} layer
+   * @param {number} rate - 0…1
+   */
+  setDropout(layer, rate) {
+    this.dropout[layer] = Math.max(0, Math.min(1, Number(rate) || 0));
+  }
+
+  /**
+   * Apply dropout and neuron overrides to one layer's fresh activations,
+   * marking neurons whose output no longer depends on their input.
+   */
+  _applyLesions(l) {
+    const acts = this.activations[l];
+    const held = this._held[l];
+    held.fill(0);
+    const rate = this.dropout[l];
+    if (rate > 0) {
+      for (let i = 0; i < acts.length; i++) {
+        if (lesionRand.next() < rate) { acts[i] = 0; held[i] = 1; }
+      }
+    }
+    for (const o of this.overrides) {
+      if (o.layer !== l) continue;
+      const type = NEURON_OVERRIDES[o.type];
+      acts[o.index] = type.apply(acts[o.index], o.value, lesionRand);
+      if (type.held) held[o.index] = 1;
+    }
+  }
+
+  /**
+   * Per-matrix connection masks. Like plasticity, the connectivity settings
+   * survive reconfigure; masks are regenerated (manual edits and pruning reset).
+   * Matrices into feature-map layers always use their window mask.
+   */
+  _initConnectivity() {
+    const prev = this.connectivity ?? [];
+    this.connectivity = this.weights.map((_, l) => ({ ...CONNECTIVITY_DEFAULTS, ...prev[l] }));
+    this.masks = this.connectivity.map((c, l) => this._buildMask(l, c));
+    this._applyMasks();
+  }
+
+  _buildMask(layerIdx, cfg) {
+    const win = this._windows[layerIdx];
+    if (win) return Uint8Array.from(win.mask);
+    const type = CONNECTIVITY_TYPES[cfg.type] ?? CONNECTIVITY_TYPES.dense;
+    return type.build(this.layerConfigs[layerIdx].size, this.layerConfigs[layerIdx + 1].size, cfg);
+  }
+
+  /**
+   * Change the connectivity pattern of one weight matrix. Surviving
+   * connections keep their weights; newly created ones start small.
+   * @param {number} layerIdx
+   * @param {{type?: string, density?: number, radius?: number}} cfg
+   */
+  setConnectivity(layerIdx, cfg) {
+    this._assertEditable(layerIdx);
+    const next = { ...this.connectivity[layerIdx], ...cfg };
+    if (!CONNECTIVITY_TYPES[next.type]) throw new Error(`Unknown connectivity type: ${next.type}`);
+    this.connectivity[layerIdx] = next;
+    const mask = this._buildMask(layerIdx, next);
+    this._setMask(layerIdx, mask);
+  }
+
+  /** Replace a mask, initializing any connection that wasn't live before. */
+  _setMask(layerIdx, mask) {
+    const old = this.masks[layerIdx];
+    for (let k = 0; k < mask.length; k++) {
+      if (mask[k] && !old[k]) this._reviveWeight(layerIdx, k);
+    }
+    this.masks[layerIdx] = mask;
+    this._applyMasks();
+  }
+
+  _reviveWeight(layerIdx, k) {
+    const inN = this.layerConfigs[layerIdx].size;
+    const outN = this.layerConfigs[layerIdx + 1].size;
+    const limit = Math.sqrt(6.0 / (inN + outN)) * REGROW_INIT_SCALE;
+    this.weights[layerIdx][k] = rand.uniform(-limit, limit);
+    this.eligibility[layerIdx][k] = 0;
+  }
+
+  /** Zero the weight and trace of every absent connection. */
+  _applyMasks() {
+    for (let l = 0; l < this.masks.length; l++) {
+      const mask = this.masks[l];
+      const w = this.weights[l];
+      const elig = this.eligibility[l];
+      for (let k = 0; k < mask.length; k++) {
+        if (!mask[k]) { w[k] = 0; elig[k] = 0; }
+      }
+    }
+  }
+
+  /** Feature-map windows are fixed by kernel and stride — reject mask edits. */
+  _assertEditable(layerIdx) {
+    const win = this._windows[layerIdx];
+    if (win) throw new Error(`Matrix ${layerIdx} feeds a ${win.kind} layer; its connections follow the window`);
+  }
+
+  isConnected(layerIdx, from, to) {
+    return this.masks[layerIdx][from * this.layerConfigs[layerIdx + 1].size + to] === 1;
+  }
+
+  /**
+   * Flip one connection on or off.
+   * @returns {boolean} whether the connection is now live
+   */
+  toggleConnection(layerIdx, from, to) {
+    this._assertEditable(layerIdx);
+    const mask = Uint8Array.from(this.masks[layerIdx]);
+    const k = from * this.layerConfigs[layerIdx + 1].size + to;
+    mask[k] = mask[k] ? 0 : 1;
+    this._setMask(layerIdx, mask);
+    return mask[k] === 1;
+  }
+
+  /**
+   * Remove the weakest live connections of every feedforward matrix
+   * except those into feature-map layers.
+   * @param {number} percent - share of each matrix's live connections to cut
+   * @returns {number} connections removed
+   */
+  prune(percent) {
+    let removed = 0;
+    this.masks.forEach((mask, l) => {
+      if (this._windows[l]) return;
+      const w = this.weights[l];
+      const live = [];
+      for (let k = 0; k < mask.length; k++) if (mask[k]) live.push(k);
+      const count = Math.floor(live.length * percent / 100);
+      live.sort((a, b) => Math.abs(w[a]) - Math.abs(w[b]));
+      for (let n = 0; n < count; n++) mask[live[n]] = 0;
+      removed += count;
+    });
+    this._applyMasks();
+    return removed;
+  }
+
+  /**
+   * Re-create randomly chosen absent connections with small fresh weights.
+   * @param {number} percent - share of each matrix's absent connections to restore
+   * @returns {number} connections added
+   */
+  regrow(percent) {
+    let added = 0;
+    this.masks.forEach((mask, l) => {
+      if (this._windows[l]) return;
+      const dead = [];
+      for (let k = 0; k < mask.length; k++) if (!mask[k]) dead.push(k);
+      const count = Math.ceil(dead.length * percent / 100);
+      for (let n = 0; n < count; n++) {
+        // Partial Fisher-Yates: draw without replacement
+        const pick = n + rand.int(dead.length - n);
+        [dead[n], dead[pick]] = [dead[pick], dead[n]];
+        mask[dead[n]] = 1;
+        this._reviveWeight(l, dead[n]);
+      }
+      added += count;
+    });
+    return added;
   }
 
   _initWeightsAndState() {
     this.activations = this.layerConfigs.map(l => new Float32Array(l.size).fill(0));
+    // Previous tick's activations, for timing-based learning rules
+    this.prevActivations = this.layerConfigs.map(l => new Float32Array(l.size).fill(0));
+    // Weighted sums before the activation function, kept for backprop.
+    // In spiking mode these are the input currents.
+    this.preActivations = this.layerConfigs.map(l => new Float32Array(l.size).fill(0));
+    // LIF state for spiking mode
+    this.membrane = this.layerConfigs.map(l => new Float32Array(l.size).fill(0));
+    this.refractory = this.layerConfigs.map(l => new Uint8Array(l.size));
+    // Neurons pinned by a lesion this tick — they pass no gradient
+    this._held = this.layerConfigs.map(l => new Uint8Array(l.size));
+    // Window structure of each matrix into a feature-map layer, else null
+    this._windows = this.layerConfigs.slice(1).map((cfg, l) =>
+      (isFeatureMap(cfg) ? buildWindows(this.layerConfigs[l], cfg) : null));
+    // Which input each max-pooling unit passed on this tick, for backprop
+    this._argmax = this.layerConfigs.map(l => (l.type === 'pool' ? new Int32Array(l.size) : null));
     this.weights = [];
     this.biases = [];
     this.eligibility = [];
 
+    // Supervised training scratch space — see train()
+    this._deltas = this.layerConfigs.map(l => new Float32Array(l.size));
+    this._gradW = [];
+    this._gradB = [];
+    this._optimizerName = null;
+    this._optimizerState = null;
+
     for (let l = 0; l < this.numLayers - 1; l++) {
       const inN = this.layerConfigs[l].size;
       const outN = this.layerConfigs[l + 1].size;
-      // Xavier uniform initialization
-      const limit = Math.sqrt(6.0 / (inN + outN));
+      const win = this._windows[l];
       const w = new Float32Array(inN * outN);
-      for (let k = 0; k < w.length; k++) {
-        w[k] = (Math.random() * 2 - 1) * limit;
+      if (win?.kind === 'conv') {
+        // Xavier over the kernel's fan-in and fan-out, then copied to every position
+        const { channels, kernel: k } = this.layerConfigs[l + 1];
+        const limit = Math.sqrt(6.0 / (win.span + channels * k * k));
+        const kernel = new Float32Array(win.reps.length);
+        for (let t = 0; t < kernel.length; t++) kernel[t] = rand.uniform(-limit, limit);
+        scatterTied(w, win.tie, kernel);
+      } else if (win?.kind === 'pool') {
+        // Fixed: a mean weights its window evenly, a max passes one input whole
+        const value = this.layerConfigs[l + 1].pool === 'avg' ? 1 / win.span : 1;
+        for (let k = 0; k < w.length; k++) w[k] = win.mask[k] ? value : 0;
+      } else {
+        // Xavier uniform initialization
+        const limit = Math.sqrt(6.0 / (inN + outN));
+        for (let k = 0; k < w.length; k++) {
+          w[k] = rand.uniform(-limit, limit);
+        }
       }
       this.weights.push(w);
       this.biases.push(new Float32Array(outN).fill(0));
       this.eligibility.push(new Float32Array(inN * outN).fill(0));
+      this._gradW.push(new Float32Array(inN * outN));
+      this._gradB.push(new Float32Array(outN));
     }
+
+    this._initRecurrent();
+  }
+
+  /**
+   * Build recurrent projections from the layer flags. Each reads its source
+   * layer's previous-tick activations, so hidden state carries across ticks.
+   * Weight layout matches feedforward matrices: index i * toN + j.
+   */
+  _initRecurrent() {
+    this.recurrent = [];
+    const last = this.numLayers - 1;
+    const add = (from, to) => {
+      const fromN = this.layerConfigs[from].size;
+      const toN = this.layerConfigs[to].size;
+      const limit = Math.sqrt(6.0 / (fromN + toN)) * RECURRENT_INIT_SCALE;
+      const weights = new Float32Array(fromN * toN);
+      for (let k = 0; k < weights.length; k++) {
+        weights[k] = rand.uniform(-limit, limit);
+      }
+      this.recurrent.push({
+        from, to, weights,
+        eligibility: new Float32Array(fromN * toN),
+        ruleState: null, // set by _initPlasticity
+        _grad: new Float32Array(fromN * toN),
+      });
+    };
+
+    for (let l = 1; l < last; l++) {
+      if (this.layerConfigs[l].recurrent) add(l, l);
+    }
+    if (this.layerConfigs[last].feedback) add(last, 1);
   }
 
   /**
    * Run a forward pass. Stores activations internally.
+   * In spiking mode this advances every LIF neuron by one tick and
+   * activations hold spikes (1 fired, 0 silent).
    * @param {number[]} inputs
    * @returns {Float32Array[]} activations per layer
    */
   forward(inputs) {
-    // Set input layer
-    const inp = this.activations[0];
+    for (let l = 0; l < this.numLayers; l++) this.prevActivations[l].set(this.activations[l]);
+    const spiking = this.mode === 'spiking';
+
+    // Set input layer — in spiking mode the stimulus is an input current
+    const inp = spiking ? this.preActivations[0] : this.activations[0];
+    const gain = spiking ? this.spiking.inputGain : 1;
     for (let i = 0; i < Math.min(inputs.length, inp.length); i++) {
-      inp[i] = inputs[i];
+      inp[i] = inputs[i] * gain;
     }
+    if (spiking) {
+      lifStep(inp, this.membrane[0], this.refractory[0], this.activations[0], this.spiking);
+    }
+    this._applyLesions(0);
 
     for (let l = 0; l < this.numLayers - 1; l++) {
       const inN = this.layerConfigs[l].size;
       const outN = this.layerConfigs[l + 1].size;
-      const actFn = ACTIVATIONS[this.layerConfigs[l + 1].activation]?.fn ?? ACTIVATIONS.sigmoid.fn;
+      const actFn = this._activationFor(l + 1).fn;
       const w = this.weights[l];
       const b = this.biases[l];
       const pre = this.activations[l];
       const post = this.activations[l + 1];
+      const z = this.preActivations[l + 1];
       const elig = this.eligibility[l];
+      const win = this._windows[l];
 
-      for (let j = 0; j < outN; j++) {
-        let sum = b[j];
-        for (let i = 0; i < inN; i++) {
-          sum += pre[i] * w[i * outN + j];
+      if (win?.kind === 'pool') {
+        this._pool(l, win);
+      } else if (win) {
+        // Convolution: only the window's entries are live
+        const { span, windows } = win;
+        for (let j = 0; j < outN; j++) {
+          let sum = b[j];
+          for (let n = j * span; n < (j + 1) * span; n++) {
+            const i = windows[n];
+            sum += pre[i] * w[i * outN + j];
+          }
+          z[j] = sum;
+        }
+      } else {
+        for (let j = 0; j < outN; j++) {
+          let sum = b[j];
+          for (let i = 0; i < inN; i++) {
+            sum += pre[i] * w[i * outN + j];
+          }
+          z[j] = sum;
         }
-        post[j] = actFn(sum);
       }
 
-      // Eligibility trace: Hebbian correlation, decaying over time
-      const decay = 0.92;
-      for (let i = 0; i < inN; i++) {
-        for (let j = 0; j < outN; j++) {
-          elig[i * outN + j] = decay * elig[i * outN + j] + pre[i] * post[j];
+      // Recurrent input from the previous tick's activations
+      for (const r of this.recurrent) {
+        if (r.to !== l + 1) continue;
+        const src = this.prevActivations[r.from];
+        for (let i = 0; i < src.length; i++) {
+          if (src[i] === 0) continue;
+          for (let j = 0; j < outN; j++) z[j] += src[i] * r.weights[i * outN + j];
+        }
+      }
+
+      // Skip input from earlier layers, already computed this tick
+      for (const s of this.skips) {
+        if (s.to !== l + 1) continue;
+        const src = this.activations[s.from];
+        for (let i = 0; i < src.length; i++) {
+          if (src[i] === 0) continue;
+          for (let j = 0; j < outN; j++) z[j] += src[i] * s.weights[i * outN + j];
         }
       }
+
+      if (spiking) {
+        lifStep(z, this.membrane[l + 1], this.refractory[l + 1], post, this.spiking);
+      } else {
+        for (let j = 0; j < outN; j++) post[j] = actFn(z[j]);
+      }
+      this._applyLesions(l + 1);
+
+      // Eligibility trace, accumulated by this matrix's learning rule.
+      // Convolutions trace per position; reinforce() sums them per kernel weight.
+      const { rule, params } = this.plasticity[l];
+      if (win?.kind !== 'pool') {
+        LEARNING_RULES[rule].trace({
+          elig, w, pre, post,
+          prevPre: this.prevActivations[l],
+          prevPost: this.prevActivations[l + 1],
+          inN, outN,
+          state: this._ruleState[l],
+        }, params);
+      }
+
+      for (const r of this.recurrent) {
+        if (r.to !== l + 1) continue;
+        // The recurrent presynaptic signal is already one tick old
+        const src = this.prevActivations[r.from];
+        LEARNING_RULES[rule].trace({
+          elig: r.eligibility, w: r.weights,
+          pre: src, post,
+          prevPre: src,
+          prevPost: this.prevActivations[l + 1],
+          inN: src.length, outN,
+          state: r.ruleState,
+        }, params);
+      }
+
+      for (const s of this.skips) {
+        if (s.to !== l + 1) continue;
+        LEARNING_RULES[rule].trace({
+          elig: s.eligibility, w: s.weights,
+          pre: this.activations[s.from], post,
+          prevPre: this.prevActivations[s.from],
+          prevPost: this.prevActivations[l + 1],
+          inN: this.activations[s.from].length, outN,
+          state: s.ruleState,
+        }, params);
+      }
     }
 
     return this.activations;
   }
 
+  /** Max or mean of each pooling window into the next layer's pre-activations. */
+  _pool(l, win) {
+    const pre = this.activations[l];
+    const z = this.preActivations[l + 1];
+    const argmax = this._argmax[l + 1];
+    const max = this.layerConfigs[l + 1].pool === 'max';
+    const { span, windows } = win;
+    for (let j = 0; j < z.length; j++) {
+      let best = -Infinity;
+      let sum = 0;
+      for (let n = j * span; n < (j + 1) * span; n++) {
+        const v = pre[windows[n]];
+        sum += v;
+        if (v > best) { best = v; argmax[j] = windows[n]; }
+      }
+      z[j] = max ? best : sum / span;
+    }
+  }
+
   /**
    * Apply a reinforcement signal using eligibility traces.
    * Positive reward strengthens recently active connections,
-   * negative reward weakens them.
+   * negative reward weakens them. A shared kernel weight moves by the sum
+   * of its positions' traces; pooling matrices don't learn.
    * @param {number} reward  - typically +1 or -1
    * @param {number} lr      - learning rate
    */
   reinforce(reward, lr = 0.01) {
     for (let l = 0; l < this.weights.length; l++) {
+      const win = this._windows[l];
+      if (win) {
+        if (win.kind === 'conv') this._reinforceKernel(l, win, reward, lr);
+        continue;
+      }
       const w = this.weights[l];
       const elig = this.eligibility[l];
+      const mask = this.masks[l];
+      const { clamp, normalize } = this.plasticity[l].params;
+      const outN = this.layerConfigs[l + 1].size;
+      const norms = normalize ? this._incomingNorms(w, outN) : null;
+
       for (let k = 0; k < w.length; k++) {
+        if (!mask[k]) continue;
         w[k] += lr * reward * elig[k];
         // Soft clamp to prevent runaway weights
-        w[k] = Math.max(-4, Math.min(4, w[k]));
+        w[k] = Math.max(-clamp, Math.min(clamp, w[k]));
       }
+
+      // Synaptic normalization: each neuron keeps its total incoming strength
+      if (norms) this._restoreNorms(w, outN, norms);
+    }
+
+    // Recurrent and skip projections follow the rule of the matrix into their target layer
+    for (const r of [...this.recurrent, ...this.skips]) {
+      const { clamp, normalize } = this.plasticity[r.to - 1].params;
+      const w = r.weights;
+      const outN = this.layerConfigs[r.to].size;
+      const norms = normalize ? this._incomingNorms(w, outN) : null;
+      for (let k = 0; k < w.length; k++) {
+        w[k] = Math.max(-clamp, Math.min(clamp, w[k] + lr * reward * r.eligibility[k]));
+      }
+      if (norms) this._restoreNorms(w, outN, norms);
+    }
+  }
+
+  _reinforceKernel(l, win, reward, lr) {
+    const { clamp } = this.plasticity[l].params;
+    const kernel = gatherTied(this.weights[l], win.reps);
+    const trace = sumTied(this.eligibility[l], win.tie, kernel.length);
+    for (let t = 0; t < kernel.length; t++) {
+      kernel[t] = Math.max(-clamp, Math.min(clamp, kernel[t] + lr * reward * trace[t]));
+    }
+    scatterTied(this.weights[l], win.tie, kernel);
+  }
+
+  /** L2 norm of each post-synaptic neuron's incoming weight vector. */
+  _incomingNorms(w, outN) {
+    const norms = new Float32Array(outN);
+    for (let k = 0; k < w.length; k++) norms[k % outN] += w[k] * w[k];
+    for (let j = 0; j < outN; j++) norms[j] = Math.sqrt(norms[j]);
+    return norms;
+  }
+
+  /** Rescale each post-synaptic neuron's incoming weights back to the given L2 norms. */
+  _restoreNorms(w, outN, norms) {
+    const after = this._incomingNorms(w, outN);
+    for (let k = 0; k < w.length; k++) {
+      const j = k % outN;
+      if (after[j] > 1e-9) w[k] *= norms[j] / after[j];
     }
   }
 
+  /**
+   * Supervised step: forward pass, backpropagate the loss against targets,
+   * then update every weight and bias with the chosen optimizer.
+   * @param {number[]} inputs
+   * @param {number[]} targets   - one value per output neuron
+   * @param {number} lr          - learning rate
+   * @param {object} [opts]
+   * @param {string} [opts.loss]       - key of LOSSES
+   * @param {string} [opts.optimizer]  - key of OPTIMIZERS
+   * @returns {number} mean loss over the output layer (before the update)
+   */
+  train(inputs, targets, lr = 0.01, { loss = 'mse', optimizer = 'sgd' } = {}) {
+    if (this.mode !== 'rate') throw new Error('Supervised training requires rate mode');
+    this.forward(inputs);
+
+    const lossFn = LOSSES[loss] ?? LOSSES.mse;
+    const opt = OPTIMIZERS[optimizer] ?? OPTIMIZERS.sgd;
+    const last = this.numLayers - 1;
+    const out = this.activations[last];
+
+    // Output deltas: ∂loss/∂z = ∂loss/∂y · f'(z)
+    let total = 0;
+    const outDeriv = this._activationFor(last).deriv;
+    const outHeld = this._held[last];
+    for (let j = 0; j < out.length; j++) {
+      const t = targets[j] ?? 0;
+      total += lossFn.fn(out[j], t);
+      this._deltas[last][j] = outHeld[j]
+        ? 0
+        : lossFn.grad(out[j], t) / out.length * outDeriv(this.preActivations[last][j], out[j]);
+    }
+
+    // Backward pass — gradients are computed for every layer before any
+    // weight moves, so deltas propagate through the pre-update weights
+    for (let l = last - 1; l >= 0; l--) {
+      const inN = this.layerConfigs[l].size;
+      const outN = this.layerConfigs[l + 1].size;
+      const w = this.weights[l];
+      const pre = this.activations[l];
+      const delta = this._deltas[l + 1];
+      const gW = this._gradW[l];
+      const gB = this._gradB[l];
+
+      for (let i = 0; i < inN; i++) {
+        for (let j = 0; j < outN; j++) gW[i * outN + j] = pre[i] * delta[j];
+      }
+      gB.set(delta);
+
+      if (l > 0) {
+        const deriv = this._activationFor(l).deriv;
+        const z = this.preActivations[l];
+        const prevDelta = this._deltas[l];
+        const held = this._held[l];
+        // Max pooling hands each unit's error to the input it passed on
+        const route = this.layerConfigs[l + 1].pool === 'max' ? this._argmax[l + 1] : null;
+        for (let i = 0; i < inN; i++) {
+          if (held[i]) { prevDelta[i] = 0; continue; }
+          let sum = 0;
+          if (route) {
+            for (let j = 0; j < outN; j++) if (route[j] === i) sum += delta[j];
+          } else {
+            for (let j = 0; j < outN; j++) sum += w[i * outN + j] * delta[j];
+          }
+          // Skips out of this layer carry error back from further downstream
+          for (const s of this.skips) {
+            if (s.from !== l) continue;
+            const skipDelta = this._deltas[s.to];
+            const toN = skipDelta.length;
+            for (let j = 0; j < toN; j++) sum += s.weights[i * toN + j] * skipDelta[j];
+          }
+          prevDelta[i] = sum * deriv(z[i], pre[i]);
+        }
+      }
+    }
+
+    // Recurrent weights: truncated to one step — the previous tick's
+    // activations are treated as a fixed input
+    for (const r of this.recurrent) {
+      const src = this.prevActivations[r.from];
+      const delta = this._deltas[r.to];
+      const toN = delta.length;
+      for (let i = 0; i < src.length; i++) {
+        for (let j = 0; j < toN; j++) r._grad[i * toN + j] = src[i] * delta[j];
+      }
+    }
+
+    for (const s of this.skips) {
+      const src = this.activations[s.from];
+      const delta = this._deltas[s.to];
+      const toN = delta.length;
+      for (let i = 0; i < src.length; i++) {
+        for (let j = 0; j < toN; j++) s._grad[i * toN + j] = src[i] * delta[j];
+      }
+    }
+
+    // Optimizer state is per-parameter; start fresh when the rule changes
+    if (this._optimizerName !== optimizer || !this._optimizerState) {
+      this._optimizerName = optimizer;
+      // Convolutions keep state per shared weight rather than per position
+      this._optimizerState = {
+        weights: this.weights.map((w, l) => opt.createState(this._windows[l]?.reps?.length ?? w.length)),
+        biases: this.biases.map((b, l) => opt.createState(this._windows[l]?.biasReps?.length ?? b.length)),
+        recurrent: this.recurrent.map(r => opt.createState(r.weights.length)),
+        skips: this.skips.map(s => opt.createState(s.weights.length)),
+      };
+    }
+    for (let l = 0; l < this.weights.length; l++) {
+      const win = this._windows[l];
+      if (win?.kind === 'pool') continue;
+      if (win) {
+        // Shared weights step on the summed gradient of all their positions
+        const kernel = gatherTied(this.weights[l], win.reps);
+        opt.step(kernel, sumTied(this._gradW[l], win.tie, kernel.length), this._optimizerState.weights[l], lr);
+        scatterTied(this.weights[l], win.tie, kernel);
+        const bias = gatherTied(this.biases[l], win.biasReps);
+        opt.step(bias, sumTied(this._gradB[l], win.biasTie, bias.length), this._optimizerState.biases[l], lr);
+        scatterTied(this.biases[l], win.biasTie, bias);
+        continue;
+      }
+      opt.step(this.weights[l], this._gradW[l], this._optimizerState.weights[l], lr);
+      opt.step(this.biases[l], this._gradB[l], this._optimizerState.biases[l], lr);
+    }
+    this.recurrent.forEach((r, k) => {
+      opt.step(r.weights, r._grad, this._optimizerState.recurrent[k], lr);
+    });
+    this.skips.forEach((s, k) => {
+      opt.step(s.weights, s._grad, this._optimizerState.skips[k], lr);
+    });
+    this._applyMasks();
+
+    return total / out.length;
+  }
+
+  _activationFor(layerIdx) {
+    const name = this.layerConfigs[layerIdx].activation;
+    return hasActivation(name) ? ACTIVATIONS[name] : ACTIVATIONS.sigmoid;
+  }
+
   /**
    * Read a single weight value.
    * @param {number} layerIdx - index of the weight matrix (0 = input→hidden1)
@@ -110,15 +1000,216 @@ export class NeuralNetwork {
     return this.weights[layerIdx][from * outN + to];
   }
 
+  // ─── Serialization ──────────────────────────────────────────────────────────
+
+  /**
+   * Serialize the full network state (topology, weights, biases, traces)
+   * into a plain JSON-safe object.
+   */
+  toJSON() {
+    // Carry definitions of any custom activations in use so the snapshot is self-contained
+    const customs = customActivations();
+    const usedCustoms = Object.fromEntries(
+      this.layerConfigs.filter(l => customs[l.activation]).map(l => [l.activation, customs[l.activation]]),
+    );
+
+    return {
+      version: SNAPSHOT_VERSION,
+      customActivations: usedCustoms,
+      mode: this.mode,
+      spiking: { ...this.spiking },
+      layerConfigs: this.layerConfigs.map(l => ({ ...l })),
+      weights: this.weights.map(w => Array.from(w)),
+      biases: this.biases.map(b => Array.from(b)),
+      eligibility: this.eligibility.map(e => Array.from(e)),
+      plasticity: this.plasticity.map(p => ({ rule: p.rule, params: { ...p.params } })),
+      connectivity: this.connectivity.map(c => ({ ...c })),
+      masks: this.masks.map(m => Array.from(m)),
+      recurrent: this.recurrent.map(r => ({
+        from: r.from,
+        to: r.to,
+        weights: Array.from(r.weights),
+        eligibility: Array.from(r.eligibility),
+      })),
+      skips: this.skips.map(s => ({
+        from: s.from,
+        to: s.to,
+        weights: Array.from(s.weights),
+        eligibility: Array.from(s.eligibility),
+      })),
+      dropout: [...this.dropout],
+      overrides: this.overrides.map(o => ({ ...o })),
+    };
+  }
+
+  /**
+   * Replace this network's state in place with a snapshot from toJSON().
+   * Topology is rebuilt from the snapshot, so callers holding a reference
+   * to this instance (visualizer, UI) stay valid. Throws without touching
+   * the current state if the snapshot is malformed.
+   * @param {object} data
+   * @param {object} [opts]
+   * @param {boolean} [opts.keepLive] - if the topology is unchanged, carry on
+   *   from the current activity (see _adoptLiveState) rather than from rest
+   */
+  loadJSON(data, { keepLive = false } = {}) {
+    if (!data || !Array.isArray(data.layerConfigs) || data.layerConfigs.length < 2) {
+      throw new Error('Snapshot is missing layerConfigs');
+    }
+    if (!(data.version <= SNAPSHOT_VERSION)) {
+      throw new Error(`Unsupported snapshot version: ${data.version}`);
+    }
+
+    // Register custom activations this snapshot needs; local definitions win
+    for (const [name, def] of Object.entries(data.customActivations ?? {})) {
+      if (!hasActivation(name)) registerActivation(name, def);
+    }
+
+    // Fill a staging network first so a bad snapshot leaves this one intact
+    const staged = new NeuralNetwork(data.layerConfigs);
+
+    const copyInto = (targets, source, name) => {
+      if (!source) return;
+      if (source.length !== targets.length) {
+        throw new Error(`Snapshot ${name} has ${source.length} matrices, expected ${targets.length}`);
+      }
+      targets.forEach((t, l) => {
+        if (source[l].length !== t.length) {
+          throw new Error(`Snapshot ${name}[${l}] has ${source[l].length} values, expected ${t.length}`);
+        }
+        t.set(source[l]);
+      });
+    };
+
+    // Learning rules are optional — older snapshots fall back to Hebbian.
+    // Set before copying traces, since a rule change clears them.
+    data.plasticity?.forEach((p, l) => {
+      if (l < staged.plasticity.length) staged.setLearningRule(l, p.rule, p.params);
+    });
+
+    // Masks before weights: _applyMasks would otherwise zero restored values
+    data.connectivity?.forEach((c, l) => {
+      if (l < staged.connectivity.length) staged.connectivity[l] = { ...CONNECTIVITY_DEFAULTS, ...c };
+    });
+    copyInto(staged.masks, data.masks, 'masks');
+
+    copyInto(staged.weights, data.weights, 'weights');
+    copyInto(staged.biases, data.biases, 'biases');
+    copyInto(staged.eligibility, data.eligibility, 'eligibility');
+
+    if (data.recurrent) {
+      const matches = data.recurrent.length === staged.recurrent.length &&
+        data.recurrent.every((r, k) => r.from === staged.recurrent[k].from && r.to === staged.recurrent[k].to);
+      if (!matches) throw new Error('Snapshot recurrent projections do not match its layer flags');
+      copyInto(staged.recurrent.map(r => r.weights), data.recurrent.map(r => r.weights), 'recurrent weights');
+      copyInto(staged.recurrent.map(r => r.eligibility), data.recurrent.map(r => r.eligibility), 'recurrent eligibility');
+    }
+
+    // Skips are optional; addSkip validates each endpoint pair
+    for (const sk of data.skips ?? []) staged.addSkip(sk.from, sk.to);
+    copyInto(staged.skips.map(sk => sk.weights), data.skips?.map(sk => sk.weights), 'skip weights');
+    copyInto(staged.skips.map(sk => sk.eligibility), data.skips?.map(sk => sk.eligibility), 'skip eligibility');
+
+    // Lesions are optional; setOverride validates each one
+    data.dropout?.forEach((rate, l) => {
+      if (l < staged.numLayers) staged.setDropout(l, rate);
+    });
+    for (const o of data.overrides ?? []) staged.setOverride(o.layer, o.index, o.type, o.value);
+
+    Object.assign(staged.spiking, data.spiking);
+    staged.setMode(data.mode ?? 'rate');
+
+    if (keepLive && this.hasTopology(data.layerConfigs)) staged._adoptLiveState(this);
+    Object.assign(this, staged);
+  }
+
+  /**
+   * Take over the running state of a network with the same topology:
+   * activations, LIF state, learning-rule state where the rule is unchanged,
+   * and optimizer moments while the skip projections still line up.
+   */
+  _adoptLiveState(from) {
+    for (const key of ['activations', 'prevActivations', 'preActivations', 'membrane', 'refractory']) {
+      this[key] = from[key];
+    }
+    const sameRule = l => this.plasticity[l].rule === from.plasticity[l].rule;
+    this.plasticity.forEach((_, l) => { if (sameRule(l)) this._ruleState[l] = from._ruleState[l]; });
+    this.recurrent.forEach((r, k) => { if (sameRule(r.to - 1)) r.ruleState = from.recurrent[k].ruleState; });
+
+    const sameSkips = this.skips.length === from.skips.length &&
+      this.skips.every((s, k) => s.from === from.skips[k].from && s.to === from.skips[k].to);
+    if (!sameSkips) return;
+    this.skips.forEach((s, k) => { if (sameRule(s.to - 1)) s.ruleState = from.skips[k].ruleState; });
+    this._optimizerName = from._optimizerName;
+    this._optimizerState = from._optimizerState;
+  }
+
+  /**
+   * Build a new network from a snapshot produced by toJSON().
+   * @param {object} data
+   * @returns {NeuralNetwork}
+   */
+  static fromJSON(data) {
+    const net = new NeuralNetwork([{ size: 1 }, { size: 1 }]);
+    net.loadJSON(data);
+    return net;
+  }
+
+  /**
+   * True if the given layer configs match this network's types, sizes,
+   * feature-map windows and activations.
+   * @param {Array<{size: number, activation: string}>} layerConfigs
+   */
+  hasTopology(layerConfigs) {
+    return layerConfigs.length === this.numLayers &&
+      layerConfigs.every((l, i) => {
+        const own = this.layerConfigs[i];
+        return (l.type ?? 'dense') === own.type &&
+          (l.size | 0) === own.size &&
+          (l.channels ?? 1) === own.channels &&
+          l.kernel === own.kernel && l.stride === own.stride && l.pool === own.pool &&
+          (l.activation || 'sigmoid') === own.activation &&
+          !!l.recurrent === own.recurrent &&
+          !!l.feedback === own.feedback;
+      });
+  }
+
+  /**
+   * Read a single recurrent weight.
+   * @param {number} projIdx - index into this.recurrent
+   * @param {number} from    - neuron index in the source layer
+   * @param {number} to      - neuron index in the target layer
+   */
+  getRecurrentWeight(projIdx, from, to) {
+    const r = this.recurrent[projIdx];
+    return r.weights[from * this.layerConfigs[r.to].size + to];
+  }
+
+  /**
+   * Read a single skip weight.
+   * @param {number} projIdx - index into this.skips
+   * @param {number} from    - neuron index in the source layer
+   * @param {number} to      - neuron index in the target layer
+   */
+  getSkipWeight(projIdx, from, to) {
+    const s = this.skips[projIdx];
+    return s.weights[from * this.layerConfigs[s.to].size + to];
+  }
+
   getTotalNeurons() {
     return this.layerConfigs.reduce((s, l) => s + l.size, 0);
   }
 
   getTotalConnections() {
     let total = 0;
-    for (let l = 0; l < this.numLayers - 1; l++) {
-      total += this.layerConfigs[l].size * this.layerConfigs[l + 1].size;
-    }
+    this.masks.forEach((mask, l) => {
+      // A convolution's positions share one kernel; pooling has no weights
+      const win = this._windows[l];
+      if (win) { total += win.reps?.length ?? 0; return; }
+      for (let k = 0; k < mask.length; k++) total += mask[k];
+    });
+    for (const r of this.recurrent) total += r.weights.length;
+    for (const s of this.skips) total += s.weights.length;
     return total;
   }
 }
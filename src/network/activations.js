@@ -1,31 +1,86 @@
+import { compileExpression } from './expression.js';
+
 export const ACTIVATIONS = {
   sigmoid: {
     fn: x => 1 / (1 + Math.exp(-x)),
+    // Derivative given pre-activation x and output y
+    deriv: (x, y) => y * (1 - y),
     // Maps output to [0, 1] — no normalization needed
     normalize: v => v,
     label: 'Sigmoid',
   },
   relu: {
     fn: x => Math.max(0, x),
+    deriv: x => (x > 0 ? 1 : 0),
     // Clamp to [0, 1] for visualization
     normalize: v => Math.min(1, v),
     label: 'ReLU',
   },
   tanh: {
     fn: x => Math.tanh(x),
+    deriv: (x, y) => 1 - y * y,
     // Maps [-1, 1] → [0, 1]
     normalize: v => (v + 1) * 0.5,
     label: 'Tanh',
   },
   linear: {
     fn: x => x,
+    deriv: () => 1,
     // Soft clamp centered at 0 for visualization
     normalize: v => Math.min(1, Math.max(0, (v + 2) / 4)),
     label: 'Linear',
   },
 };
 
+/** Whether name is a registered activation, and not just a property every object has. */
+export const hasActivation = name => Object.hasOwn(ACTIVATIONS, name);
+
 export function normalizeForViz(value, activationName) {
-  const act = ACTIVATIONS[activationName];
+  const act = hasActivation(activationName) ? ACTIVATIONS[activationName] : null;
   return act ? Math.max(0, Math.min(1, act.normalize(value))) : Math.max(0, Math.min(1, value));
 }
+
+// Built-in names can't be overwritten or removed by custom definitions
+const BUILTIN_ACTIVATIONS = new Set(Object.keys(ACTIVATIONS));
+
+/**
+ * Register a user-defined activation from a math expression in x.
+ * The optional visualization range maps outputs onto [0, 1] for the glow.
+ * @param {string} name
+ * @param {{expression: string, vizMin?: number, vizMax?: number}} def
+ * @throws {Error} if the name is reserved or the expression doesn't parse
+ */
+export function registerActivation(name, { expression, vizMin = 0, vizMax = 1 }) {
+  if (!/^[a-z_][\w-]*$/i.test(name)) {
+    throw new Error('Name must start with a letter or _ and contain only letters, digits, _ and -');
+  }
+  if (BUILTIN_ACTIVATIONS.has(name)) throw new Error(`'${name}' is a built-in activation`);
+  // e.g. 'constructor' or '__proto__', which every object already has
+  if (name in Object.prototype) throw new Error(`'${name}' is a reserved name`);
+  if (!(vizMax > vizMin)) throw new Error('Viz max must be greater than viz min');
+
+  const { fn, deriv } = compileExpression(expression);
+  if (!Number.isFinite(fn(0.5))) throw new Error('Expression is not finite at x = 0.5');
+
+  const span = vizMax - vizMin;
+  ACTIVATIONS[name] = {
+    fn,
+    deriv,
+    normalize: v => (v - vizMin) / span,
+    label: name,
+    custom: { expression, vizMin, vizMax },
+  };
+}
+
+export function unregisterActivation(name) {
+  if (!BUILTIN_ACTIVATIONS.has(name)) delete ACTIVATIONS[name];
+}
+
+/** Definitions of every registered custom activation, keyed by name. */
+export function customActivations() {
+  return Object.fromEntries(
+    Object.entries(ACTIVATIONS)
+      .filter(([, act]) => act.custom)
+      .map(([name, act]) => [name, { ...act.custom }]),
+  );
+}
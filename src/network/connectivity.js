@@ -0,0 +1,64 @@
+// Connection-mask generators for feedforward weight matrices. A mask holds
+// 1 for a live connection and 0 for an absent one, indexed i * outN + j like
+// the weights. Manual toggles, pruning and regrowth edit a mask afterwards.
+
+import { random } from '../util/random.js';
+
+const rand = random.stream('network');
+
+export const CONNECTIVITY_TYPES = {
+  dense: {
+    label: 'Dense',
+    build: (inN, outN) => new Uint8Array(inN * outN).fill(1),
+  },
+  random: {
+    // Each connection survives independently with probability density%
+    label: 'Random Sparse',
+    build(inN, outN, { density }) {
+      const mask = new Uint8Array(inN * outN);
+      const p = density / 100;
+      for (let k = 0; k < mask.length; k++) mask[k] = rand.next() < p ? 1 : 0;
+      return ensureInputs(mask, inN, outN);
+    },
+  },
+  local: {
+    // Both layers are laid out on the same square-ish grid the visualizer
+    // uses; a neuron connects to inputs within `radius` in normalized grid space
+    label: 'Local Receptive Field',
+    build(inN, outN, { radius }) {
+      const mask = new Uint8Array(inN * outN);
+      const r2 = radius * radius;
+      for (let i = 0; i < inN; i++) {
+        const [ux, uy] = gridCoord(i, inN);
+        for (let j = 0; j < outN; j++) {
+          const [vx, vy] = gridCoord(j, outN);
+          const dx = ux - vx, dy = uy - vy;
+          if (dx * dx + dy * dy <= r2) mask[i * outN + j] = 1;
+        }
+      }
+      return ensureInputs(mask, inN, outN);
+    },
+  },
+};
+
+export const CONNECTIVITY_DEFAULTS = { type: 'dense', density: 30, radius: 0.35 };
+
+/** Normalized [0, 1]² position of neuron idx in a layer of n neurons. */
+function gridCoord(idx, n) {
+  const cols = Math.ceil(Math.sqrt(n));
+  const rows = Math.ceil(n / cols);
+  return [
+    cols > 1 ? (idx % cols) / (cols - 1) : 0.5,
+    rows > 1 ? Math.floor(idx / cols) / (rows - 1) : 0.5,
+  ];
+}
+
+/** Guarantee every post-synaptic neuron keeps at least one input. */
+function ensureInputs(mask, inN, outN) {
+  for (let j = 0; j < outN; j++) {
+    let live = false;
+    for (let i = 0; i < inN && !live; i++) live = mask[i * outN + j] === 1;
+    if (!live) mask[rand.int(inN) * outN + j] = 1;
+  }
+  return mask;
+}
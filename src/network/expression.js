@@ -0,0 +1,281 @@
+// Safe math-expression compiler for user-defined activation functions.
+// Expressions of one variable `x` are tokenized and parsed into a small AST
+// (never passed to eval/Function), compiled into closures, and differentiated
+// symbolically so custom activations work with backprop.
+//
+// Grammar:  expr  := term (('+' | '-') term)*
+//           term  := unary (('*' | '/') unary)*
+//           unary := ('-' | '+') unary | power
+//           power := primary ('^' unary)?          — right-associative
+//           primary := number | 'x' | constant | name '(' expr (',' expr)* ')' | '(' expr ')'
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const num = value => ({ type: 'num', value });
+const call = (name, ...args) => ({ type: 'call', name, args });
+const isNum = (n, v) => n.type === 'num' && (v === undefined || n.value === v);
+
+// Constant-folding node builders keep derivative trees small
+function add(a, b) {
+  if (isNum(a, 0)) return b;
+  if (isNum(b, 0)) return a;
+  if (isNum(a) && isNum(b)) return num(a.value + b.value);
+  return { type: 'bin', op: '+', left: a, right: b };
+}
+function sub(a, b) {
+  if (isNum(b, 0)) return a;
+  if (isNum(a) && isNum(b)) return num(a.value - b.value);
+  return { type: 'bin', op: '-', left: a, right: b };
+}
+function mul(a, b) {
+  if (isNum(a, 0) || isNum(b, 0)) return num(0);
+  if (isNum(a, 1)) return b;
+  if (isNum(b, 1)) return a;
+  if (isNum(a) && isNum(b)) return num(a.value * b.value);
+  return { type: 'bin', op: '*', left: a, right: b };
+}
+function div(a, b) {
+  if (isNum(a, 0)) return num(0);
+  if (isNum(b, 1)) return a;
+  return { type: 'bin', op: '/', left: a, right: b };
+}
+function pow(a, b) {
+  if (isNum(b, 1)) return a;
+  if (isNum(b, 0)) return num(1);
+  return { type: 'bin', op: '^', left: a, right: b };
+}
+function neg(a) {
+  return isNum(a) ? num(-a.value) : { type: 'neg', arg: a };
+}
+
+const sigmoid = v => 1 / (1 + Math.exp(-v));
+const step = v => (v > 0 ? 1 : 0);
+
+// fn: implementation; d: derivative w.r.t. the (single) argument u, as an AST
+const FUNCTIONS = {
+  sin:     { fn: Math.sin,   d: u => call('cos', u) },
+  cos:     { fn: Math.cos,   d: u => neg(call('sin', u)) },
+  tan:     { fn: Math.tan,   d: u => div(num(1), pow(call('cos', u), num(2))) },
+  exp:     { fn: Math.exp,   d: u => call('exp', u) },
+  log:     { fn: Math.log,   d: u => div(num(1), u) },
+  sqrt:    { fn: Math.sqrt,  d: u => div(num(1), mul(num(2), call('sqrt', u))) },
+  abs:     { fn: Math.abs,   d: u => call('sign', u) },
+  tanh:    { fn: Math.tanh,  d: u => sub(num(1), pow(call('tanh', u), num(2))) },
+  sigmoid: { fn: sigmoid,    d: u => mul(call('sigmoid', u), sub(num(1), call('sigmoid', u))) },
+  sign:    { fn: Math.sign,  d: () => num(0) },
+  step:    { fn: step,       d: () => num(0) },
+  floor:   { fn: Math.floor, d: () => num(0) },
+  ceil:    { fn: Math.ceil,  d: () => num(0) },
+  round:   { fn: Math.round, d: () => num(0) },
+  // Two-argument functions are differentiated in derivative() directly
+  min:     { fn: Math.min,   arity: 2 },
+  max:     { fn: Math.max,   arity: 2 },
+  pow:     { fn: Math.pow,   arity: 2 },
+};
+
+export const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
+
+// ─── Tokenizer ────────────────────────────────────────────────────────────────
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    const numMatch = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(src.slice(i));
+    if (numMatch) {
+      tokens.push({ type: 'num', value: parseFloat(numMatch[0]), pos: i });
+      i += numMatch[0].length;
+      continue;
+    }
+    const nameMatch = /^[a-z_][a-z0-9_]*/i.exec(src.slice(i));
+    if (nameMatch) {
+      tokens.push({ type: 'name', value: nameMatch[0].toLowerCase(), pos: i });
+      i += nameMatch[0].length;
+      continue;
+    }
+    if (src.startsWith('**', i)) {
+      tokens.push({ type: 'op', value: '^', pos: i });
+      i += 2;
+      continue;
+    }
+    if ('+-*/^(),'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, pos: i });
+      i++;
+      continue;
+    }
+    throw new Error(`Unexpected character '${ch}' at ${i}`);
+  }
+  return tokens;
+}
+
+// ─── Parser ───────────────────────────────────────────────────────────────────
+
+function parse(src) {
+  const tokens = tokenize(src);
+  let p = 0;
+
+  const peek = () => tokens[p];
+  const isOp = v => peek()?.type === 'op' && peek().value === v;
+  const expect = v => {
+    if (!isOp(v)) {
+      const t = peek();
+      throw new Error(t ? `Expected '${v}' at ${t.pos}` : `Expected '${v}' at end of expression`);
+    }
+    p++;
+  };
+
+  function expr() {
+    let node = term();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[p++].value;
+      node = { type: 'bin', op, left: node, right: term() };
+    }
+    return node;
+  }
+
+  function term() {
+    let node = unary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[p++].value;
+      node = { type: 'bin', op, left: node, right: unary() };
+    }
+    return node;
+  }
+
+  function unary() {
+    if (isOp('-')) { p++; return { type: 'neg', arg: unary() }; }
+    if (isOp('+')) { p++; return unary(); }
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    if (isOp('^')) {
+      p++;
+      return { type: 'bin', op: '^', left: base, right: unary() };
+    }
+    return base;
+  }
+
+  function primary() {
+    const t = peek();
+    if (!t) throw new Error('Unexpected end of expression');
+
+    if (t.type === 'num') { p++; return num(t.value); }
+
+    if (t.type === 'name') {
+      p++;
+      if (t.value === 'x') return { type: 'var' };
+      if (Object.hasOwn(CONSTANTS, t.value)) return num(CONSTANTS[t.value]);
+      const def = Object.hasOwn(FUNCTIONS, t.value) ? FUNCTIONS[t.value] : null;
+      if (!def) throw new Error(`Unknown name '${t.value}' at ${t.pos}`);
+      expect('(');
+      const args = [expr()];
+      while (isOp(',')) { p++; args.push(expr()); }
+      expect(')');
+      const arity = def.arity ?? 1;
+      if (args.length !== arity) {
+        throw new Error(`${t.value}() takes ${arity} argument${arity > 1 ? 's' : ''}`);
+      }
+      return { type: 'call', name: t.value, args };
+    }
+
+    if (isOp('(')) {
+      p++;
+      const node = expr();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected '${t.value}' at ${t.pos}`);
+  }
+
+  if (tokens.length === 0) throw new Error('Expression is empty');
+  const ast = expr();
+  if (p < tokens.length) throw new Error(`Unexpected '${tokens[p].value}' at ${tokens[p].pos}`);
+  return ast;
+}
+
+// ─── Compile & differentiate ──────────────────────────────────────────────────
+
+function compile(node) {
+  switch (node.type) {
+    case 'num': { const v = node.value; return () => v; }
+    case 'var': return x => x;
+    case 'neg': { const a = compile(node.arg); return x => -a(x); }
+    case 'bin': {
+      const l = compile(node.left);
+      const r = compile(node.right);
+      switch (node.op) {
+        case '+': return x => l(x) + r(x);
+        case '-': return x => l(x) - r(x);
+        case '*': return x => l(x) * r(x);
+        case '/': return x => l(x) / r(x);
+        case '^': return x => Math.pow(l(x), r(x));
+      }
+      break;
+    }
+    case 'call': {
+      const f = FUNCTIONS[node.name].fn;
+      const [a, b] = node.args.map(compile);
+      return b ? x => f(a(x), b(x)) : x => f(a(x));
+    }
+  }
+  throw new Error(`Cannot compile node ${node.type}`);
+}
+
+const hasVar = node =>
+  node.type === 'var' ||
+  (node.type === 'neg' && hasVar(node.arg)) ||
+  (node.type === 'bin' && (hasVar(node.left) || hasVar(node.right))) ||
+  (node.type === 'call' && node.args.some(hasVar));
+
+function derivative(node) {
+  switch (node.type) {
+    case 'num': return num(0);
+    case 'var': return num(1);
+    case 'neg': return neg(derivative(node.arg));
+    case 'bin': {
+      const { left: u, right: v } = node;
+      const du = derivative(u);
+      const dv = derivative(v);
+      switch (node.op) {
+        case '+': return add(du, dv);
+        case '-': return sub(du, dv);
+        case '*': return add(mul(du, v), mul(u, dv));
+        case '/': return div(sub(mul(du, v), mul(u, dv)), pow(v, num(2)));
+        case '^':
+          return hasVar(v)
+            // d(u^v) = u^v · (v'·ln u + v·u'/u)
+            ? mul(node, add(mul(dv, call('log', u)), div(mul(v, du), u)))
+            : mul(mul(v, pow(u, sub(v, num(1)))), du);
+      }
+      break;
+    }
+    case 'call': {
+      const [u, v] = node.args;
+      if (node.name === 'pow') return derivative({ type: 'bin', op: '^', left: u, right: v });
+      if (node.name === 'max' || node.name === 'min') {
+        // Whichever argument is selected passes its derivative through
+        const sel = call('step', node.name === 'max' ? sub(u, v) : sub(v, u));
+        return add(mul(sel, derivative(u)), mul(sub(num(1), sel), derivative(v)));
+      }
+      return mul(FUNCTIONS[node.name].d(u), derivative(u));
+    }
+  }
+  throw new Error(`Cannot differentiate node ${node.type}`);
+}
+
+/**
+ * Parse and compile an expression in x.
+ * @param {string} src  - e.g. "sin(x)*0.5+0.5"
+ * @returns {{fn: function(number): number, deriv: function(number): number}}
+ * @throws {Error} with a readable message on syntax errors
+ */
+export function compileExpression(src) {
+  const ast = parse(String(src));
+  return { fn: compile(ast), deriv: compile(derivative(ast)) };
+}
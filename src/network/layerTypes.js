@@ -0,0 +1,153 @@
+// Layer types. Dense layers are plain vectors. Convolution and pooling
+// layers are feature maps — channels × height × width, neuron index
+// (c * height + y) * width + x — computed from windows over the previous
+// layer's feature maps (valid windows, no padding).
+//
+// The matrix into a feature-map layer keeps the usual i * outN + j layout,
+// masked to each unit's window. A convolution's entries are tied: every
+// position of an output channel reads the same kernel, so the matrix always
+// holds copies of (channels × inChannels × kernel × kernel) shared weights
+// plus one bias per channel. A pooling layer's entries are fixed.
+
+export const LAYER_TYPES = {
+  dense: { label: 'Dense' },
+  conv: { label: 'Convolution' },
+  pool: { label: 'Pooling' },
+};
+
+export const POOL_MODES = {
+  max: { label: 'Max' },
+  avg: { label: 'Average' },
+};
+
+export const FEATURE_MAP_DEFAULTS = {
+  conv: { channels: 4, kernel: 3, stride: 1 },
+  pool: { kernel: 2, stride: 2, pool: 'max' },
+};
+
+export const isFeatureMap = cfg => cfg.type === 'conv' || cfg.type === 'pool';
+
+/**
+ * Feature-map shape of a normalized layer config. Conv and pool layers
+ * carry their own; any other layer is read as `channels` maps, each as
+ * close to square as its size allows.
+ * @returns {{channels: number, height: number, width: number}}
+ */
+export function layerShape(cfg) {
+  if (isFeatureMap(cfg)) return { channels: cfg.channels, height: cfg.height, width: cfg.width };
+  const channels = cfg.channels > 0 && cfg.size % cfg.channels === 0 ? cfg.channels : 1;
+  const area = cfg.size / channels;
+  let height = Math.floor(Math.sqrt(area));
+  while (area % height) height--;
+  return { channels, height, width: area / height };
+}
+
+/**
+ * Fill in a conv or pool layer's kernel, stride, shape and size from the
+ * normalized config of the layer before it. Throws if the window doesn't fit.
+ * @param {object} cfg  - raw layer config
+ * @param {object} prev - normalized config of the previous layer
+ * @param {number} index - layer index, for error messages
+ */
+export function resolveFeatureMap(cfg, prev, index) {
+  const defaults = FEATURE_MAP_DEFAULTS[cfg.type];
+  const input = layerShape(prev);
+  const kernel = Math.max(1, cfg.kernel | 0 || defaults.kernel);
+  const stride = Math.max(1, cfg.stride | 0 || defaults.stride);
+  if (kernel > input.height || kernel > input.width) {
+    throw new Error(`Layer ${index}: a ${kernel}×${kernel} window doesn't fit its ${input.height}×${input.width} input`);
+  }
+  const channels = cfg.type === 'pool' ? input.channels : Math.max(1, cfg.channels | 0 || defaults.channels);
+  const height = Math.floor((input.height - kernel) / stride) + 1;
+  const width = Math.floor((input.width - kernel) / stride) + 1;
+  return {
+    size: channels * height * width,
+    channels, height, width, kernel, stride,
+    ...(cfg.type === 'pool' && { pool: POOL_MODES[cfg.pool] ? cfg.pool : defaults.pool }),
+  };
+}
+
+/**
+ * Window structure of the matrix into feature-map layer `cfg` from `prev`.
+ *   mask    - live entries, the usual i * outN + j layout
+ *   windows - per output unit, the `span` input indices it reads
+ * Convolutions also get the weight tying:
+ *   tie     - shared-weight index per matrix entry, -1 outside every window
+ *   reps    - one matrix entry per shared weight, where its value is read
+ *   biasTie / biasReps - the same for biases, one per output channel
+ */
+export function buildWindows(prev, cfg) {
+  const input = layerShape(prev);
+  const inN = prev.size;
+  const outN = cfg.size;
+  const { kernel: k, stride, height, width } = cfg;
+  const inChannels = cfg.type === 'conv' ? input.channels : 1;
+  const span = inChannels * k * k;
+
+  const mask = new Uint8Array(inN * outN);
+  const windows = new Int32Array(outN * span);
+  const conv = cfg.type === 'conv';
+  const tie = conv ? new Int32Array(inN * outN).fill(-1) : null;
+  const reps = conv ? new Int32Array(cfg.channels * span).fill(-1) : null;
+  const biasTie = conv ? new Int32Array(outN) : null;
+  const biasReps = conv ? new Int32Array(cfg.channels).fill(-1) : null;
+
+  for (let oc = 0; oc < cfg.channels; oc++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const j = (oc * height + y) * width + x;
+        let n = 0;
+        for (let c = 0; c < inChannels; c++) {
+          // Pooling reads its own channel, convolution every channel
+          const ic = conv ? c : oc;
+          for (let ky = 0; ky < k; ky++) {
+            for (let kx = 0; kx < k; kx++) {
+              const i = (ic * input.height + y * stride + ky) * input.width + x * stride + kx;
+              const entry = i * outN + j;
+              mask[entry] = 1;
+              windows[j * span + n] = i;
+              if (conv) {
+                const t = oc * span + n;
+                tie[entry] = t;
+                if (reps[t] < 0) reps[t] = entry;
+              }
+              n++;
+            }
+          }
+        }
+        if (conv) {
+          biasTie[j] = oc;
+          if (biasReps[oc] < 0) biasReps[oc] = j;
+        }
+      }
+    }
+  }
+  return { kind: cfg.type, span, mask, windows, tie, reps, biasTie, biasReps };
+}
+
+/** Shared parameters read from their representative entries. */
+export function gatherTied(values, reps) {
+  const out = new Float32Array(reps.length);
+  for (let t = 0; t < reps.length; t++) out[t] = values[reps[t]];
+  return out;
+}
+
+/** Write shared parameters back to every entry tied to them. */
+export function scatterTied(values, tie, params) {
+  for (let k = 0; k < tie.length; k++) {
+    if (tie[k] >= 0) values[k] = params[tie[k]];
+  }
+}
+
+/** Sum per-entry values (gradients, traces) into their shared parameters. */
+export function sumTied(values, tie, count) {
+  const out = new Float32Array(count);
+  for (let k = 0; k < tie.length; k++) {
+    if (tie[k] >= 0) out[tie[k]] += values[k];
+  }
+  return out;
+}
+
+/** Equal for two matrices whose windows line up entry for entry. */
+export const windowKey = (prev, cfg) =>
+  JSON.stringify([layerShape(prev), cfg.type, cfg.channels, cfg.kernel, cfg.stride, cfg.pool]);
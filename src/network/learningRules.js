@@ -0,0 +1,114 @@
+// Local plasticity rules. Each rule accumulates the eligibility trace of one
+// weight matrix after a forward pass; NeuralNetwork.reinforce() then turns the
+// trace into a weight change scaled by reward. `defaults` are the per-matrix
+// parameters every rule shares (decay, clamp, normalize) plus its own extras.
+//
+// trace(ctx, params) receives:
+//   elig, w              - Float32Array [inN * outN], index i * outN + j
+//   pre, post            - activations this tick
+//   prevPre, prevPost    - activations from the previous tick
+//   inN, outN, state     - sizes and the rule's own state (from createState)
+
+export const LEARNING_RULES = {
+  hebbian: {
+    label: 'Hebbian',
+    defaults: { decay: 0.92, clamp: 4, normalize: false },
+    createState: () => null,
+    trace({ elig, pre, post, inN, outN }, { decay }) {
+      for (let i = 0; i < inN; i++) {
+        for (let j = 0; j < outN; j++) {
+          elig[i * outN + j] = decay * elig[i * outN + j] + pre[i] * post[j];
+        }
+      }
+    },
+  },
+
+  antiHebbian: {
+    label: 'Anti-Hebbian',
+    defaults: { decay: 0.92, clamp: 4, normalize: false },
+    createState: () => null,
+    trace({ elig, pre, post, inN, outN }, { decay }) {
+      for (let i = 0; i < inN; i++) {
+        for (let j = 0; j < outN; j++) {
+          elig[i * outN + j] = decay * elig[i * outN + j] - pre[i] * post[j];
+        }
+      }
+    },
+  },
+
+  oja: {
+    // Hebbian term minus a post² · w forgetting term — self-normalizing
+    label: "Oja's Rule",
+    defaults: { decay: 0.92, clamp: 4, normalize: false },
+    createState: () => null,
+    trace({ elig, w, pre, post, inN, outN }, { decay }) {
+      for (let i = 0; i < inN; i++) {
+        for (let j = 0; j < outN; j++) {
+          const k = i * outN + j;
+          elig[k] = decay * elig[k] + post[j] * (pre[i] - post[j] * w[k]);
+        }
+      }
+    },
+  },
+
+  bcm: {
+    // Potentiate above a sliding threshold θ (running mean of post²), depress below
+    label: 'BCM',
+    defaults: { decay: 0.92, clamp: 4, normalize: false, tau: 50 },
+    createState: (inN, outN) => ({ theta: new Float32Array(outN).fill(0.25) }),
+    trace({ elig, pre, post, inN, outN, state }, { decay, tau }) {
+      const theta = state.theta;
+      for (let j = 0; j < outN; j++) {
+        theta[j] += (post[j] * post[j] - theta[j]) / Math.max(1, tau);
+      }
+      for (let i = 0; i < inN; i++) {
+        for (let j = 0; j < outN; j++) {
+          elig[i * outN + j] = decay * elig[i * outN + j] + pre[i] * post[j] * (post[j] - theta[j]);
+        }
+      }
+    },
+  },
+
+  stdp: {
+    // Reward-modulated STDP: pre on the previous tick then post now → potentiate,
+    // post on the previous tick then pre now → depress
+    label: 'STDP (reward-modulated)',
+    defaults: { decay: 0.92, clamp: 4, normalize: false, aPlus: 1.0, aMinus: 1.05 },
+    createState: () => null,
+    trace({ elig, pre, post, prevPre, prevPost, inN, outN }, { decay, aPlus, aMinus }) {
+      for (let i = 0; i < inN; i++) {
+        for (let j = 0; j < outN; j++) {
+          const k = i * outN + j;
+          elig[k] = decay * elig[k] + aPlus * prevPre[i] * post[j] - aMinus * pre[i] * prevPost[j];
+        }
+      }
+    },
+  },
+};
+
+// GUI labels and slider ranges for every parameter name used in `defaults`
+export const RULE_PARAM_SPECS = {
+  decay:  { min: 0.5, max: 0.999, step: 0.001, label: 'Trace Decay' },
+  clamp:  { min: 0.5, max: 10,    step: 0.1,   label: 'Weight Clamp' },
+  normalize: { label: 'Normalize Incoming' },
+  tau:    { min: 1,   max: 500,   step: 1,     label: 'BCM τ (ticks)' },
+  aPlus:  { min: 0,   max: 2,     step: 0.01,  label: 'STDP A+' },
+  aMinus: { min: 0,   max: 2,     step: 0.01,  label: 'STDP A−' },
+};
+
+/**
+ * Plasticity settings for one weight matrix: a rule name plus its parameters,
+ * with any missing parameter filled from the rule's defaults.
+ * @param {string} [rule]
+ * @param {object} [params]
+ * @returns {{rule: string, params: object}}
+ */
+export function makePlasticity(rule = 'hebbian', params = {}) {
+  const def = LEARNING_RULES[rule];
+  if (!def) throw new Error(`Unknown learning rule: ${rule}`);
+  const merged = { ...def.defaults };
+  for (const key of Object.keys(def.defaults)) {
+    if (params[key] !== undefined) merged[key] = params[key];
+  }
+  return { rule, params: merged };
+}
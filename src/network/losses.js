@@ -0,0 +1,23 @@
+// Per-output loss terms. The network averages `fn` over the output layer and
+// backpropagates `grad` (∂loss/∂output) — both take output y and target t.
+const EPS = 1e-7;
+
+export const LOSSES = {
+  mse: {
+    fn: (y, t) => (y - t) * (y - t),
+    grad: (y, t) => 2 * (y - t),
+    label: 'Mean Squared Error',
+  },
+  crossEntropy: {
+    // Binary cross-entropy; expects outputs in (0, 1), e.g. a sigmoid layer
+    fn: (y, t) => {
+      const p = Math.min(1 - EPS, Math.max(EPS, y));
+      return -(t * Math.log(p) + (1 - t) * Math.log(1 - p));
+    },
+    grad: (y, t) => {
+      const p = Math.min(1 - EPS, Math.max(EPS, y));
+      return (p - t) / (p * (1 - p));
+    },
+    label: 'Cross-Entropy',
+  },
+};
@@ -0,0 +1,41 @@
+// Gradient-descent update rules. Each optimizer keeps its own per-parameter
+// state, created once per weight/bias array by `createState(length)`.
+export const OPTIMIZERS = {
+  sgd: {
+    createState: () => null,
+    step(param, grad, state, lr) {
+      for (let k = 0; k < param.length; k++) param[k] -= lr * grad[k];
+    },
+    label: 'SGD',
+  },
+  momentum: {
+    beta: 0.9,
+    createState: n => ({ velocity: new Float32Array(n) }),
+    step(param, grad, state, lr) {
+      const v = state.velocity;
+      for (let k = 0; k < param.length; k++) {
+        v[k] = this.beta * v[k] + grad[k];
+        param[k] -= lr * v[k];
+      }
+    },
+    label: 'Momentum',
+  },
+  adam: {
+    beta1: 0.9,
+    beta2: 0.999,
+    epsilon: 1e-8,
+    createState: n => ({ m: new Float32Array(n), v: new Float32Array(n), t: 0 }),
+    step(param, grad, state, lr) {
+      const { m, v } = state;
+      state.t++;
+      const c1 = 1 - Math.pow(this.beta1, state.t);
+      const c2 = 1 - Math.pow(this.beta2, state.t);
+      for (let k = 0; k < param.length; k++) {
+        m[k] = this.beta1 * m[k] + (1 - this.beta1) * grad[k];
+        v[k] = this.beta2 * v[k] + (1 - this.beta2) * grad[k] * grad[k];
+        param[k] -= lr * (m[k] / c1) / (Math.sqrt(v[k] / c2) + this.epsilon);
+      }
+    },
+    label: 'Adam',
+  },
+};
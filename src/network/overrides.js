@@ -0,0 +1,25 @@
+// Per-neuron probes for lesion experiments. forward() applies them to a
+// layer's activations right after its activation function, so downstream
+// layers, learning rules and the visualizer all see the lesioned values.
+//
+// `held` overrides fix the output regardless of the neuron's input, so
+// supervised training passes no gradient through them.
+
+export const NEURON_OVERRIDES = {
+  silence: {
+    label: 'Silence',
+    held: true,
+    apply: () => 0,
+  },
+  clamp: {
+    label: 'Clamp',
+    held: true,
+    apply: (v, value) => value,
+  },
+  noise: {
+    label: 'Noise',
+    held: false,
+    // value is the standard deviation
+    apply: (v, value, rand) => v + value * rand.gaussian(),
+  },
+};
@@ -0,0 +1,64 @@
+// Matrix helpers for NeuralNetwork.reshape(). All matrices use the network's
+// row-major layout: element (i, j) of an inN × outN matrix lives at i * outN + j.
+
+/**
+ * Copy the overlapping top-left block of src into dst.
+ * @param {Float32Array|Uint8Array} dst
+ * @param {number} dstIn
+ * @param {number} dstOut
+ * @param {Float32Array|Uint8Array} src
+ * @param {number} srcIn
+ * @param {number} srcOut
+ */
+export function copyBlock(dst, dstIn, dstOut, src, srcIn, srcOut) {
+  const rows = Math.min(dstIn, srcIn);
+  const cols = Math.min(dstOut, srcOut);
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) dst[i * dstOut + j] = src[i * srcOut + j];
+  }
+}
+
+/** Zero rows [fromRow, inN) — outgoing weights of neurons that didn't exist before. */
+export function zeroRows(m, inN, outN, fromRow) {
+  m.fill(0, Math.min(fromRow, inN) * outN, inN * outN);
+}
+
+/** Identity on the overlapping diagonal, zero elsewhere. */
+export function identityInto(m, inN, outN) {
+  m.fill(0);
+  for (let i = 0; i < Math.min(inN, outN); i++) m[i * outN + i] = 1;
+}
+
+/**
+ * Collapse a chain of weight matrices into one, treating the skipped layers
+ * as linear: W = W₀·W₁·…, b = (…(b₀·W₁ + b₁)·W₂ …) + bₖ.
+ * @param {Float32Array[]} weights  - consecutive matrices
+ * @param {Float32Array[]} biases   - bias of each matrix's target layer
+ * @param {number[]} sizes          - layer sizes, length = weights.length + 1
+ * @returns {{weights: Float32Array, bias: Float32Array}}
+ */
+export function mergeChain(weights, biases, sizes) {
+  let w = Float32Array.from(weights[0]);
+  let b = Float32Array.from(biases[0]);
+  const inN = sizes[0];
+
+  for (let m = 1; m < weights.length; m++) {
+    const midN = sizes[m];
+    const outN = sizes[m + 1];
+    const next = weights[m];
+    const merged = new Float32Array(inN * outN);
+    const mergedB = Float32Array.from(biases[m]);
+
+    for (let k = 0; k < midN; k++) {
+      for (let j = 0; j < outN; j++) {
+        const wkj = next[k * outN + j];
+        if (wkj === 0) continue;
+        for (let i = 0; i < inN; i++) merged[i * outN + j] += w[i * midN + k] * wkj;
+        mergedB[j] += b[k] * wkj;
+      }
+    }
+    w = merged;
+    b = mergedB;
+  }
+  return { weights: w, bias: b };
+}
@@ -0,0 +1,49 @@
+// Leaky integrate-and-fire (LIF) neuron model used by NeuralNetwork's
+// 'spiking' mode. Each tick a neuron's membrane potential leaks toward zero,
+// integrates its input current, and emits a spike (activation 1) when it
+// crosses threshold — then resets and stays silent for the refractory period.
+
+export const SPIKING_DEFAULTS = {
+  threshold:  1.0,   // membrane potential that triggers a spike
+  leak:       0.85,  // fraction of potential kept each tick
+  refractory: 2,     // silent ticks after a spike
+  reset:      0.0,   // potential right after a spike
+  inputGain:  0.45,  // stimulus value → input-layer current
+};
+
+// GUI labels and slider ranges for SPIKING_DEFAULTS
+export const SPIKING_PARAM_SPECS = {
+  threshold:  { min: 0.1, max: 4,    step: 0.05, label: 'Threshold' },
+  leak:       { min: 0,   max: 0.99, step: 0.01, label: 'Leak (kept/tick)' },
+  refractory: { min: 0,   max: 12,   step: 1,    label: 'Refractory (ticks)' },
+  reset:      { min: -1,  max: 0.9,  step: 0.05, label: 'Reset Potential' },
+  inputGain:  { min: 0,   max: 2,    step: 0.01, label: 'Input Gain' },
+};
+
+/**
+ * Advance one layer of LIF neurons by a tick.
+ * @param {Float32Array} current     - input current per neuron
+ * @param {Float32Array} membrane    - potentials, updated in place
+ * @param {Uint8Array}   refractory  - remaining silent ticks, updated in place
+ * @param {Float32Array} spikes      - written with 1 (fired) or 0
+ * @param {object} params            - see SPIKING_DEFAULTS
+ */
+export function lifStep(current, membrane, refractory, spikes, params) {
+  const { threshold, leak, reset } = params;
+  for (let j = 0; j < membrane.length; j++) {
+    if (refractory[j] > 0) {
+      refractory[j]--;
+      membrane[j] = reset;
+      spikes[j] = 0;
+      continue;
+    }
+    membrane[j] = membrane[j] * leak + current[j];
+    if (membrane[j] >= threshold) {
+      spikes[j] = 1;
+      membrane[j] = reset;
+      refractory[j] = params.refractory | 0;
+    } else {
+      spikes[j] = 0;
+    }
+  }
+}
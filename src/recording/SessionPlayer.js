@@ -0,0 +1,116 @@
+import { unpack } from '../sim/transfer.js';
+import { weightArrays } from './SessionRecorder.js';
+
+/**
+ * Plays a SessionRecorder back through the live network and visualizer.
+ * Entering replay snapshots the live network; recorded frames are then
+ * written into its activation and weight arrays, so the visualizer draws
+ * them exactly like live ticks. Leaving restores the snapshot. The caller
+ * pauses the simulation while `active`.
+ */
+export class SessionPlayer {
+  /**
+   * @param {object} opts
+   * @param {NeuralNetwork} opts.network
+   * @param {NetworkVisualizer} opts.visualizer
+   * @param {function(boolean)} opts.onNetworkReplaced - the network's state was
+   *   swapped; the flag says whether its topology changed
+   */
+  constructor({ network, visualizer, onNetworkReplaced }) {
+    this.network = network;
+    this.visualizer = visualizer;
+    this.onNetworkReplaced = onNetworkReplaced;
+
+    // Tunable params (exposed to GUI)
+    this.speed = 1;       // × recorded tick rate
+    this.loop = false;
+
+    this.active = false;
+    this.playing = false;
+    this.recording = null;
+    this.index = 0;       // current frame
+    this._cursor = 0;     // fractional frame position while playing
+    this._liveState = null;
+    this._weightsTick = null;
+  }
+
+  /** Pause live simulation and show the recording's frame `index`. */
+  enter(recording, index = recording.length - 1) {
+    if (!this.active) {
+      this._liveState = this.network.toJSON();
+      this.active = true;
+    }
+    this.recording = recording;
+    const topologyChanged = !this.network.hasTopology(recording.snapshot.layerConfigs);
+    this.network.loadJSON(recording.snapshot);
+    this.onNetworkReplaced?.(topologyChanged);
+    this._weightsTick = null;
+    this.seek(index);
+  }
+
+  /** Restore the live network and resume. */
+  exit() {
+    if (!this.active) return;
+    const topologyChanged = !this.network.hasTopology(this._liveState.layerConfigs);
+    this.network.loadJSON(this._liveState);
+    this.onNetworkReplaced?.(topologyChanged);
+    this.visualizer.syncWeights();
+    this.active = false;
+    this.playing = false;
+    this.recording = null;
+    this._liveState = null;
+  }
+
+  /** Show frame index (clamped). */
+  seek(index) {
+    const rec = this.recording;
+    this.index = Math.max(0, Math.min(rec.length - 1, Math.round(index)));
+    this._cursor = this.index;
+    this._show(this.index);
+  }
+
+  /** Advance playback by dt seconds. */
+  update(dt) {
+    if (!this.active || !this.playing) return;
+    const rec = this.recording;
+    this._cursor += dt * this.speed * rec.tickHz;
+    if (this._cursor >= rec.length) {
+      if (this.loop) {
+        this._cursor %= rec.length;
+      } else {
+        this._cursor = rec.length - 1;
+        this.playing = false;
+      }
+    }
+    const next = Math.floor(this._cursor);
+    if (next === this.index) return;
+    this.index = next;
+    this._show(next);
+    if (this.visualizer.showParticles) this.visualizer.triggerSignalFlow();
+  }
+
+  /** Playback position as a 0–1 fraction, for the timeline slider. */
+  get position() {
+    return this.recording && this.recording.length > 1 ? this.index / (this.recording.length - 1) : 0;
+  }
+
+  set position(p) {
+    if (this.recording) this.seek(p * (this.recording.length - 1));
+  }
+
+  _show(index) {
+    const rec = this.recording;
+    const net = this.network;
+    unpack(rec.frame(index).activations, net.activations);
+    // Previous tick drives recurrent-arc particles
+    unpack(rec.frame(Math.max(0, index - 1)).activations, net.prevActivations);
+
+    const checkpoint = rec.checkpointFor(index);
+    if (checkpoint && checkpoint.tick !== this._weightsTick) {
+      unpack(checkpoint.weights, weightArrays(net));
+      this._weightsTick = checkpoint.tick;
+      this.visualizer.syncWeights();
+    }
+    this.visualizer.syncActivations();
+  }
+}
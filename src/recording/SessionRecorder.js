@@ -0,0 +1,271 @@
+import { pack } from '../sim/transfer.js';
+
+export const RECORDING_VERSION = 1;
+const MAGIC = 'NVR1'; // first four bytes of a binary recording
+
+/** Matrices whose values a checkpoint stores — what syncWeights() draws. */
+export const weightArrays = network => [
+  ...network.weights,
+  ...network.recurrent.map(r => r.weights),
+  ...network.skips.map(s => s.weights),
+];
+
+/**
+ * Bounded history of a session: per tick the stimulus inputs, every
+ * neuron's activation and the reward applied, plus a copy of the weights
+ * every `checkpointEvery` ticks. Old ticks are overwritten once `capacity`
+ * is reached. A topology change starts a fresh recording.
+ */
+export class SessionRecorder {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.capacity]        - ticks kept
+   * @param {number} [opts.checkpointEvery] - ticks between weight checkpoints
+   */
+  constructor({ capacity = 2400, checkpointEvery = 24 } = {}) {
+    this.enabled = true;
+    this.capacity = capacity;
+    this.checkpointEvery = checkpointEvery;
+    this.tickHz = 24;
+    this._layout = null;
+  }
+
+  /** Ticks currently held. */
+  get length() { return this._count ?? 0; }
+
+  /** Absolute tick number of the oldest frame held. */
+  get firstTick() { return this._firstTick ?? 0; }
+
+  /**
+   * Start a fresh recording shaped for network. The snapshot kept here
+   * restores topology, masks and mode on replay; checkpoints supply weights.
+   */
+  reset(network) {
+    const layerSizes = network.layerConfigs.map(l => l.size);
+    this.inputSize = layerSizes[0];
+    this.neuronCount = layerSizes.reduce((a, b) => a + b, 0);
+    this.weightCount = weightArrays(network).reduce((a, w) => a + w.length, 0);
+    this.snapshot = network.toJSON();
+    this._layout = layoutKey(network);
+    this._capacity = this.capacity;
+
+    this._inputs = new Float32Array(this.capacity * this.inputSize);
+    this._activations = new Float32Array(this.capacity * this.neuronCount);
+    this._rewards = new Float32Array(this.capacity);
+    this._start = 0;
+    this._count = 0;
+    this._firstTick = 0;
+    this._nextTick = 0;
+    this._checkpoints = []; // { tick, weights }, oldest first
+  }
+
+  /**
+   * Append the network's current state as one tick.
+   * @param {NeuralNetwork} network
+   * @param {number[]} inputs - stimulus values fed this tick
+   * @param {number} [reward] - total reward applied this tick
+   */
+  capture(network, inputs, reward = 0) {
+    if (!this.enabled) return;
+    // A new topology or buffer size starts over
+    if (layoutKey(network) !== this._layout || this.capacity !== this._capacity) this.reset(network);
+
+    const tick = this._nextTick++;
+    const slot = (this._start + this._count) % this._capacity;
+    if (this._count < this._capacity) {
+      this._count++;
+    } else {
+      this._start = (this._start + 1) % this._capacity;
+      this._firstTick++;
+    }
+
+    const inp = this._inputs.subarray(slot * this.inputSize, (slot + 1) * this.inputSize);
+    inp.fill(0);
+    inp.set(inputs.slice(0, this.inputSize));
+    let offset = slot * this.neuronCount;
+    for (const a of network.activations) {
+      this._activations.set(a, offset);
+      offset += a.length;
+    }
+    this._rewards[slot] = reward;
+
+    if (tick % this.checkpointEvery === 0 || this._checkpoints.length === 0) {
+      this._checkpoints.push({ tick, weights: pack(weightArrays(network)) });
+    }
+    // Drop checkpoints no held tick needs: keep the latest one at or before the oldest frame
+    while (this._checkpoints.length > 1 && this._checkpoints[1].tick <= this._firstTick) {
+      this._checkpoints.shift();
+    }
+  }
+
+  /**
+   * One recorded tick, oldest = 0. Arrays are views into the buffer.
+   * @param {number} index
+   */
+  frame(index) {
+    const slot = (this._start + index) % this._capacity;
+    return {
+      tick: this._firstTick + index,
+      inputs: this._inputs.subarray(slot * this.inputSize, (slot + 1) * this.inputSize),
+      activations: this._activations.subarray(slot * this.neuronCount, (slot + 1) * this.neuronCount),
+      reward: this._rewards[slot],
+    };
+  }
+
+  /** Weights in effect at frame index: the latest checkpoint at or before it. */
+  checkpointFor(index) {
+    const tick = this._firstTick + index;
+    let best = this._checkpoints[0];
+    for (const c of this._checkpoints) {
+      if (c.tick <= tick) best = c;
+      else break;
+    }
+    return best;
+  }
+
+  // ─── Serialization ──────────────────────────────────────────────────────────
+
+  _header() {
+    return {
+      format: 'net-viz-recording',
+      version: RECORDING_VERSION,
+      tickHz: this.tickHz,
+      checkpointEvery: this.checkpointEvery,
+      firstTick: this._firstTick,
+      count: this._count,
+      inputSize: this.inputSize,
+      neuronCount: this.neuronCount,
+      weightCount: this.weightCount,
+      checkpointTicks: this._checkpoints.map(c => c.tick),
+      snapshot: this.snapshot,
+    };
+  }
+
+  /** Frames in chronological order as flat arrays. */
+  _ordered() {
+    const n = this._count;
+    const inputs = new Float32Array(n * this.inputSize);
+    const activations = new Float32Array(n * this.neuronCount);
+    const rewards = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const f = this.frame(i);
+      inputs.set(f.inputs, i * this.inputSize);
+      activations.set(f.activations, i * this.neuronCount);
+      rewards[i] = f.reward;
+    }
+    return { inputs, activations, rewards };
+  }
+
+  toJSON() {
+    const { inputs, activations, rewards } = this._ordered();
+    const rows = (flat, width) => Array.from({ length: this._count }, (_, i) =>
+      Array.from(flat.subarray(i * width, (i + 1) * width)));
+    return {
+      ...this._header(),
+      inputs: rows(inputs, this.inputSize),
+      activations: rows(activations, this.neuronCount),
+      rewards: Array.from(rewards),
+      checkpoints: this._checkpoints.map(c => Array.from(c.weights)),
+    };
+  }
+
+  /**
+   * Compact binary form: magic, header length, JSON header, then float32
+   * inputs, activations, rewards and checkpoints back to back.
+   * @returns {ArrayBuffer}
+   */
+  encode() {
+    const { inputs, activations, rewards } = this._ordered();
+    const header = new TextEncoder().encode(JSON.stringify(this._header()));
+    const headerLen = Math.ceil(header.length / 4) * 4; // keep floats 4-byte aligned
+    const body = pack([inputs, activations, rewards, ...this._checkpoints.map(c => c.weights)]);
+
+    const buf = new ArrayBuffer(8 + headerLen + body.byteLength);
+    const bytes = new Uint8Array(buf);
+    bytes.set(new TextEncoder().encode(MAGIC), 0);
+    new DataView(buf).setUint32(4, headerLen, true);
+    bytes.fill(0x20, 8, 8 + headerLen); // pad with spaces — still valid JSON
+    bytes.set(header, 8);
+    new Float32Array(buf, 8 + headerLen).set(body);
+    return buf;
+  }
+
+  /**
+   * Read either format. Throws if the data isn't a recording.
+   * @param {ArrayBuffer|object} data - file contents (binary or JSON text), or toJSON() data
+   * @returns {SessionRecorder}
+   */
+  static decode(data) {
+    if (data instanceof ArrayBuffer && new TextDecoder().decode(new Uint8Array(data, 0, 4)) !== MAGIC) {
+      try {
+        data = JSON.parse(new TextDecoder().decode(data));
+      } catch {
+        throw new Error('Not a net-viz recording');
+      }
+    }
+
+    let header;
+    let blocks;
+    if (data instanceof ArrayBuffer) {
+      const headerLen = new DataView(data).getUint32(4, true);
+      header = JSON.parse(new TextDecoder().decode(new Uint8Array(data, 8, headerLen)));
+      checkHeader(header);
+      let offset = 8 + headerLen;
+      const take = n => {
+        const arr = new Float32Array(data, offset, n);
+        offset += n * 4;
+        return arr;
+      };
+      blocks = {
+        inputs: take(header.count * header.inputSize),
+        activations: take(header.count * header.neuronCount),
+        rewards: take(header.count),
+        checkpoints: header.checkpointTicks.map(() => take(header.weightCount)),
+      };
+    } else {
+      header = data;
+      checkHeader(header);
+      blocks = {
+        inputs: Float32Array.from(data.inputs.flat()),
+        activations: Float32Array.from(data.activations.flat()),
+        rewards: Float32Array.from(data.rewards),
+        checkpoints: data.checkpoints.map(c => Float32Array.from(c)),
+      };
+    }
+    if (blocks.activations.length !== header.count * header.neuronCount
+      || blocks.checkpoints.some(c => c.length !== header.weightCount)) {
+      throw new Error('Recording data does not match its header');
+    }
+
+    const rec = new SessionRecorder({ capacity: Math.max(1, header.count), checkpointEvery: header.checkpointEvery });
+    rec.enabled = false; // a loaded recording is for playback
+    rec.tickHz = header.tickHz;
+    rec.inputSize = header.inputSize;
+    rec.neuronCount = header.neuronCount;
+    rec.weightCount = header.weightCount;
+    rec.snapshot = header.snapshot;
+    rec._inputs = Float32Array.from(blocks.inputs);
+    rec._activations = Float32Array.from(blocks.activations);
+    rec._rewards = Float32Array.from(blocks.rewards);
+    rec._capacity = rec.capacity;
+    rec._start = 0;
+    rec._count = header.count;
+    rec._firstTick = header.firstTick;
+    rec._nextTick = header.firstTick + header.count;
+    rec._checkpoints = header.checkpointTicks.map((tick, i) => ({ tick, weights: Float32Array.from(blocks.checkpoints[i]) }));
+    return rec;
+  }
+}
+
+/** Changes whenever the recorded arrays would change shape. */
+function layoutKey(network) {
+  return network.layerConfigs.map(l => l.size).join(',') + '|' +
+    network.recurrent.map(r => `${r.from}>${r.to}`).join(',') + '|' +
+    network.skips.map(s => `${s.from}>${s.to}`).join(',');
+}
+
+function checkHeader(h) {
+  if (h?.format !== 'net-viz-recording') throw new Error('Not a net-viz recording');
+  if (!(h.version <= RECORDING_VERSION)) throw new Error(`Unsupported recording version: ${h.version}`);
+  if (!h.snapshot || !(h.count >= 1)) throw new Error('Recording is empty');
+}
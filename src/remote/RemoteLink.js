@@ -0,0 +1,135 @@
+// Browser end of the bridge connection (see protocol.js). Receives input
+// vectors and rewards, streams activations back at a fixed rate, and keeps
+// reconnecting with backoff while the bridge is down.
+
+import { BRIDGE_DEFAULTS } from './protocol.js';
+
+export const REMOTE_DEFAULTS = {
+  url:            `ws://${BRIDGE_DEFAULTS.host}:${BRIDGE_DEFAULTS.wsPort}`,
+  autoReconnect:  true,
+  streamOutputs:  true,
+  allActivations: false,  // send every layer, not just the output layer
+  sendHz:         20,
+  acceptRewards:  true,
+  holdInputs:     true,   // keep the last inputs while disconnected, else read 0
+};
+
+const RETRY_MIN_S = 0.5;
+const RETRY_MAX_S = 10;
+
+export class RemoteLink {
+  constructor() {
+    this.settings = { ...REMOTE_DEFAULTS };
+    this.status = 'Disconnected';
+    this.inputs = null;     // latest input vector, or null
+    this.received = 0;      // input vectors since connecting
+    this.sent = 0;          // activation messages since connecting
+    this.onReward = null;   // (value) => void
+
+    this._socket = null;
+    this._wanted = false;   // connect() called and not disconnect()
+    this._retries = 0;
+    this._retryTimer = null;
+    this._lastSend = -Infinity;
+  }
+
+  get connected() { return this._socket?.readyState === WebSocket.OPEN; }
+
+  /** Connect to settings.url, retrying while autoReconnect is on. */
+  connect() {
+    this._wanted = true;
+    this._retries = 0;
+    clearTimeout(this._retryTimer);
+    this._socket?.close();
+    this._open();
+  }
+
+  disconnect() {
+    this._wanted = false;
+    clearTimeout(this._retryTimer);
+    this._socket?.close();
+    this._socket = null;
+    this._dropInputs();
+    this.status = 'Disconnected';
+  }
+
+  /**
+   * Send activations if streaming is on and 1 / sendHz has passed. Call after
+   * each tick.
+   * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+   * @param {number} now - seconds
+   */
+  publish(network, now) {
+    const { streamOutputs, allActivations, sendHz } = this.settings;
+    if (!streamOutputs || !this.connected || now - this._lastSend < 1 / sendHz) return;
+    this._lastSend = now;
+    const acts = network.activations;
+    this._socket.send(JSON.stringify({
+      type: 'outputs',
+      values: Array.from(acts[acts.length - 1]),
+      ...(allActivations && { layers: acts.map(a => Array.from(a)) }),
+    }));
+    this.sent++;
+  }
+
+  _open() {
+    let socket;
+    try {
+      socket = new WebSocket(this.settings.url);
+    } catch (err) {
+      // A malformed URL won't get better by retrying
+      this._wanted = false;
+      this.status = `Error: ${err.message}`;
+      return;
+    }
+    this._socket = socket;
+    this.status = 'Connecting…';
+
+    socket.onopen = () => {
+      this._retries = 0;
+      this.received = 0;
+      this.sent = 0;
+      this.status = 'Connected';
+    };
+    socket.onmessage = e => this._receive(e.data);
+    socket.onclose = () => {
+      if (this._socket !== socket) return;
+      this._socket = null;
+      this._dropInputs();
+      if (this._wanted && this.settings.autoReconnect) {
+        const delay = Math.min(RETRY_MAX_S, RETRY_MIN_S * 2 ** this._retries++);
+        this.status = `Reconnecting in ${delay.toFixed(1)} s`;
+        this._retryTimer = setTimeout(() => this._open(), delay * 1000);
+      } else {
+        this._wanted = false;
+        this.status = 'Disconnected';
+      }
+    };
+  }
+
+  _receive(text) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      return;
+    }
+    switch (msg?.type) {
+      case 'inputs':
+        if (!Array.isArray(msg.values)) return;
+        this.inputs = msg.values.map(v => (Number.isFinite(Number(v)) ? Number(v) : 0));
+        this.received++;
+        break;
+      case 'reward':
+        if (this.settings.acceptRewards && Number.isFinite(msg.value)) this.onReward?.(msg.value);
+        break;
+      case 'hello':
+        this.status = `Connected (OSC in :${msg.oscPort}, out ${msg.oscOut})`;
+        break;
+    }
+  }
+
+  _dropInputs() {
+    if (!this.settings.holdInputs) this.inputs = null;
+  }
+}
@@ -0,0 +1,145 @@
+// Local bridge between the browser app (WebSocket) and sensors and
+// actuators on the network (OSC over UDP). Node only; started by
+// bin/net-viz-bridge.js. See protocol.js for the messages.
+
+import { createServer } from 'node:http';
+import { createSocket } from 'node:dgram';
+import { acceptWebSocket } from './websocket.js';
+import { decodePacket, encodeMessage } from './osc.js';
+import { BRIDGE_DEFAULTS, OSC_PATHS } from './protocol.js';
+
+const MAX_INPUTS = 4096; // highest /input index accepted
+
+/**
+ * Start listening on both sides. Resolves once both sockets are bound.
+ * @param {object} [options] - see BRIDGE_DEFAULTS
+ * @param {function(string)} [log]
+ * @returns {Promise<{close(): Promise<void>, readonly clients: number}>}
+ */
+export async function startBridge(options = {}, log = () => {}) {
+  const opts = { ...BRIDGE_DEFAULTS, ...options };
+  const path = name => opts.prefix + OSC_PATHS[name];
+  const clients = new Set();
+  const held = []; // last input vector, for /input updates
+
+  const broadcast = (msg, except = null) => {
+    const text = JSON.stringify(msg);
+    for (const client of clients) if (client !== except) client.send(text);
+  };
+
+  // ─── OSC side ──────────────────────────────────────────────────────────────
+  const udp = createSocket('udp4');
+  // Only arrays of finite numbers go out; anything else from a client is dropped
+  const sendOSC = (address, values) => {
+    if (!Array.isArray(values) || !values.every(Number.isFinite)) return;
+    udp.send(encodeMessage(address, values), opts.oscOutPort, opts.oscOutHost);
+  };
+
+  udp.on('message', (data, from) => {
+    let messages;
+    try {
+      messages = decodePacket(data);
+    } catch (err) {
+      log(`Dropped OSC packet from ${from.address}: ${err.message}`);
+      return;
+    }
+    for (const { address, args } of messages) {
+      const nums = args.filter(a => typeof a === 'number' || typeof a === 'boolean').map(Number);
+      switch (address) {
+        case path('inputs'):
+          held.splice(0, held.length, ...nums);
+          broadcast({ type: 'inputs', values: nums });
+          break;
+        case path('input'): {
+          const [i, v = 0] = nums;
+          if (!(Number.isInteger(i) && i >= 0 && i < MAX_INPUTS)) break;
+          while (held.length <= i) held.push(0);
+          held[i] = v;
+          broadcast({ type: 'inputs', values: held.slice() });
+          break;
+        }
+        case path('reward'):
+          broadcast({ type: 'reward', value: nums[0] ?? 1 });
+          break;
+        case path('punish'):
+          broadcast({ type: 'reward', value: -(nums[0] ?? 1) });
+          break;
+      }
+    }
+  });
+
+  // ─── WebSocket side ────────────────────────────────────────────────────────
+  const receive = (text, client) => {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      log('Dropped a WebSocket message that isn\'t JSON');
+      return;
+    }
+    // One bad message is dropped, never the bridge
+    try {
+      switch (msg?.type) {
+        case 'outputs':
+          sendOSC(path('outputs'), msg.values);
+          if (Array.isArray(msg.layers)) msg.layers.forEach((values, l) => sendOSC(`${path('layer')}/${l}`, values));
+          break;
+        case 'inputs':
+        case 'reward':
+          broadcast(msg, client);
+          break;
+      }
+    } catch (err) {
+      log(`Dropped a WebSocket message: ${err.message}`);
+    }
+  };
+
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('net-viz bridge: connect with a WebSocket\n');
+  });
+  server.on('upgrade', (req, socket, head) => {
+    let client = null;
+    client = acceptWebSocket(req, socket, head, {
+      onMessage: text => receive(text, client),
+      onClose: () => {
+        if (clients.delete(client)) log(`WebSocket client left (${clients.size} connected)`);
+      },
+    }, opts.allowOrigins);
+    if (!client) {
+      log(`Refused a WebSocket upgrade${req.headers.origin ? ` from ${req.headers.origin}` : ''}`);
+      return;
+    }
+    clients.add(client);
+    log(`WebSocket client joined (${clients.size} connected)`);
+    client.send(JSON.stringify({
+      type: 'hello',
+      oscPort: opts.oscPort,
+      oscOut: `${opts.oscOutHost}:${opts.oscOutPort}`,
+      prefix: opts.prefix,
+    }));
+  });
+
+  await Promise.all([
+    new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(opts.wsPort, opts.host, resolve);
+    }),
+    new Promise((resolve, reject) => {
+      udp.once('error', reject);
+      udp.bind(opts.oscPort, opts.oscHost, resolve);
+    }),
+  ]);
+  log(`WebSocket on ws://${opts.host}:${opts.wsPort}, OSC in on udp ${opts.oscHost}:${opts.oscPort}, out to ${opts.oscOutHost}:${opts.oscOutPort}`);
+
+  return {
+    get clients() { return clients.size; },
+    async close() {
+      for (const client of clients) client.close();
+      await Promise.all([
+        new Promise(resolve => server.close(resolve)),
+        new Promise(resolve => udp.close(resolve)),
+      ]);
+    },
+  };
+}
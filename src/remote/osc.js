@@ -0,0 +1,105 @@
+// Open Sound Control 1.0 packets, as microcontroller OSC libraries send them.
+// Decodes messages and (nested) bundles with int, float, double, int64,
+// string, blob and boolean/nil arguments; encodes messages whose numbers
+// go out as float32 and strings as OSC strings.
+
+/**
+ * @param {Uint8Array} data - one UDP datagram
+ * @returns {{address: string, args: (number|string|boolean|null|Uint8Array)[]}[]} every message, bundles flattened
+ */
+export function decodePacket(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const out = [];
+  readPacket(view, 0, data.byteLength, out);
+  return out;
+}
+
+function readPacket(view, start, end, out) {
+  const [head] = readString(view, start);
+  if (head === '#bundle') {
+    // Skip the 8-byte time tag; bundle elements run immediately
+    let offset = start + 16;
+    while (offset + 4 <= end) {
+      const size = view.getInt32(offset);
+      offset += 4;
+      if (size < 0 || offset + size > end) throw new Error('Malformed OSC bundle');
+      readPacket(view, offset, offset + size, out);
+      offset += size;
+    }
+    return;
+  }
+  out.push(readMessage(view, start, end));
+}
+
+function readMessage(view, start, end) {
+  let [address, offset] = readString(view, start);
+  if (!address.startsWith('/')) throw new Error(`Not an OSC message: ${address}`);
+  if (offset >= end) return { address, args: [] };
+  let tags;
+  [tags, offset] = readString(view, offset);
+  const args = [];
+  for (const tag of tags.slice(1)) {
+    switch (tag) {
+      case 'i': args.push(view.getInt32(offset)); offset += 4; break;
+      case 'f': args.push(view.getFloat32(offset)); offset += 4; break;
+      case 'd': args.push(view.getFloat64(offset)); offset += 8; break;
+      case 'h': args.push(Number(view.getBigInt64(offset))); offset += 8; break;
+      case 's':
+      case 'S': { let s; [s, offset] = readString(view, offset); args.push(s); break; }
+      case 'b': {
+        const size = view.getInt32(offset);
+        args.push(new Uint8Array(view.buffer, view.byteOffset + offset + 4, size));
+        offset += 4 + pad4(size);
+        break;
+      }
+      case 'T': args.push(true); break;
+      case 'F': args.push(false); break;
+      case 'N': args.push(null); break;
+      default: throw new Error(`Unsupported OSC type tag: ${tag}`);
+    }
+    if (offset > end) throw new Error('Truncated OSC message');
+  }
+  return { address, args };
+}
+
+/** Null-terminated string padded to 4 bytes; returns [string, next offset]. */
+function readString(view, offset) {
+  let end = offset;
+  while (end < view.byteLength && view.getUint8(end) !== 0) end++;
+  const text = new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + offset, end - offset));
+  return [text, offset + pad4(end - offset + 1)];
+}
+
+const pad4 = n => (n + 3) & ~3;
+
+/**
+ * @param {string} address - e.g. '/netviz/outputs'
+ * @param {(number|string)[]} args
+ * @returns {Uint8Array}
+ */
+export function encodeMessage(address, args = []) {
+  const strings = args.map(a => (typeof a === 'string' ? a : null));
+  const size = stringSize(address) + stringSize(',' + 'x'.repeat(args.length))
+    + args.reduce((n, a, k) => n + (strings[k] !== null ? stringSize(a) : 4), 0);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = writeString(bytes, 0, address);
+  offset = writeString(bytes, offset, ',' + args.map(a => (typeof a === 'string' ? 's' : 'f')).join(''));
+  for (const a of args) {
+    if (typeof a === 'string') {
+      offset = writeString(bytes, offset, a);
+    } else {
+      view.setFloat32(offset, Number(a) || 0);
+      offset += 4;
+    }
+  }
+  return bytes;
+}
+
+const stringSize = s => pad4(new TextEncoder().encode(s).length + 1);
+
+function writeString(bytes, offset, s) {
+  const encoded = new TextEncoder().encode(s);
+  bytes.set(encoded, offset);
+  return offset + pad4(encoded.length + 1);
+}
@@ -0,0 +1,34 @@
+// What the app and the bridge say to each other. Over WebSocket, JSON text:
+//   bridge → app   { type: 'hello', oscPort, oscOut, prefix }
+//                  { type: 'inputs', values: number[] }
+//                  { type: 'reward', value: number }       (+ reward, − punish)
+//   app → bridge   { type: 'outputs', values: number[], layers?: number[][] }
+// Over OSC/UDP, float arguments under `prefix`:
+//   in   /inputs v0 v1 …     the whole input vector
+//        /input i v          one input; the rest keep their last values
+//        /reward [v]         reward v (default 1)
+//        /punish [v]         reward −v (default 1)
+//   out  /outputs v0 v1 …    output-layer activations
+//        /layer/<l> v0 v1 …  every layer's activations, when the app sends them
+// A WebSocket client may also send 'inputs' and 'reward' itself — e.g. a
+// board with a WebSocket library — and the bridge relays them to the others.
+
+export const BRIDGE_DEFAULTS = {
+  host:         '127.0.0.1',  // WebSocket interface; only this machine by default
+  wsPort:       8090,         // WebSocket server for the app
+  allowOrigins: [],           // browser origins allowed besides localhost
+  oscHost:      '0.0.0.0',    // OSC interface; every one, so boards on the LAN can send
+  oscPort:      9000,         // UDP port sensors send OSC to
+  oscOutHost:   '127.0.0.1',  // where outputs go
+  oscOutPort:   9001,
+  prefix:       '/netviz',
+};
+
+export const OSC_PATHS = {
+  inputs: '/inputs',
+  input: '/input',
+  reward: '/reward',
+  punish: '/punish',
+  outputs: '/outputs',
+  layer: '/layer',
+};
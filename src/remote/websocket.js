@@ -0,0 +1,173 @@
+// Just enough of RFC 6455 for the bridge: the server side of the handshake,
+// masked client frames in, unmasked text frames out, ping/pong and close.
+// Fragmented messages are reassembled; anything over MAX_MESSAGE bytes
+// closes the connection. Browser upgrades are only accepted from allowed
+// origins (see isAllowedOrigin), so other web pages can't connect.
+
+import { createHash } from 'node:crypto';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 1 << 20;
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+/**
+ * Complete the upgrade for an HTTP server's 'upgrade' event.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:net').Socket} socket
+ * @param {Buffer} head - bytes that arrived after the request headers
+ * @param {object} handlers
+ * @param {function(string)} handlers.onMessage - each text (or binary, as UTF-8) message
+ * @param {function()} [handlers.onClose]
+ * @param {string[]} [allowOrigins] - origins allowed besides localhost
+ * @returns {{send(text: string): void, close(): void} | null} null if the request wasn't
+ *   a WebSocket upgrade or came from an origin that isn't allowed
+ */
+export function acceptWebSocket(req, socket, head, { onMessage, onClose }, allowOrigins = []) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  if (!isAllowedOrigin(req.headers.origin, allowOrigins)) {
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return null;
+  }
+  const accept = createHash('sha1').update(key + GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  let pending = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  const write = (opcode, payload) => {
+    if (closed || socket.destroyed) return;
+    socket.write(Buffer.concat([frameHeader(opcode, payload.length), payload]));
+  };
+  const close = () => {
+    if (closed) return;
+    write(OP_CLOSE, Buffer.alloc(0));
+    closed = true;
+    socket.end();
+  };
+
+  const receive = (chunk) => {
+    if (closed) return;
+    pending = Buffer.concat([pending, chunk]);
+    let frame;
+    while ((frame = readFrame(pending))) {
+      pending = pending.subarray(frame.length);
+      // Clients must mask; oversized frames are refused before they're buffered
+      if (frame.tooLarge || !frame.masked) return close();
+      switch (frame.opcode) {
+        case OP_TEXT:
+        case OP_BINARY:
+        case OP_CONTINUATION:
+          fragments.push(frame.payload);
+          if (fragments.reduce((n, f) => n + f.length, 0) > MAX_MESSAGE) return close();
+          if (frame.fin) {
+            const message = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            onMessage(message);
+          }
+          break;
+        case OP_PING:
+          write(OP_PONG, frame.payload);
+          break;
+        case OP_CLOSE:
+          return close();
+      }
+    }
+  };
+  socket.on('data', receive);
+  // Frames sent with the upgrade request; read once the caller has the connection
+  if (head?.length) process.nextTick(() => receive(head));
+  socket.on('close', () => {
+    closed = true;
+    onClose?.();
+  });
+  socket.on('error', () => socket.destroy());
+
+  return {
+    send: text => write(OP_TEXT, Buffer.from(text, 'utf8')),
+    close,
+  };
+}
+
+/**
+ * Non-browser clients send no Origin and are let in; browsers must come
+ * from localhost or one of allowOrigins (exact match, e.g.
+ * 'http://192.168.1.20:5173').
+ * @param {string|undefined} origin
+ * @param {string[]} allowOrigins
+ */
+export function isAllowedOrigin(origin, allowOrigins) {
+  if (origin === undefined) return true;
+  if (allowOrigins.includes(origin)) return true;
+  try {
+    return LOCAL_HOSTNAMES.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * One complete frame at the start of buf with its payload unmasked, null if
+ * more bytes are needed, or { tooLarge } past MAX_MESSAGE.
+ */
+function readFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let size = buf[1] & 0x7f;
+  let offset = 2;
+  if (size === 126) {
+    if (buf.length < 4) return null;
+    size = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (size === 127) {
+    if (buf.length < 10) return null;
+    size = Number(buf.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (size > MAX_MESSAGE) return { tooLarge: true };
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buf.length < offset + size) return null;
+  const payload = Buffer.from(buf.subarray(offset, offset + size));
+  if (masked) {
+    for (let i = 0; i < size; i++) payload[i] ^= buf[maskOffset + (i & 3)];
+  }
+  return { fin, opcode, masked, payload, length: offset + size };
+}
+
+function frameHeader(opcode, size) {
+  if (size < 126) return Buffer.from([0x80 | opcode, size]);
+  if (size < 65536) {
+    const head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(size, 2);
+    return head;
+  }
+  const head = Buffer.alloc(10);
+  head[0] = 0x80 | opcode;
+  head[1] = 127;
+  head.writeBigUInt64BE(BigInt(size), 2);
+  return head;
+}
@@ -0,0 +1,239 @@
+import { simulationTick } from './tick.js';
+import { random } from '../util/random.js';
+import { unpack, liveArrays, learnedArrays, settingsOf } from './transfer.js';
+
+export { SIMULATION_DEFAULTS } from './tick.js';
+
+/**
+ * In-process backend: ticks on the render loop at a fixed step. Slower for
+ * big networks but deterministic for a given seed, and easy to debug.
+ */
+export class LocalSimulation {
+  /**
+   * @param {object} parts - { network, trainer, autoReward, homeostasis, feedback? }
+   * @param {object} settings - see SIMULATION_DEFAULTS
+   */
+  constructor(parts, settings) {
+    this.parts = parts;
+    this.settings = settings;
+    this.layoutRunner = null; // STL physics stays on requestAnimationFrame
+    this.lastReward = 0;      // automatic reward applied during the last step()
+    this._since = 0;
+  }
+
+  /**
+   * Advance by frame time dt.
+   * @param {number} dt
+   * @param {function(number): {inputs: number[], targets: number[]|null}} readInputs -
+   *   advance stimulus by a step and sample it
+   * @returns {number} ticks completed — the network's activations are current
+   */
+  step(dt, readInputs) {
+    this._since += dt;
+    const tickS = 1 / this.settings.tickHz;
+    if (this._since < tickS) return 0;
+    // Simulation time advances one fixed step per tick, not by frame time,
+    // so a seeded session replays the same at any fps
+    this._since = 0;
+    const { inputs, targets } = readInputs(tickS);
+    this.lastReward = simulationTick(this.parts, inputs, tickS, targets) ?? 0;
+    return 1;
+  }
+
+  /** Stop ticking (e.g. during replay) — the caller simply stops calling step(). */
+  pause() {}
+
+  resume() {
+    this._since = 0;
+  }
+
+  /** Apply a manual reward to the network, which runs right here. */
+  reinforce(value, learningRate) {
+    this.parts.network.reinforce(value, learningRate);
+  }
+
+  markDirty() {}
+  applySettings() {}
+  applyFeedback() {}
+  applyTraining() {}
+  dispose() {}
+}
+
+/**
+ * Worker backend. The worker owns the running network, trainer and auto
+ * reward; the main thread keeps mirrors that the GUI edits and the
+ * visualizer reads. Network edits push the whole state to the worker
+ * (markDirty), settings edits only the settings; activations come back every
+ * tick and learned weights every weightSyncS, as transferred typed arrays.
+ * Stimulus is sampled per frame and the worker uses the latest inputs, so
+ * ticks run on the worker's own clock.
+ */
+export class WorkerSimulation {
+  constructor(parts, settings) {
+    this.parts = parts;
+    this.settings = settings;
+    this.layoutRunner = this;
+    this.lastReward = 0;
+    this.onError = null;   // (message) => void — e.g. fall back to LocalSimulation
+
+    // Bumped on every edit; messages computed from older state are dropped
+    this._gen = 0;
+    this._dirty = true;
+    this._fresh = true;
+    this._restart = false;
+    this._ticks = 0;
+    this._reward = 0;
+    this._layout = null;
+
+    this._worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+    this._worker.onmessage = e => this._onMessage(e.data);
+    this._worker.onerror = e => {
+      e.preventDefault();
+      this.onError?.(e.message ?? 'Simulation worker failed');
+    };
+    this.markDirty();
+    this.applySettings();
+  }
+
+  step(dt, readInputs) {
+    if (this._dirty) this._pushState();
+    const { inputs, targets } = readInputs(dt);
+    this._worker.postMessage({ type: 'inputs', inputs, targets });
+    const ticks = this._ticks;
+    this._ticks = 0;
+    this.lastReward = this._reward;
+    this._reward = 0;
+    return ticks;
+  }
+
+  /** Stop the worker's tick clock; results already in flight are dropped. */
+  pause() {
+    this._gen++;
+    this._worker.postMessage({ type: 'pause', paused: true });
+  }
+
+  /** Resume from the mirrors' current state. */
+  resume() {
+    this.markDirty();
+    this._worker.postMessage({ type: 'pause', paused: false });
+  }
+
+  /**
+   * Apply a manual reward to the worker's network. Only the reward travels;
+   * the result comes back with the next learned-weights sync.
+   */
+  reinforce(value, learningRate) {
+    // Edits made before the reward must land first
+    if (this._dirty) this._pushState();
+    this._worker.postMessage({ type: 'reinforce', value, learningRate });
+  }
+
+  /**
+   * The network mirror changed — send it to the worker before the next step.
+   * The worker keeps its network's activity if the topology is unchanged,
+   * unless `fresh` says the network was reset or loaded. `restart` also
+   * clears the worker's feedback history, auto reward and homeostasis, as
+   * a session restart does on the main thread.
+   * @param {object} [opts]
+   * @param {boolean} [opts.fresh]
+   * @param {boolean} [opts.restart]
+   */
+  markDirty({ fresh = false, restart = false } = {}) {
+    this._gen++;
+    this._dirty = true;
+    this._fresh ||= fresh || restart;
+    this._restart ||= restart;
+  }
+
+  applySettings() {
+    this._worker.postMessage({ type: 'settings', settings: { ...this.settings } });
+  }
+
+  /** Send the trainer, auto reward and homeostasis settings, after they were edited. */
+  applyTraining() {
+    const { trainer, autoReward, homeostasis } = this.parts;
+    this._worker.postMessage({
+      type: 'training',
+      trainer: settingsOf(trainer),
+      autoReward: settingsOf(autoReward),
+      homeostasis: settingsOf(homeostasis),
+    });
+  }
+
+  /** Send the feedback routes, after they were edited. */
+  applyFeedback() {
+    const { feedback } = this.parts;
+    if (feedback) this._worker.postMessage({ type: 'feedback', feedback: settingsOf(feedback) });
+  }
+
+  dispose() {
+    this._worker.terminate();
+  }
+
+  _pushState() {
+    const { network, trainer, autoReward, homeostasis, feedback } = this.parts;
+    this._worker.postMessage({
+      type: 'state',
+      gen: this._gen,
+      fresh: this._fresh,
+      restart: this._restart,
+      seed: random.seed,
+      network: network.toJSON(),
+      trainer: settingsOf(trainer),
+      autoReward: settingsOf(autoReward),
+      homeostasis: settingsOf(homeostasis),
+      feedback: feedback && settingsOf(feedback),
+    });
+    this._dirty = false;
+    this._fresh = false;
+    this._restart = false;
+  }
+
+  _onMessage(msg) {
+    const { network, trainer, autoReward } = this.parts;
+    switch (msg.type) {
+      case 'tick':
+        if (msg.gen !== this._gen || !unpack(msg.live, liveArrays(network))) return;
+        trainer.lastLoss = msg.lastLoss;
+        autoReward.lastReward = msg.lastReward;
+        autoReward.trace = msg.trace;
+        this._ticks++;
+        this._reward += msg.reward ?? 0;
+        break;
+      case 'learned':
+        if (msg.gen === this._gen) unpack(msg.flat, learnedArrays(network));
+        break;
+      case 'layout':
+        this._layout?.applyPositions(msg.positions, msg.energy);
+        break;
+      case 'error':
+        this.onError?.(msg.message);
+        break;
+    }
+  }
+
+  // ─── STL physics runner (see STLLayout.runner) ──────────────────────────────
+
+  startLayout(layout) {
+    this._layout = layout;
+    this._worker.postMessage({ type: 'layout:start', state: layout.exportState() });
+  }
+
+  stopLayout() {
+    this._worker.postMessage({ type: 'layout:stop' });
+  }
+
+  setLayoutParams(params) {
+    this._worker.postMessage({ type: 'layout:params', params });
+  }
+}
+
+/**
+ * Pick a backend. Falls back to in-process when workers aren't available.
+ * @param {object} parts - { network, trainer, autoReward, homeostasis, feedback? }
+ * @param {object} settings - see SIMULATION_DEFAULTS
+ */
+export function createSimulation(parts, settings) {
+  if (settings.worker && typeof Worker !== 'undefined') return new WorkerSimulation(parts, settings);
+  return new LocalSimulation(parts, settings);
+}
@@ -0,0 +1,248 @@
+// Headless sessions: build a network, stimulus and trainers from a plain
+// config and tick them without a browser. Used by bin/net-viz-sim.js; also
+// importable for scripted experiments and learning-rule checks.
+
+import { NeuralNetwork } from '../network/NeuralNetwork.js';
+import { StimulusController } from '../stimulus/StimulusController.js';
+import { BufferSource } from '../stimulus/audio.js';
+import { FrameSource } from '../stimulus/image.js';
+import { DatasetSource } from '../stimulus/dataset.js';
+import { FEEDBACK_ROUTE_DEFAULTS } from '../stimulus/feedback.js';
+import { COMPOSER_PRESETS, SOURCE_DEFAULTS } from '../stimulus/waveforms.js';
+import { SupervisedTrainer } from '../training/SupervisedTrainer.js';
+import { AutoReward } from '../training/AutoReward.js';
+import { Homeostasis } from '../training/Homeostasis.js';
+import { random } from '../util/random.js';
+import { simulationTick, SIMULATION_DEFAULTS } from './tick.js';
+
+export const HEADLESS_DEFAULTS = {
+  ticks: 1000,
+  tickHz: SIMULATION_DEFAULTS.tickHz,
+  learningRate: 0.015,   // for scheduled rewards — same as the GUI's Reward/Punish
+};
+
+/**
+ * Build a session from a config object.
+ *
+ * @param {object} config
+ * @param {string|number} [config.seed]   - session seed (see util/random.js)
+ * @param {object[]} [config.layers]      - layer configs, as NeuralNetwork takes them
+ * @param {object} [config.snapshot]      - toJSON() data to start from instead of `layers`
+ * @param {object[]} [config.plasticity]  - per matrix: { rule, params }
+ * @param {object[]} [config.connectivity] - per matrix: { type, density, radius }
+ * @param {object[]} [config.skips]       - skip projections: { from, to }
+ * @param {string} [config.mode]          - 'rate' | 'spiking'
+ * @param {object} [config.spiking]       - LIF parameter overrides
+ * @param {number[]} [config.dropout]     - per layer dropout rate
+ * @param {object[]} [config.overrides]   - neuron lesions: { layer, index, type, value }
+ * @param {object} [config.stimulus]      - { mode, ...StimulusController fields }
+ * @param {object} [config.supervised]    - SupervisedTrainer fields
+ * @param {object} [config.autoReward]    - AutoReward fields; `functions` merges per key
+ * @param {object} [config.homeostasis]   - { targetActivity, scaling, intrinsic, weightNorm }
+ * @returns {{network, stimulus, trainer, autoReward, homeostasis, feedback}}
+ */
+export function createSession(config) {
+  if (config.seed !== undefined) random.setSeed(config.seed);
+
+  let network;
+  if (config.snapshot) {
+    network = NeuralNetwork.fromJSON(config.snapshot);
+  } else {
+    if (!Array.isArray(config.layers) || config.layers.length < 2) {
+      throw new Error('Config needs `layers` (at least input and output) or a `snapshot`');
+    }
+    network = new NeuralNetwork(config.layers);
+  }
+
+  perMatrix(network, config.connectivity, 'connectivity', (l, c) => network.setConnectivity(l, c));
+  for (const s of config.skips ?? []) {
+    // A snapshot may already carry the skip
+    if (!network.skips.some(k => k.from === s.from && k.to === s.to)) network.addSkip(s.from, s.to);
+  }
+  perMatrix(network, config.plasticity, 'plasticity', (l, p) => network.setLearningRule(l, p.rule, p.params));
+  if (config.spiking) Object.assign(network.spiking, config.spiking);
+  if (config.mode) network.setMode(config.mode);
+  if (config.dropout?.length > network.numLayers) {
+    throw new Error(`dropout has ${config.dropout.length} entries but the network has ${network.numLayers} layers`);
+  }
+  config.dropout?.forEach((rate, l) => network.setDropout(l, rate));
+  for (const o of config.overrides ?? []) network.setOverride(o.layer, o.index, o.type, o.value);
+
+  const stimulus = new StimulusController(network.layerConfigs[0].size, network.layerConfigs[0].channels);
+  configureStimulus(stimulus, config.stimulus ?? {});
+
+  const trainer = Object.assign(new SupervisedTrainer(), config.supervised);
+
+  const autoReward = new AutoReward();
+  const { functions = {}, ...autoSettings } = config.autoReward ?? {};
+  Object.assign(autoReward, autoSettings);
+  for (const [key, fn] of Object.entries(functions)) {
+    if (!autoReward.functions[key]) throw new Error(`Unknown reward function: ${key}`);
+    Object.assign(autoReward.functions[key], fn);
+  }
+
+  const homeostasis = new Homeostasis();
+  const { targetActivity, ...mechanisms } = config.homeostasis ?? {};
+  if (targetActivity !== undefined) homeostasis.targetActivity = targetActivity;
+  for (const [key, m] of Object.entries(mechanisms)) {
+    if (!homeostasis.mechanisms[key]) throw new Error(`Unknown homeostasis mechanism: ${key}`);
+    Object.assign(homeostasis.mechanisms[key], m);
+  }
+
+  // The stimulus's feedback routes run inside each tick
+  return { network, stimulus, trainer, autoReward, homeostasis, feedback: stimulus.feedback };
+}
+
+/**
+ * Set stimulus mode and parameters. `manual` takes an array of values and
+ * `sine` an array of partial { frequency, amplitude, phase } per input.
+ * For audio mode, `audio` overrides AUDIO_DEFAULTS, `bandGains` is per input,
+ * and `audioBuffer` — `{ sampleRate, channels }` as decodeWAV() returns, or
+ * an AudioBuffer — starts playing from 0, looping unless `loop` is false.
+ * For image mode, `image` overrides IMAGE_DEFAULTS and `imageFrame` is a
+ * `{ width, height, data }` RGBA frame, like an ImageData, held still.
+ * For dataset mode, `dataset` overrides DATASET_DEFAULTS, `datasetText` is
+ * CSV or NDJSON text to play from row 0, and `columns` — `{ inputs, targets,
+ * normalization }` by column name or index — sets its mapping.
+ * For composer mode, `composerPreset` names a built-in preset and
+ * `compositions` takes partial `{ crossfade, a, b }` per input on top,
+ * with a and b overriding SOURCE_DEFAULTS.
+ * In any mode, `feedback` — `{ enabled, routes }` with partial routes per
+ * input, see FEEDBACK_ROUTE_DEFAULTS — closes the loop; it is enabled
+ * unless `enabled` is false.
+ * Anything else is copied onto the controller for mode-specific settings.
+ */
+export function configureStimulus(stimulus, {
+  mode, manual, sine, audio, bandGains, audioBuffer, loop = true, image, imageFrame,
+  dataset, datasetText, datasetName, columns, composerPreset, compositions, feedback, ...rest
+}) {
+  if (mode) stimulus.mode = mode;
+  manual?.forEach((v, i) => { if (i < stimulus.inputSize) stimulus.manualValues[String(i)] = v; });
+  sine?.forEach((p, i) => { if (i < stimulus.inputSize) Object.assign(stimulus.sineParams[i], p); });
+  for (const key of Object.keys(audio ?? {})) {
+    if (!(key in stimulus.audio)) throw new Error(`Unknown audio setting: ${key}`);
+  }
+  Object.assign(stimulus.audio, audio);
+  bandGains?.forEach((g, i) => { if (i < stimulus.inputSize) stimulus.bandGains[i] = g; });
+  if (audioBuffer) {
+    const source = new BufferSource(audioBuffer, { loop });
+    stimulus.setAudioSource(source);
+    source.play();
+  }
+  for (const key of Object.keys(image ?? {})) {
+    if (!(key in stimulus.image)) throw new Error(`Unknown image setting: ${key}`);
+  }
+  Object.assign(stimulus.image, image);
+  if (imageFrame) stimulus.setImageSource(new FrameSource(imageFrame));
+  for (const key of Object.keys(dataset ?? {})) {
+    if (!(key in stimulus.dataset)) throw new Error(`Unknown dataset setting: ${key}`);
+  }
+  Object.assign(stimulus.dataset, dataset);
+  const source = datasetText !== undefined ? DatasetSource.parse(datasetText, datasetName) : stimulus.datasetSource;
+  if (columns) {
+    if (!source) throw new Error('Stimulus columns need a dataset');
+    source.mapColumns(columns);
+  }
+  // Map first so default inputs skip any newly named target columns
+  if (source) stimulus.setDatasetSource(source);
+  if (composerPreset !== undefined) {
+    const preset = COMPOSER_PRESETS[composerPreset];
+    if (!preset) throw new Error(`Unknown composer preset: ${composerPreset}`);
+    stimulus.compositions = stimulus.compositions.map((_, i, all) => preset.make(i, all.length));
+  }
+  compositions?.forEach(({ crossfade, a, b, ...unknown }, i) => {
+    const [extra] = Object.keys(unknown);
+    if (extra) throw new Error(`Unknown composition setting: ${extra}`);
+    for (const key of [...Object.keys(a ?? {}), ...Object.keys(b ?? {})]) {
+      if (!(key in SOURCE_DEFAULTS)) throw new Error(`Unknown composer source setting: ${key}`);
+    }
+    if (i >= stimulus.inputSize) return;
+    const target = stimulus.compositions[i];
+    if (crossfade !== undefined) target.crossfade = crossfade;
+    Object.assign(target.a, a);
+    Object.assign(target.b, b);
+  });
+  if (feedback) {
+    const { enabled = true, routes = [], ...unknown } = feedback;
+    const [extra] = Object.keys(unknown);
+    if (extra) throw new Error(`Unknown feedback setting: ${extra}`);
+    routes.forEach((route, i) => {
+      for (const key of Object.keys(route)) {
+        if (!(key in FEEDBACK_ROUTE_DEFAULTS)) throw new Error(`Unknown feedback route setting: ${key}`);
+      }
+      if (i < stimulus.inputSize) Object.assign(stimulus.feedback.routes[i], route);
+    });
+    stimulus.feedback.enabled = enabled;
+  }
+  Object.assign(stimulus, rest);
+}
+
+/**
+ * Expand reward events into a tick → total reward lookup.
+ * Each event is either one-shot `{ tick, reward }` or repeating
+ * `{ every, reward, start?, end? }`; `learningRate` overrides the default.
+ * @returns {function(number): Array<{reward: number, learningRate: number}>}
+ */
+export function rewardSchedule(events = [], defaultRate = HEADLESS_DEFAULTS.learningRate) {
+  for (const e of events) {
+    if (!Number.isFinite(e.reward)) throw new Error('Reward event needs a numeric `reward`');
+    if (!Number.isInteger(e.tick) && !(Number.isInteger(e.every) && e.every > 0)) {
+      throw new Error('Reward event needs `tick` or a positive `every`');
+    }
+  }
+  return tick => events
+    .filter(e => (Number.isInteger(e.tick)
+      ? e.tick === tick
+      : tick >= (e.start ?? 0) && tick <= (e.end ?? Infinity) && (tick - (e.start ?? 0)) % e.every === 0))
+    .map(e => ({ reward: e.reward, learningRate: e.learningRate ?? defaultRate }));
+}
+
+/**
+ * Tick a session. The stimulus advances one fixed step per tick, exactly as
+ * the in-process browser backend does, so a seeded run is reproducible.
+ *
+ * @param {object} session - from createSession()
+ * @param {object} [opts]
+ * @param {number} [opts.ticks]
+ * @param {number} [opts.tickHz]
+ * @param {object[]} [opts.rewards]       - reward events, see rewardSchedule()
+ * @param {number} [opts.learningRate]    - default rate for reward events
+ * @param {function(object)} [opts.onTick] - called after each tick with
+ *   { tick, time, inputs, targets, reward, loss }; the network holds that
+ *   tick's state, and targets is null outside dataset mode
+ */
+export function runSession(session, opts = {}) {
+  const { ticks, tickHz, learningRate } = { ...HEADLESS_DEFAULTS, ...opts };
+  const rewardsAt = rewardSchedule(opts.rewards, learningRate);
+  const { network, stimulus, trainer } = session;
+  const dt = 1 / tickHz;
+
+  for (let tick = 0; tick < ticks; tick++) {
+    stimulus.update(dt);
+    const inputs = stimulus.getInputs();
+    const targets = stimulus.getTargets();
+    let reward = simulationTick(session, inputs, dt, targets) ?? 0;
+    for (const event of rewardsAt(tick)) {
+      network.reinforce(event.reward, event.learningRate);
+      reward += event.reward;
+    }
+
+    opts.onTick?.({
+      tick,
+      time: stimulus.time,
+      inputs,
+      targets,
+      reward,
+      loss: trainer.enabled ? trainer.lastLoss : null,
+    });
+  }
+}
+
+/** Run fn(layerIdx, entry) for each non-null entry, checking the count against the network. */
+function perMatrix(network, entries, name, fn) {
+  if (!entries) return;
+  if (entries.length > network.numLayers - 1) {
+    throw new Error(`${name} has ${entries.length} entries but the network has ${network.numLayers - 1} weight matrices`);
+  }
+  entries.forEach((entry, l) => { if (entry) fn(l, entry); });
+}
@@ -0,0 +1,141 @@
+// Off-main-thread simulation: network ticks and STL force physics, each on
+// its own timer. Talks to WorkerSimulation in Simulation.js.
+
+import { NeuralNetwork } from '../network/NeuralNetwork.js';
+import { registerActivation } from '../network/activations.js';
+import { SupervisedTrainer } from '../training/SupervisedTrainer.js';
+import { AutoReward } from '../training/AutoReward.js';
+import { Homeostasis } from '../training/Homeostasis.js';
+import { FeedbackLoop } from '../stimulus/feedback.js';
+import { STLLayout } from '../viz/STLLayout.js';
+import { random } from '../util/random.js';
+import { simulationTick, SIMULATION_DEFAULTS } from './tick.js';
+import { pack, liveArrays, learnedArrays } from './transfer.js';
+
+const parts = {
+  network: null,
+  trainer: new SupervisedTrainer(),
+  autoReward: new AutoReward(),
+  homeostasis: new Homeostasis(),
+  feedback: new FeedbackLoop(0),
+};
+const settings = { ...SIMULATION_DEFAULTS };
+let gen = 0;
+let inputs = null;
+let targets = null;
+let lastWeightSync = 0;
+let tickTimer = null;
+let paused = false;
+
+let layout = null;
+let layoutTimer = null;
+
+function restartTicks() {
+  clearInterval(tickTimer);
+  tickTimer = setInterval(tick, 1000 / settings.tickHz);
+}
+
+function tick() {
+  const { network, trainer, autoReward } = parts;
+  if (!network || !inputs || paused) return;
+  // Feedback mixes in place, and the same inputs are reused until new ones arrive
+  const reward = simulationTick(parts, inputs.slice(), 1 / settings.tickHz, targets);
+
+  const live = pack(liveArrays(network));
+  self.postMessage({
+    type: 'tick', gen, live, reward,
+    lastLoss: trainer.lastLoss,
+    lastReward: autoReward.lastReward,
+    trace: autoReward.trace,
+  }, [live.buffer]);
+
+  const now = performance.now();
+  if (now - lastWeightSync >= settings.weightSyncS * 1000) {
+    const flat = pack(learnedArrays(network));
+    self.postMessage({ type: 'learned', gen, flat }, [flat.buffer]);
+    lastWeightSync = now;
+  }
+}
+
+function loadState(msg) {
+  // Lesion noise and dropout draw here, so follow the session seed
+  if (msg.seed !== random.seed) random.setSeed(msg.seed);
+  // Always take the main thread's definitions — an activation may have been redefined
+  for (const [name, def] of Object.entries(msg.network.customActivations ?? {})) {
+    registerActivation(name, def);
+  }
+  const prevTopology = JSON.stringify(parts.network?.layerConfigs);
+  // An edit to the running network keeps its activity; a reset or load starts from rest
+  if (parts.network) parts.network.loadJSON(msg.network, { keepLive: !msg.fresh });
+  else parts.network = NeuralNetwork.fromJSON(msg.network);
+
+  applyTraining(msg);
+  Object.assign(parts.feedback, msg.feedback);
+  if (msg.restart) {
+    // The session starts over, so nothing from before may leak into it
+    parts.feedback.reset();
+    parts.homeostasis.reset();
+  }
+  if (msg.restart || JSON.stringify(parts.network.layerConfigs) !== prevTopology) parts.autoReward.reset();
+  gen = msg.gen;
+}
+
+function applyTraining({ trainer, autoReward, homeostasis }) {
+  Object.assign(parts.trainer, trainer);
+  Object.assign(parts.autoReward, autoReward);
+  Object.assign(parts.homeostasis, homeostasis);
+}
+
+function startLayout(state) {
+  clearInterval(layoutTimer);
+  layout = new STLLayout();
+  layout.importState(state);
+  layout.onTick = () => {
+    const positions = layout.packPositions();
+    self.postMessage({ type: 'layout', positions, energy: layout.energy }, [positions.buffer]);
+  };
+  layoutTimer = setInterval(() => layout._step(), 1000 / settings.physicsHz);
+}
+
+self.onmessage = ({ data: msg }) => {
+  try {
+    switch (msg.type) {
+      case 'state':
+        loadState(msg);
+        break;
+      case 'training':
+        applyTraining(msg);
+        break;
+      case 'feedback':
+        Object.assign(parts.feedback, msg.feedback);
+        break;
+      case 'pause':
+        paused = msg.paused;
+        break;
+      case 'reinforce':
+        parts.network?.reinforce(msg.value, msg.learningRate);
+        break;
+      case 'inputs':
+        inputs = msg.inputs;
+        targets = msg.targets;
+        break;
+      case 'settings':
+        Object.assign(settings, msg.settings);
+        restartTicks();
+        if (layout && layoutTimer !== null) startLayout(layout.exportState());
+        break;
+      case 'layout:start':
+        startLayout(msg.state);
+        break;
+      case 'layout:stop':
+        clearInterval(layoutTimer);
+        layoutTimer = null;
+        break;
+      case 'layout:params':
+        if (layout) Object.assign(layout, msg.params);
+        break;
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
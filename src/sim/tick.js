@@ -0,0 +1,35 @@
+// Simulation step and settings shared by the main thread and the worker.
+
+export const SIMULATION_DEFAULTS = {
+  worker: true,        // run network + STL physics off the main thread
+  tickHz: 24,          // forward passes per second
+  physicsHz: 60,       // STL force-sim steps per second (worker only)
+  weightSyncS: 0.15,   // how often learned weights are copied back (worker only)
+};
+
+/**
+ * One tick: feedback, supervised step or plain forward pass, homeostasis,
+ * then automatic reward.
+ * @param {object} parts - may include a FeedbackLoop as `feedback`
+ * @param {number[]} inputs - feedback is mixed into these in place
+ * @param {number} dt
+ * @param {number[]|null} [targets] - stimulus-provided targets (dataset mode)
+ * @returns {number|null} the automatic reward applied this tick, if any
+ */
+export function simulationTick({ network, trainer, autoReward, homeostasis, feedback }, inputs, dt, targets = null) {
+  if (feedback) {
+    // The network still holds the last tick's activations
+    feedback.record(network);
+    feedback.apply(inputs, network);
+  }
+  if (trainer.enabled && network.mode === 'rate') {
+    // Train on (stimulus, task target) pairs — includes the forward pass
+    trainer.step(network, inputs, targets);
+  } else {
+    network.forward(inputs);
+  }
+  homeostasis.update(network, dt);
+  autoReward.observe(network, inputs, targets);
+  // Automatic reward (evaluates on its own interval)
+  return autoReward.update(dt, network);
+}
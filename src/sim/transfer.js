@@ -0,0 +1,49 @@
+// Flatten lists of Float32Arrays into one buffer that can be transferred
+// between threads, and copy such a buffer back into matching arrays.
+
+/** @param {Float32Array[]} arrays */
+export function pack(arrays) {
+  let total = 0;
+  for (const a of arrays) total += a.length;
+  const flat = new Float32Array(total);
+  let offset = 0;
+  for (const a of arrays) {
+    flat.set(a, offset);
+    offset += a.length;
+  }
+  return flat;
+}
+
+/**
+ * Copy flat back into arrays. Returns false, copying nothing, if the layout
+ * doesn't match — e.g. a message sent before a topology change.
+ * @param {Float32Array} flat
+ * @param {Float32Array[]} arrays
+ */
+export function unpack(flat, arrays) {
+  let total = 0;
+  for (const a of arrays) total += a.length;
+  if (total !== flat.length) return false;
+  let offset = 0;
+  for (const a of arrays) {
+    a.set(flat.subarray(offset, offset + a.length));
+    offset += a.length;
+  }
+  return true;
+}
+
+/** Per-tick state the visualizer reads. */
+export const liveArrays = network => [...network.activations, ...network.prevActivations];
+
+/** Everything learning changes, for periodic weight syncs. */
+export const learnedArrays = network => [
+  ...network.weights,
+  ...network.biases,
+  ...network.eligibility,
+  ...network.recurrent.flatMap(r => [r.weights, r.eligibility]),
+  ...network.skips.flatMap(s => [s.weights, s.eligibility]),
+];
+
+/** Plain-data copy of a settings object, skipping private `_` fields. */
+export const settingsOf = obj =>
+  JSON.parse(JSON.stringify(obj, (key, value) => (key.startsWith('_') ? undefined : value)));
@@ -1,21 +1,51 @@
+import { random } from '../util/random.js';
+import { AUDIO_DEFAULTS, AudioAnalyzer } from './audio.js';
+import { IMAGE_DEFAULTS, inputShape, sampleFrame } from './image.js';
+import { DATASET_DEFAULTS } from './dataset.js';
+import { FeedbackLoop } from './feedback.js';
+import { composeValue, defaultComposition } from './waveforms.js';
+
+const rand = random.stream('stimulus');
+
 export class StimulusController {
   /**
    * @param {number} inputSize  - number of input neurons
+   * @param {number} [channels] - feature maps the input layer is read as (image mode)
    */
-  constructor(inputSize) {
-    this.mode = 'sine'; // 'sine' | 'noise' | 'manual'
+  constructor(inputSize, channels = 1) {
+    this.mode = 'sine'; // 'sine' | 'noise' | 'manual' | 'audio' | 'image' | 'dataset' | 'remote' | 'midi' | 'composer'
     this.time = 0;
-    this._setSize(inputSize);
+    // Audio mode: band analysis settings and the current source (see audio.js)
+    this.audio = { ...AUDIO_DEFAULTS };
+    this.audioSource = null;
+    this._analyzer = new AudioAnalyzer();
+    // Image mode: sampling settings and the current source (see image.js)
+    this.image = { ...IMAGE_DEFAULTS };
+    this.imageSource = null;
+    // Dataset mode: playback settings and the loaded table (see dataset.js)
+    this.dataset = { ...DATASET_DEFAULTS };
+    this.datasetSource = null;
+    // Remote mode: input vectors from the bridge (see remote/RemoteLink.js)
+    this.remoteLink = null;
+    // MIDI mode: note velocities and CCs (see midi/MidiLink.js)
+    this.midiLink = null;
+    // Feedback routes, mixed into any mode's inputs by the simulation tick (see feedback.js)
+    this.feedback = new FeedbackLoop(inputSize);
+    this._setSize(inputSize, channels);
   }
 
   get inputSize() { return this._inputSize; }
 
-  setInputSize(size) {
-    this._setSize(size);
+  /** Input layer's feature-map shape, which image mode samples into. */
+  get inputShape() { return this._inputShape; }
+
+  setInputSize(size, channels = 1) {
+    this._setSize(size, channels);
   }
 
-  _setSize(size) {
+  _setSize(size, channels) {
     this._inputSize = size;
+    this._inputShape = inputShape(size, channels);
 
     // Sine parameters — evenly spread in frequency/phase
     this.sineParams = Array.from({ length: size }, (_, i) => ({
@@ -32,15 +62,109 @@ export class StimulusController {
       this.manualValues[String(i)] = prev[String(i)] ?? 0.5;
     }
 
+    // Composer signals, one composition per input (see waveforms.js), kept across resizes
+    const prevCompositions = this.compositions ?? [];
+    this.compositions = Array.from({ length: size }, (_, i) => prevCompositions[i] ?? defaultComposition(i, size));
+
     // Noise state
     this._noiseState = new Float32Array(size).fill(0.5);
+
+    // Audio band gains, one per input, kept across resizes like manual values
+    const prevGains = this.bandGains ?? [];
+    this.bandGains = Array.from({ length: size }, (_, i) => prevGains[i] ?? 1);
+    this._audioValues = new Float32Array(size);
+    this.imageValues = new Float32Array(size);
+
+    // Dataset column mapping follows the input count
+    this.datasetSource?.fitInputs(size);
+    this._datasetValues = new Float32Array(size);
+    this._datasetTargets = null;
+
+    this.feedback.resize(size);
+  }
+
+  /**
+   * Feed audio mode from a BufferSource or MicrophoneSource, closing the
+   * previous one. Pass null to go silent.
+   */
+  setAudioSource(source) {
+    if (this.audioSource && this.audioSource !== source) this.audioSource.close();
+    this.audioSource = source;
+    this._analyzer.reset();
+    this._audioValues.fill(0);
+  }
+
+  /**
+   * Feed image mode from a FrameSource, ImageFileSource, VideoFileSource or
+   * WebcamSource, closing the previous one. Pass null to go dark.
+   */
+  setImageSource(source) {
+    if (this.imageSource && this.imageSource !== source) this.imageSource.close();
+    this.imageSource = source;
+    this.imageValues.fill(0);
+  }
+
+  /**
+   * Feed dataset mode from a DatasetSource, sizing its input mapping to the
+   * input layer. Pass null to unload.
+   */
+  setDatasetSource(source) {
+    this.datasetSource = source;
+    source?.fitInputs(this._inputSize);
+    this._datasetValues.fill(0);
+    this._datasetTargets = null;
+  }
+
+  /** Feed remote mode from a RemoteLink's latest input vector. */
+  setRemoteLink(link) {
+    this.remoteLink = link;
+  }
+
+  /** Feed MIDI mode from a MidiLink's mapped note and CC values. */
+  setMidiLink(link) {
+    this.midiLink = link;
+  }
+
+  /** Rewind to time zero with fresh noise state — used when restarting from a seed. */
+  reset() {
+    this.time = 0;
+    this._noiseState.fill(0.5);
+    this.audioSource?.seek?.(0);
+    this._analyzer.reset();
+    this.imageSource?.seek?.(0);
+    if (this.datasetSource) {
+      // A dataset that ran off its end without Loop has stopped itself
+      this.datasetSource.seek(0);
+      this.datasetSource.playing = true;
+    }
+    this.feedback.reset();
   }
 
   /**
    * Advance time by dt (call once per frame before getInputs).
+   * In audio mode this also moves the playhead and analyzes one window;
+   * in image mode it steps video and samples the current frame, and in
+   * dataset mode it reads the row under the playhead and moves it on.
    */
   update(dt) {
     this.time += dt;
+    if (this.mode === 'audio' && this.audioSource) {
+      this.audioSource.advance(dt);
+      this._audioValues = this._analyzer.process(this.audioSource, this._inputSize, this.audio, this.bandGains, dt);
+    }
+    if (this.mode === 'image' && this.imageSource) {
+      this.imageSource.advance(dt);
+      // A video or camera without a decoded frame yet keeps the last values
+      const frame = this.imageSource.frame();
+      if (frame) this.imageValues = sampleFrame(frame, this._inputShape, this.image, this.time);
+    }
+    if (this.mode === 'dataset' && this.datasetSource) {
+      // Read before moving on, so playback starts at row 0
+      const { inputs, targets } = this.datasetSource.read(this.dataset);
+      this._datasetValues = inputs;
+      this._datasetTargets = targets;
+      this.datasetSource.advance(dt, this.dataset);
+    }
   }
 
   /**
@@ -57,10 +181,16 @@ export class StimulusController {
         }
         break;
 
+      case 'composer':
+        for (let i = 0; i < this._inputSize; i++) {
+          inputs[i] = composeValue(this.compositions[i], this.time);
+        }
+        break;
+
       case 'noise':
         // Smooth random walk, bounded [0, 1]
         for (let i = 0; i < this._inputSize; i++) {
-          this._noiseState[i] += (Math.random() - 0.5) * 0.12;
+          this._noiseState[i] += rand.uniform(-0.06, 0.06);
           this._noiseState[i] = Math.max(0, Math.min(1, this._noiseState[i]));
           inputs[i] = this._noiseState[i];
         }
@@ -72,10 +202,57 @@ export class StimulusController {
         }
         break;
 
+      case 'audio':
+        // Silent until a source is set
+        for (let i = 0; i < this._inputSize; i++) {
+          inputs[i] = this.audioSource ? this._audioValues[i] ?? 0 : 0;
+        }
+        break;
+
+      case 'image':
+        // Dark until a source is set
+        for (let i = 0; i < this._inputSize; i++) {
+          inputs[i] = this.imageSource ? this.imageValues[i] ?? 0 : 0;
+        }
+        break;
+
+      case 'dataset':
+        for (let i = 0; i < this._inputSize; i++) {
+          inputs[i] = this.datasetSource ? this._datasetValues[i] ?? 0 : 0;
+        }
+        break;
+
+      case 'remote': {
+        // Short vectors leave the remaining inputs at 0
+        const values = this.remoteLink?.inputs;
+        for (let i = 0; i < this._inputSize; i++) {
+          inputs[i] = values?.[i] ?? 0;
+        }
+        break;
+      }
+
+      case 'midi':
+        // Silent until a note or CC arrives
+        for (let i = 0; i < this._inputSize; i++) {
+          inputs[i] = this.midiLink?.values[i] ?? 0;
+        }
+        break;
+
       default:
         inputs.fill(0);
     }
 
     return inputs;
   }
+
+  /**
+   * Target values that go with the current inputs — the dataset's target
+   * columns, normalized like its inputs. Null in other modes, or when the
+   * dataset has no target columns.
+   * @returns {number[]|null}
+   */
+  getTargets() {
+    if (this.mode !== 'dataset' || !this._datasetTargets?.length) return null;
+    return Array.from(this._datasetTargets);
+  }
 }
@@ -0,0 +1,365 @@
+// Audio stimulus: reduce the latest window of samples to one value per
+// input neuron. A Hann-windowed FFT is grouped into log-spaced bands between
+// minHz and maxHz; each band gets its own gain, is smoothed across ticks and,
+// optionally, divided by its own decaying peak so quiet and loud material
+// both fill 0…1. The last input can carry onsets instead: when spectral flux
+// jumps above its recent mean it is set to 1, then it decays every tick.
+//
+// Sources hand the analyzer their latest FFT_SIZE samples. BufferSource plays
+// a decoded buffer on the stimulus clock, so it works without an audio device
+// (headless runs); given an AudioContext it is also heard, and follows the
+// context's clock. MicrophoneSource reads a live input through an AnalyserNode.
+
+export const FFT_SIZE = 2048;
+
+export const AUDIO_DEFAULTS = {
+  gain:           1,      // applied to every band
+  smoothing:      0.5,    // fraction of the previous value kept each tick
+  minHz:          40,     // lower edge of the lowest band
+  maxHz:          12000,  // upper edge of the highest band
+  normalize:      true,   // divide each band by its decaying peak
+  normalizeTau:   10,     // seconds for a band's peak to fall by 1/e
+  onset:          true,   // the last input is the onset channel
+  onsetThreshold: 1.5,    // flux must exceed its mean by this many deviations
+  onsetDecay:     0.75,   // onset channel kept per tick after firing
+};
+
+// GUI labels and slider ranges for the numeric AUDIO_DEFAULTS
+export const AUDIO_PARAM_SPECS = {
+  gain:           { min: 0,   max: 8,     step: 0.05, label: 'Gain' },
+  smoothing:      { min: 0,   max: 0.99,  step: 0.01, label: 'Smoothing' },
+  minHz:          { min: 20,  max: 1000,  step: 10,   label: 'Low Band (Hz)' },
+  maxHz:          { min: 1000, max: 20000, step: 100, label: 'High Band (Hz)' },
+  normalizeTau:   { min: 0.5, max: 60,    step: 0.5,  label: 'Normalize Window (s)' },
+  onsetThreshold: { min: 0.2, max: 5,     step: 0.1,  label: 'Onset Threshold' },
+  onsetDecay:     { min: 0,   max: 0.99,  step: 0.01, label: 'Onset Decay' },
+};
+
+const ONSET_TAU = 0.5;        // seconds of flux history the threshold adapts over
+const ONSET_REFRACTORY = 0.1; // seconds after an onset before another can fire
+const PEAK_FLOOR = 1e-3;      // normalization never divides by less — silence stays dark
+
+/** In-place iterative radix-2 FFT. Length must be a power of two. */
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+/**
+ * Per-tick band analysis with its running state: smoothed values, band
+ * peaks and onset statistics. reset() when the source or stream restarts.
+ */
+export class AudioAnalyzer {
+  constructor(fftSize = FFT_SIZE) {
+    this.fftSize = fftSize;
+    this._frame = new Float32Array(fftSize);
+    this._re = new Float64Array(fftSize);
+    this._im = new Float64Array(fftSize);
+    this._window = Float64Array.from({ length: fftSize }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize));
+    // A full-scale sine at a bin centre reads 1
+    this._scale = 2 / this._window.reduce((a, b) => a + b, 0);
+    this._mags = new Float32Array(fftSize / 2 + 1);
+    this._bandKey = '';
+    this.reset();
+  }
+
+  reset() {
+    this._smoothed = null;
+    this._peaks = null;
+    this._prevLevels = null;
+    this._fluxMean = 0;
+    this._fluxVar = 0;
+    this._sinceOnset = Infinity;
+    this.onsetValue = 0;
+  }
+
+  /**
+   * Analyze the source's latest window into `count` input values.
+   * @param {{sampleRate: number, read(out: Float32Array): void}} source
+   * @param {number} count        - input neurons to fill
+   * @param {object} settings     - see AUDIO_DEFAULTS
+   * @param {number[]} bandGains  - per input gain
+   * @param {number} dt           - seconds since the previous call
+   * @returns {Float32Array}
+   */
+  process(source, count, settings, bandGains, dt) {
+    const onset = settings.onset && count > 1;
+    const bands = onset ? count - 1 : count;
+    this._fit(bands, source.sampleRate, settings);
+
+    source.read(this._frame);
+    this._spectrum();
+
+    const levels = new Float32Array(bands);
+    for (let b = 0; b < bands; b++) {
+      const [lo, hi] = this._ranges[b];
+      let sum = 0;
+      for (let k = lo; k < hi; k++) sum += this._mags[k];
+      levels[b] = sum / (hi - lo);
+    }
+
+    const out = new Float32Array(count);
+    const keep = Math.max(0, Math.min(0.99, settings.smoothing));
+    const decay = Math.exp(-dt / Math.max(1e-3, settings.normalizeTau));
+    for (let b = 0; b < bands; b++) {
+      const level = levels[b] * settings.gain * (bandGains[b] ?? 1);
+      let v;
+      if (settings.normalize) {
+        this._peaks[b] = Math.max(level, this._peaks[b] * decay, PEAK_FLOOR);
+        v = level / this._peaks[b];
+      } else {
+        v = Math.min(1, level);
+      }
+      this._smoothed[b] = keep * this._smoothed[b] + (1 - keep) * v;
+      out[b] = this._smoothed[b];
+    }
+
+    this._detectOnset(levels, settings, dt);
+    if (onset) out[count - 1] = this.onsetValue;
+    return out;
+  }
+
+  /** Spectral flux of log band levels against an adaptive mean + k·deviation threshold. */
+  _detectOnset(levels, settings, dt) {
+    let flux = 0;
+    if (this._prevLevels) {
+      for (let b = 0; b < levels.length; b++) {
+        flux += Math.max(0, Math.log1p(100 * levels[b]) - Math.log1p(100 * this._prevLevels[b]));
+      }
+      flux /= levels.length;
+    }
+    this._prevLevels = levels;
+
+    const threshold = this._fluxMean + settings.onsetThreshold * Math.sqrt(this._fluxVar);
+    this._sinceOnset += dt;
+    if (flux > threshold && flux > 1e-3 && this._sinceOnset >= ONSET_REFRACTORY) {
+      this.onsetValue = 1;
+      this._sinceOnset = 0;
+    } else {
+      this.onsetValue *= settings.onsetDecay;
+    }
+
+    const k = 1 - Math.exp(-dt / ONSET_TAU);
+    const diff = flux - this._fluxMean;
+    this._fluxMean += k * diff;
+    this._fluxVar = (1 - k) * (this._fluxVar + k * diff * diff);
+  }
+
+  /** Windowed FFT of the current frame into bin magnitudes. */
+  _spectrum() {
+    const { _re: re, _im: im, _window: w, _frame: frame, _mags: mags } = this;
+    for (let i = 0; i < this.fftSize; i++) {
+      re[i] = frame[i] * w[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k < mags.length; k++) mags[k] = Math.hypot(re[k], im[k]) * this._scale;
+  }
+
+  /**
+   * Bin range [lo, hi) of each log-spaced band. A band narrower than one bin
+   * takes the bin nearest its centre. Running state restarts when they change.
+   */
+  _fit(bands, sampleRate, { minHz, maxHz }) {
+    const key = `${bands}|${sampleRate}|${minHz}|${maxHz}`;
+    if (key === this._bandKey) return;
+    this._bandKey = key;
+
+    const binHz = sampleRate / this.fftSize;
+    const lastBin = this.fftSize / 2;
+    const lo = Math.max(1, Math.min(minHz, maxHz));
+    const hi = Math.max(lo * 1.01, Math.min(maxHz, sampleRate / 2));
+    this._ranges = Array.from({ length: bands }, (_, b) => {
+      const f0 = lo * Math.pow(hi / lo, b / bands);
+      const f1 = lo * Math.pow(hi / lo, (b + 1) / bands);
+      const start = Math.min(lastBin, Math.ceil(f0 / binHz));
+      const end = Math.min(lastBin + 1, Math.ceil(f1 / binHz));
+      if (end > start) return [start, end];
+      const centre = Math.min(lastBin, Math.round(Math.sqrt(f0 * f1) / binHz));
+      return [centre, centre + 1];
+    });
+    this._smoothed = new Float32Array(bands);
+    this._peaks = new Float32Array(bands).fill(PEAK_FLOOR);
+    this._prevLevels = null;
+  }
+}
+
+/**
+ * A decoded buffer played back on the stimulus clock. Accepts a Web Audio
+ * AudioBuffer or a plain `{ sampleRate, channels: Float32Array[] }` (see
+ * decodeWAV()); channels are mixed to mono for analysis.
+ */
+export class BufferSource {
+  /**
+   * @param {AudioBuffer|{sampleRate: number, channels: Float32Array[]}} buffer
+   * @param {object} [opts]
+   * @param {AudioContext} [opts.context] - play it audibly through this context
+   * @param {boolean} [opts.loop]
+   * @param {string} [opts.name]          - shown in the GUI
+   */
+  constructor(buffer, { context = null, loop = true, name = 'buffer' } = {}) {
+    const channels = buffer.channels
+      ?? Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+    if (!channels.length || !(buffer.sampleRate > 0)) throw new Error('Audio buffer has no samples');
+    this.sampleRate = buffer.sampleRate;
+    this.samples = new Float32Array(channels[0].length);
+    for (const ch of channels) {
+      for (let i = 0; i < ch.length; i++) this.samples[i] += ch[i] / channels.length;
+    }
+    this.name = name;
+    this.position = 0; // seconds
+    this.playing = false;
+    this._loop = loop;
+    this._buffer = buffer;
+    this._context = context;
+    this._node = null;
+  }
+
+  get duration() { return this.samples.length / this.sampleRate; }
+
+  get loop() { return this._loop; }
+  set loop(value) {
+    this._loop = !!value;
+    if (this._node) this._node.loop = this._loop;
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.position >= this.duration) this.position = 0;
+    this.playing = true;
+    this._startOutput();
+  }
+
+  pause() {
+    this.playing = false;
+    this._stopOutput();
+  }
+
+  /** Pause and rewind. */
+  stop() {
+    this.pause();
+    this.position = 0;
+  }
+
+  seek(seconds) {
+    this.position = Math.max(0, Math.min(this.duration, Number(seconds) || 0));
+    if (this.playing) {
+      this._stopOutput();
+      this._startOutput();
+    }
+  }
+
+  /** Move the playhead: by dt, or to where the audible output has reached. */
+  advance(dt) {
+    if (!this.playing) return;
+    this.position = this._node
+      ? this._startOffset + (this._context.currentTime - this._startedAt)
+      : this.position + dt;
+    if (this.position < this.duration) return;
+    if (this._loop) {
+      this.position %= this.duration;
+    } else {
+      this.position = this.duration;
+      this.pause();
+    }
+  }
+
+  /** The `out.length` samples ending at the playhead; silence before the start. */
+  read(out) {
+    const end = Math.round(this.position * this.sampleRate);
+    const start = end - out.length;
+    for (let i = 0; i < out.length; i++) {
+      const s = start + i;
+      out[i] = s >= 0 && s < this.samples.length ? this.samples[s] : 0;
+    }
+  }
+
+  close() {
+    this.pause();
+  }
+
+  _startOutput() {
+    // Only a real AudioBuffer can be heard
+    if (!this._context || !this._buffer.getChannelData) return;
+    const node = this._context.createBufferSource();
+    node.buffer = this._buffer;
+    node.loop = this._loop;
+    node.connect(this._context.destination);
+    node.onended = () => {
+      if (this._node === node) this._node = null;
+    };
+    this._startOffset = this.position;
+    this._startedAt = this._context.currentTime;
+    node.start(0, this.position);
+    this._node = node;
+  }
+
+  _stopOutput() {
+    const node = this._node;
+    this._node = null;
+    node?.stop();
+    node?.disconnect();
+  }
+}
+
+/** Live microphone input. Create with MicrophoneSource.open(). */
+export class MicrophoneSource {
+  constructor(context, stream, analyser, input) {
+    this.name = 'Microphone';
+    this.sampleRate = context.sampleRate;
+    this._stream = stream;
+    this._analyser = analyser;
+    this._input = input;
+  }
+
+  /**
+   * Ask for microphone access. Rejects if the user declines or there is no input.
+   * @param {AudioContext} context
+   * @returns {Promise<MicrophoneSource>}
+   */
+  static async open(context) {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const input = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = FFT_SIZE;
+    input.connect(analyser);
+    return new MicrophoneSource(context, stream, analyser, input);
+  }
+
+  advance() {}
+
+  read(out) {
+    this._analyser.getFloatTimeDomainData(out);
+  }
+
+  close() {
+    this._input.disconnect();
+    for (const track of this._stream.getTracks()) track.stop();
+  }
+}
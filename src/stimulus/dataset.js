@@ -0,0 +1,265 @@
+// Dataset stimulus: play back a recorded table, one row at a time. CSV (comma,
+// semicolon or tab separated, with or without a header) and NDJSON (one
+// object or array per line) are parsed into numeric columns; anything that
+// isn't a number is a missing value.
+//
+// Each input neuron reads one column, or none (0). Target columns — by
+// default those named target… or label… — aren't fed in but are handed to
+// supervised training and auto reward alongside the inputs. Every column is
+// normalized with statistics over the whole file.
+
+export const DATASET_DEFAULTS = {
+  rate:      24,      // rows per second
+  loop:      true,
+  shortRows: 'hold',  // key of SHORT_ROW_MODES
+};
+
+export const NORMALIZATIONS = {
+  minmax: {
+    // Column minimum → 0, maximum → 1
+    label: 'Min–Max',
+    apply: (v, s) => (s.max > s.min ? (v - s.min) / (s.max - s.min) : 0.5),
+  },
+  zscore: {
+    // Column mean → 0.5, ±2 standard deviations → 0…1
+    label: 'Z-Score',
+    apply: (v, s) => (s.sd > 0 ? Math.max(0, Math.min(1, 0.5 + (v - s.mean) / (4 * s.sd))) : 0.5),
+  },
+  none: {
+    label: 'Raw',
+    apply: v => v,
+  },
+};
+
+// What a row without a value for a mapped column — a short line, an empty
+// field or a missing key — feeds that input
+export const SHORT_ROW_MODES = {
+  hold: { label: 'Hold Last Value' },
+  zero: { label: 'Read 0' },
+  skip: { label: 'Skip Row' },
+};
+
+const TARGET_NAME = /^(target|label)/i;
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Parse CSV or NDJSON text. NDJSON is recognized by its first character.
+ * @returns {{columns: string[], rows: (number|null)[][]}} rows may be shorter than columns
+ */
+export function parseDataset(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) throw new Error('Dataset is empty');
+  return /^\s*[[{]/.test(lines[0]) ? parseNDJSON(lines) : parseCSV(lines);
+}
+
+function parseCSV(lines) {
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    (splitCSVLine(lines[0], d).length > splitCSVLine(lines[0], best).length ? d : best));
+  const first = splitCSVLine(lines[0], delimiter);
+  // A header has at least one field that isn't a number
+  const header = first.some(f => f.trim() !== '' && !NUMBER.test(f.trim()));
+  const body = header ? lines.slice(1) : lines;
+  const rows = body.map(line => splitCSVLine(line, delimiter).map(toNumber));
+  const width = Math.max(first.length, ...rows.map(r => r.length));
+  const columns = Array.from({ length: width }, (_, c) => (header ? first[c]?.trim() || `col${c}` : `col${c}`));
+  return { columns, rows };
+}
+
+/** Split one CSV line, honouring "quoted, fields" and "" escapes. */
+function splitCSVLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function parseNDJSON(lines) {
+  const columns = [];
+  const index = new Map();
+  const records = lines.map((line, n) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${n + 1} isn't valid JSON`);
+    }
+  });
+  // Objects contribute their keys in first-seen order; arrays are positional
+  for (const record of records) {
+    const keys = Array.isArray(record) ? record.map((_, c) => `col${c}`) : Object.keys(record ?? {});
+    for (const key of keys) {
+      if (!index.has(key)) { index.set(key, columns.length); columns.push(key); }
+    }
+  }
+  const rows = records.map(record => {
+    const row = new Array(columns.length).fill(null);
+    const entries = Array.isArray(record) ? record.map((v, c) => [`col${c}`, v]) : Object.entries(record ?? {});
+    for (const [key, v] of entries) row[index.get(key)] = toNumber(v);
+    return row;
+  });
+  return { columns, rows };
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v !== 'string') return null;
+  const s = v.trim();
+  return NUMBER.test(s) ? Number(s) : null;
+}
+
+/** Per-column min, max, mean and standard deviation, ignoring missing values. */
+function columnStats(columns, rows) {
+  return columns.map((_, c) => {
+    let n = 0, min = Infinity, max = -Infinity, sum = 0, sq = 0;
+    for (const row of rows) {
+      const v = row[c];
+      if (v == null) continue;
+      n++; sum += v; sq += v * v;
+      min = Math.min(min, v); max = Math.max(max, v);
+    }
+    const mean = n ? sum / n : 0;
+    return { count: n, min: n ? min : 0, max: n ? max : 0, mean, sd: n ? Math.sqrt(Math.max(0, sq / n - mean * mean)) : 0 };
+  });
+}
+
+/**
+ * A parsed table with a playhead. The playhead is in rows and moves by
+ * rate × dt each tick; `inputColumns[i]` is the column input i reads (−1
+ * for none) and `targetColumns` the columns exposed as targets.
+ */
+export class DatasetSource {
+  /**
+   * @param {{columns: string[], rows: (number|null)[][]}} table - see parseDataset()
+   * @param {string} [name]
+   */
+  constructor(table, name = 'dataset') {
+    if (table.rows.length === 0) throw new Error('Dataset has no rows');
+    this.name = name;
+    this.columns = table.columns;
+    this.rows = table.rows;
+    this.stats = columnStats(this.columns, this.rows);
+    this.normalization = this.columns.map(() => 'minmax');
+    this.targetColumns = this.columns.flatMap((c, i) => (TARGET_NAME.test(c) ? [i] : []));
+    this.inputColumns = [];
+    this.position = 0;
+    this.playing = true;
+    this._held = new Float64Array(this.columns.length);
+  }
+
+  /** Parse CSV or NDJSON text into a source. */
+  static parse(text, name) {
+    return new DatasetSource(parseDataset(text), name);
+  }
+
+  get length() { return this.rows.length; }
+
+  get row() { return Math.min(this.rows.length - 1, Math.floor(this.position)); }
+
+  /** Feature columns in order — everything that isn't a target. */
+  get featureColumns() {
+    return this.columns.map((_, c) => c).filter(c => !this.targetColumns.includes(c));
+  }
+
+  /**
+   * Size the input mapping for `size` inputs, keeping existing choices. New
+   * inputs take the next feature column; inputs past the last one read 0.
+   */
+  fitInputs(size) {
+    const features = this.featureColumns;
+    this.inputColumns = Array.from({ length: size }, (_, i) => this.inputColumns[i] ?? features[i] ?? -1);
+  }
+
+  /**
+   * Set the mapping by column name or index. Throws on unknown columns.
+   * @param {object} map
+   * @param {(string|number|null)[]} [map.inputs] - column per input, null for none
+   * @param {(string|number)[]} [map.targets]
+   * @param {Object<string, string>} [map.normalization] - column → NORMALIZATIONS key
+   */
+  mapColumns({ inputs, targets, normalization } = {}) {
+    // Names first, so a column called "3" wins over index 3
+    const resolve = ref => {
+      const named = this.columns.indexOf(String(ref));
+      const c = named >= 0 ? named : Number(ref);
+      if (!(Number.isInteger(c) && c >= 0 && c < this.columns.length)) throw new Error(`Unknown dataset column: ${ref}`);
+      return c;
+    };
+    if (targets) this.targetColumns = targets.map(resolve);
+    if (inputs) this.inputColumns = inputs.map(ref => (ref == null ? -1 : resolve(ref)));
+    for (const [ref, mode] of Object.entries(normalization ?? {})) {
+      if (!NORMALIZATIONS[mode]) throw new Error(`Unknown normalization: ${mode}`);
+      this.normalization[resolve(ref)] = mode;
+    }
+  }
+
+  advance(dt, settings) {
+    if (!this.playing) return;
+    this.position += dt * settings.rate;
+    if (this.position >= this.rows.length) {
+      if (settings.loop) {
+        this.position %= this.rows.length;
+      } else {
+        this.position = this.rows.length - 1;
+        this.playing = false;
+      }
+    }
+  }
+
+  seek(row) {
+    this.position = Math.max(0, Math.min(this.rows.length - 1, Math.floor(Number(row) || 0)));
+  }
+
+  /**
+   * Normalized values of the current row. With 'skip', the playhead first
+   * moves on to the next row that has every mapped column.
+   * @returns {{inputs: Float32Array, targets: Float32Array}}
+   */
+  read(settings) {
+    if (settings.shortRows === 'skip') this._skipShortRows(settings.loop);
+    const row = this.rows[this.row];
+    const value = c => {
+      if (c < 0) return 0;
+      const v = row[c];
+      if (v == null) return settings.shortRows === 'zero' ? 0 : this._held[c];
+      this._held[c] = NORMALIZATIONS[this.normalization[c]].apply(v, this.stats[c]);
+      return this._held[c];
+    };
+    return {
+      inputs: Float32Array.from(this.inputColumns, value),
+      targets: Float32Array.from(this.targetColumns, value),
+    };
+  }
+
+  _skipShortRows(loop) {
+    const needed = [...this.inputColumns, ...this.targetColumns].filter(c => c >= 0);
+    const complete = r => needed.every(c => this.rows[r][c] != null);
+    const start = this.row;
+    const limit = loop ? this.rows.length : this.rows.length - start;
+    for (let n = 0; n < limit; n++) {
+      const r = (start + n) % this.rows.length;
+      if (complete(r)) {
+        if (n > 0) this.position = r;
+        return;
+      }
+    }
+    // No complete row ahead — stay put and hold what was last read
+  }
+
+  close() {}
+}
@@ -0,0 +1,101 @@
+// Closed-loop feedback: delayed activations mixed back into the input
+// vector. Each input has a route — a source neuron, delay, gain and mix —
+// applied on top of whatever the stimulus mode produced, so with feedback
+// the network keeps driving itself when the stimulus goes quiet.
+
+import { normalizeForViz } from '../network/activations.js';
+
+export const MAX_DELAY = 240; // ticks of history kept, 4 s at the default rate
+
+export const FEEDBACK_ROUTE_DEFAULTS = {
+  layer:  -1,     // source layer; negative counts from the end, so -1 is the output layer
+  neuron: 0,      // index in the source layer, wrapping past its size
+  mix:    0,      // 0 = stimulus only, 1 = feedback only
+  delay:  1,      // ticks back; 1 is the last tick's activations
+  gain:   1,
+  invert: false,  // feed 1 − activation
+};
+
+export const FEEDBACK_PARAM_SPECS = {
+  mix:   { min: 0, max: 1,         step: 0.01, label: 'Mix' },
+  delay: { min: 1, max: MAX_DELAY, step: 1,    label: 'Delay (ticks)' },
+  gain:  { min: 0, max: 4,         step: 0.05, label: 'Gain' },
+};
+
+const resolveLayer = (layer, network) => (layer < 0 ? network.numLayers + layer : layer);
+
+export class FeedbackLoop {
+  /** @param {number} inputSize */
+  constructor(inputSize) {
+    this.enabled = false;
+    this.routes = [];
+    this._rings = new Map(); // source layer → { size, data, head, count }
+    this.resize(inputSize);
+  }
+
+  /** One route per input; existing routes are kept, like manual values. */
+  resize(size) {
+    const prev = this.routes;
+    this.routes = Array.from({ length: size }, (_, i) => prev[i] ?? { ...FEEDBACK_ROUTE_DEFAULTS, neuron: i });
+  }
+
+  /** Route input i from output i (wrapping) at one mix and delay. */
+  routeOutputs(mix = 0.5, delay = 1) {
+    this.routes.forEach((r, i) => Object.assign(r, FEEDBACK_ROUTE_DEFAULTS, { neuron: i, mix, delay }));
+  }
+
+  /** Forget recorded activations, e.g. when the session restarts. */
+  reset() {
+    this._rings.clear();
+  }
+
+  /**
+   * Store this tick's activations for every layer an active route reads,
+   * normalized like the glow (spikes as-is in spiking mode). Call once per
+   * tick, before apply().
+   * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+   */
+  record(network) {
+    if (!this.enabled) return;
+    const layers = new Set(this.routes.filter(r => r.mix > 0).map(r => resolveLayer(r.layer, network)));
+    for (const l of this._rings.keys()) if (!layers.has(l)) this._rings.delete(l);
+
+    const spiking = network.mode === 'spiking';
+    for (const l of layers) {
+      if (!(l >= 0 && l < network.numLayers)) continue;
+      const acts = network.activations[l];
+      let ring = this._rings.get(l);
+      if (ring?.size !== acts.length) {
+        ring = { size: acts.length, data: new Float32Array(acts.length * MAX_DELAY), head: 0, count: 0 };
+        this._rings.set(l, ring);
+      }
+      const name = network.layerConfigs[l].activation;
+      const base = ring.head * ring.size;
+      for (let j = 0; j < ring.size; j++) ring.data[base + j] = spiking ? acts[j] : normalizeForViz(acts[j], name);
+      ring.head = (ring.head + 1) % MAX_DELAY;
+      ring.count = Math.min(MAX_DELAY, ring.count + 1);
+    }
+  }
+
+  /**
+   * Mix recorded activations into inputs, in place. Until a route has
+   * `delay` ticks of history it reads the oldest it has.
+   * @param {number[]} inputs
+   * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+   * @returns {number[]} inputs
+   */
+  apply(inputs, network) {
+    if (!this.enabled) return inputs;
+    for (let i = 0; i < inputs.length; i++) {
+      const r = this.routes[i];
+      if (!(r?.mix > 0)) continue;
+      const ring = this._rings.get(resolveLayer(r.layer, network));
+      if (!ring?.count) continue;
+      const back = Math.min(Math.max(1, Math.round(r.delay)), ring.count);
+      const slot = (ring.head - back + MAX_DELAY) % MAX_DELAY;
+      const a = ring.data[slot * ring.size + (r.neuron % ring.size)];
+      inputs[i] = (1 - r.mix) * inputs[i] + r.mix * r.gain * (r.invert ? 1 - a : a);
+    }
+    return inputs;
+  }
+}
@@ -0,0 +1,345 @@
+// Image stimulus: sample a picture, a video or a webcam into the input layer.
+// Every source hands over an RGBA frame; sampleFrame() crops it to the region
+// of interest (or a window sliding across it), area-averages it down to the
+// input layer's feature-map shape — see network/layerTypes.js — and applies
+// contrast normalization. Plane c of a multi-channel input gets color
+// channel c % 3 in 'rgb' mode, luminance in 'gray' mode.
+//
+// Browser sources draw into a canvas capped at MAX_FRAME pixels a side, so
+// large images and HD video stay cheap to average. FrameSource takes raw
+// pixels and needs no DOM, for headless runs.
+
+import { layerShape } from '../network/layerTypes.js';
+
+const MAX_FRAME = 256;
+
+export const IMAGE_DEFAULTS = {
+  color:     'gray',  // 'gray' | 'rgb'
+  contrast:  'none',  // key of CONTRAST_MODES
+  roiX: 0, roiY: 0,   // region of interest, as fractions of the frame
+  roiW: 1, roiH: 1,
+  scan:      false,   // slide a window across the region instead of showing all of it
+  scanSize:  0.35,    // window size as a fraction of the region
+  scanSpeed: 0.25,    // window widths per second
+};
+
+// GUI labels and slider ranges for the numeric IMAGE_DEFAULTS
+export const IMAGE_PARAM_SPECS = {
+  roiX:      { min: 0,    max: 1, step: 0.01, label: 'Region X' },
+  roiY:      { min: 0,    max: 1, step: 0.01, label: 'Region Y' },
+  roiW:      { min: 0.02, max: 1, step: 0.01, label: 'Region Width' },
+  roiH:      { min: 0.02, max: 1, step: 0.01, label: 'Region Height' },
+  scanSize:  { min: 0.05, max: 1, step: 0.01, label: 'Scan Window' },
+  scanSpeed: { min: 0.01, max: 4, step: 0.01, label: 'Scan Speed' },
+};
+
+export const COLOR_MODES = {
+  gray: { label: 'Grayscale' },
+  rgb: { label: 'Per Channel (RGB)' },
+};
+
+// Per-frame rescaling of the sampled values, all planes together
+export const CONTRAST_MODES = {
+  none: {
+    label: 'None',
+    apply() {},
+  },
+  stretch: {
+    // Darkest sample → 0, brightest → 1
+    label: 'Min–Max Stretch',
+    apply(values) {
+      let lo = Infinity;
+      let hi = -Infinity;
+      for (const v of values) { lo = Math.min(lo, v); hi = Math.max(hi, v); }
+      const range = hi - lo;
+      for (let i = 0; i < values.length; i++) values[i] = range > 1e-6 ? (values[i] - lo) / range : 0.5;
+    },
+  },
+  standardize: {
+    // Mean → 0.5, ±2 standard deviations → 0…1
+    label: 'Standardize',
+    apply(values) {
+      let mean = 0;
+      for (const v of values) mean += v;
+      mean /= values.length;
+      let variance = 0;
+      for (const v of values) variance += (v - mean) ** 2;
+      const sd = Math.sqrt(variance / values.length);
+      for (let i = 0; i < values.length; i++) {
+        values[i] = sd > 1e-6 ? Math.max(0, Math.min(1, 0.5 + (values[i] - mean) / (4 * sd))) : 0.5;
+      }
+    },
+  },
+};
+
+/**
+ * The part of the frame read at `time`: the region of interest, or with
+ * `scan` on, a window sweeping it row by row, left to right.
+ * @returns {{x: number, y: number, w: number, h: number}} fractions of the frame
+ */
+export function sampleRegion(settings, time) {
+  const x = clamp01(settings.roiX);
+  const y = clamp01(settings.roiY);
+  const w = Math.max(1e-3, Math.min(settings.roiW, 1 - x));
+  const h = Math.max(1e-3, Math.min(settings.roiH, 1 - y));
+  if (!settings.scan) return { x, y, w, h };
+
+  const size = Math.max(0.01, Math.min(1, settings.scanSize));
+  const rows = Math.ceil(1 / size);
+  // Rows swept so far; a row is (1 − size) / size window widths long
+  const travel = (1 - size) / size;
+  const sweep = travel > 0 ? time * settings.scanSpeed / travel : 0;
+  const row = Math.floor(sweep) % rows;
+  const along = sweep - Math.floor(sweep);
+  return {
+    x: x + along * w * (1 - size),
+    y: y + (rows > 1 ? row / (rows - 1) : 0) * h * (1 - size),
+    w: w * size,
+    h: h * size,
+  };
+}
+
+/**
+ * Downsample a frame into input values.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} frame - RGBA pixels
+ * @param {{channels: number, height: number, width: number}} shape - input feature maps
+ * @param {object} settings - see IMAGE_DEFAULTS
+ * @param {number} time - stimulus time, for scanning
+ * @returns {Float32Array} channels × height × width values in 0…1
+ */
+export function sampleFrame(frame, shape, settings, time) {
+  const { channels, height, width } = shape;
+  const out = new Float32Array(channels * height * width);
+  const region = sampleRegion(settings, time);
+  const rgb = settings.color === 'rgb';
+
+  // Source rectangle in pixels, split into one cell per output unit
+  const x0 = region.x * frame.width;
+  const y0 = region.y * frame.height;
+  const cellW = region.w * frame.width / width;
+  const cellH = region.h * frame.height / height;
+  const sums = new Float64Array(4);
+
+  for (let gy = 0; gy < height; gy++) {
+    for (let gx = 0; gx < width; gx++) {
+      areaAverage(frame, x0 + gx * cellW, y0 + gy * cellH, cellW, cellH, sums);
+      const luminance = 0.2126 * sums[0] + 0.7152 * sums[1] + 0.0722 * sums[2];
+      for (let c = 0; c < channels; c++) {
+        out[(c * height + gy) * width + gx] = (rgb ? sums[c % 3] : luminance) / 255;
+      }
+    }
+  }
+  (CONTRAST_MODES[settings.contrast] ?? CONTRAST_MODES.none).apply(out);
+  return out;
+}
+
+/** Feature-map shape the stimulus fills for an input layer of `size` with `channels` maps. */
+export const inputShape = (size, channels = 1) => layerShape({ size, channels });
+
+/**
+ * Mean RGBA over a fractional pixel rectangle, each pixel weighted by its
+ * overlap. A cell smaller than a pixel reads the pixel under its centre.
+ */
+function areaAverage(frame, x, y, w, h, out) {
+  out.fill(0);
+  const { width, height, data } = frame;
+  if (w < 1 && h < 1) {
+    const px = Math.min(width - 1, Math.floor(x + w / 2));
+    const py = Math.min(height - 1, Math.floor(y + h / 2));
+    for (let k = 0; k < 4; k++) out[k] = data[(py * width + px) * 4 + k];
+    return;
+  }
+  let total = 0;
+  const xEnd = Math.min(width, x + w);
+  const yEnd = Math.min(height, y + h);
+  for (let py = Math.floor(y); py < yEnd; py++) {
+    const wy = Math.min(py + 1, yEnd) - Math.max(py, y);
+    for (let px = Math.floor(x); px < xEnd; px++) {
+      const wgt = wy * (Math.min(px + 1, xEnd) - Math.max(px, x));
+      if (wgt <= 0) continue;
+      const p = (py * width + px) * 4;
+      for (let k = 0; k < 4; k++) out[k] += data[p + k] * wgt;
+      total += wgt;
+    }
+  }
+  if (total > 0) for (let k = 0; k < 4; k++) out[k] /= total;
+}
+
+const clamp01 = v => Math.max(0, Math.min(1, Number(v) || 0));
+
+/** Raw RGBA pixels — a still image without the DOM. */
+export class FrameSource {
+  /**
+   * @param {{width: number, height: number, data: ArrayLike<number>}} frame
+   * @param {string} [name]
+   */
+  constructor(frame, name = 'frame') {
+    if (!(frame.width > 0 && frame.height > 0) || frame.data.length < frame.width * frame.height * 4) {
+      throw new Error('Frame needs width × height RGBA pixels');
+    }
+    this.name = name;
+    this._frame = frame;
+  }
+
+  advance() {}
+
+  frame() { return this._frame; }
+
+  close() {}
+}
+
+/**
+ * Draws an image, video or canvas into a capped offscreen canvas and reads
+ * its pixels back. Shared by the browser sources below.
+ */
+class CanvasGrabber {
+  constructor() {
+    this._canvas = document.createElement('canvas');
+    this._ctx = this._canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  grab(el, srcWidth, srcHeight) {
+    if (!(srcWidth > 0 && srcHeight > 0)) return null;
+    const scale = Math.min(1, MAX_FRAME / Math.max(srcWidth, srcHeight));
+    const w = Math.max(1, Math.round(srcWidth * scale));
+    const h = Math.max(1, Math.round(srcHeight * scale));
+    if (this._canvas.width !== w || this._canvas.height !== h) {
+      this._canvas.width = w;
+      this._canvas.height = h;
+    }
+    this._ctx.imageSmoothingQuality = 'high';
+    this._ctx.drawImage(el, 0, 0, w, h);
+    return this._ctx.getImageData(0, 0, w, h);
+  }
+}
+
+/** A still image file, grabbed once. */
+export class ImageFileSource {
+  constructor(frame, name) {
+    this.name = name;
+    this._frame = frame;
+  }
+
+  /**
+   * @param {File} file
+   * @returns {Promise<ImageFileSource>}
+   */
+  static async open(file) {
+    const bitmap = await createImageBitmap(file);
+    const frame = new CanvasGrabber().grab(bitmap, bitmap.width, bitmap.height);
+    bitmap.close();
+    return new ImageFileSource(frame, file.name);
+  }
+
+  advance() {}
+
+  frame() { return this._frame; }
+
+  close() {}
+}
+
+/**
+ * A video file stepped by simulation time rather than played: each tick
+ * moves the playhead by dt and seeks the (paused) element there, so a slow
+ * or paused simulation sees the same frames as a fast one.
+ */
+export class VideoFileSource {
+  constructor(video, name, url) {
+    this.name = name;
+    this.position = 0; // seconds
+    this.playing = true;
+    this.loop = true;
+    this._video = video;
+    this._url = url;
+    this._grabber = new CanvasGrabber();
+  }
+
+  /**
+   * @param {File} file
+   * @returns {Promise<VideoFileSource>}
+   */
+  static async open(file) {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.src = url;
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve;
+      video.onerror = () => reject(new Error(`Can't play ${file.name}`));
+    });
+    return new VideoFileSource(video, file.name, url);
+  }
+
+  get duration() { return this._video.duration || 0; }
+
+  advance(dt) {
+    if (!this.playing) return;
+    this.position += dt;
+    if (this.position >= this.duration) {
+      if (this.loop) {
+        this.position %= Math.max(1e-3, this.duration);
+      } else {
+        this.position = this.duration;
+        this.playing = false;
+      }
+    }
+    this._seek();
+  }
+
+  seek(seconds) {
+    this.position = Math.max(0, Math.min(this.duration, Number(seconds) || 0));
+    this._seek();
+  }
+
+  _seek() {
+    // Seeks land asynchronously; until then the previous frame is read
+    const video = this._video;
+    if (!video.seeking && Math.abs(video.currentTime - this.position) > 1 / 120) video.currentTime = this.position;
+  }
+
+  frame() {
+    return this._grabber.grab(this._video, this._video.videoWidth, this._video.videoHeight);
+  }
+
+  close() {
+    this._video.removeAttribute('src');
+    this._video.load();
+    URL.revokeObjectURL(this._url);
+  }
+}
+
+/** Live camera input. Create with WebcamSource.open(). */
+export class WebcamSource {
+  constructor(video, stream) {
+    this.name = 'Webcam';
+    this._video = video;
+    this._stream = stream;
+    this._grabber = new CanvasGrabber();
+  }
+
+  /**
+   * Ask for camera access. Rejects if the user declines or there is no camera.
+   * @returns {Promise<WebcamSource>}
+   */
+  static async open() {
+    const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    await video.play();
+    return new WebcamSource(video, stream);
+  }
+
+  advance() {}
+
+  frame() {
+    return this._grabber.grab(this._video, this._video.videoWidth, this._video.videoHeight);
+  }
+
+  close() {
+    for (const track of this._stream.getTracks()) track.stop();
+    this._video.srcObject = null;
+  }
+}
@@ -0,0 +1,71 @@
+// Minimal RIFF/WAVE decoder for headless audio stimulus, where Web Audio's
+// decodeAudioData isn't available. Handles integer PCM (8, 16, 24 and
+// 32-bit) and IEEE float (32 and 64-bit), including WAVE_FORMAT_EXTENSIBLE.
+
+const PCM = 1;
+const FLOAT = 3;
+const EXTENSIBLE = 0xfffe;
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data - file contents
+ * @returns {{sampleRate: number, channels: Float32Array[]}} samples in −1…1
+ */
+export function decodeWAV(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (bytes.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('Not a WAV file');
+
+  let format = null;
+  let samples = null;
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      let code = view.getUint16(body, true);
+      // Extensible headers keep the real format code in their sub-format GUID
+      if (code === EXTENSIBLE && size >= 40) code = view.getUint16(body + 24, true);
+      format = {
+        code,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true),
+      };
+    } else if (id === 'data') {
+      samples = { offset: body, size: Math.min(size, bytes.length - body) };
+    }
+    offset = body + size + (size & 1); // chunks are word-aligned
+  }
+  if (!format || !samples) throw new Error('WAV file is missing its fmt or data chunk');
+
+  const { code, channels: numChannels, sampleRate, bits } = format;
+  const read = sampleReader(view, code, bits);
+  if (!read || numChannels < 1) throw new Error(`Unsupported WAV format: code ${code}, ${bits}-bit`);
+
+  const stride = (bits / 8) * numChannels;
+  const frames = Math.floor(samples.size / stride);
+  const channels = Array.from({ length: numChannels }, () => new Float32Array(frames));
+  for (let f = 0; f < frames; f++) {
+    for (let c = 0; c < numChannels; c++) {
+      channels[c][f] = read(samples.offset + f * stride + c * (bits / 8));
+    }
+  }
+  return { sampleRate, channels };
+}
+
+function sampleReader(view, code, bits) {
+  if (code === PCM) {
+    switch (bits) {
+      case 8:  return o => (view.getUint8(o) - 128) / 128;
+      case 16: return o => view.getInt16(o, true) / 32768;
+      case 24: return o => ((view.getUint8(o + 2) << 24 >> 8) | view.getUint16(o, true)) / 8388608;
+      case 32: return o => view.getInt32(o, true) / 2147483648;
+    }
+  }
+  if (code === FLOAT) {
+    if (bits === 32) return o => view.getFloat32(o, true);
+    if (bits === 64) return o => view.getFloat64(o, true);
+  }
+  return null;
+}
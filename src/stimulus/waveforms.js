@@ -0,0 +1,198 @@
+// Signal composer for 'composer' stimulus mode. Each input crossfades
+// between two sources, each one of the waveforms below with its own
+// frequency, amplitude, offset and phase. Every waveform is a pure function
+// of stimulus time, so the GUI preview draws exactly what the inputs read
+// and seeded sessions replay identically.
+
+export const SOURCE_DEFAULTS = {
+  wave:       'sine',
+  frequency:  0.5,   // Hz; bursts or held steps per second
+  amplitude:  1,
+  offset:     0,
+  phase:      0,     // fraction of a cycle
+  width:      0.5,   // pulse duty cycle; burst gate as a fraction of the period
+  frequency2: 4,     // chirp end frequency; burst carrier, 0 for the bare envelope
+  sweep:      4,     // chirp sweep length (s)
+  attack:     0.05,  // s
+  decay:      0.1,   // s
+  sustain:    0.6,   // level
+  release:    0.2,   // s
+  seed:       0,     // sample-and-hold sequence
+};
+
+export const SOURCE_PARAM_SPECS = {
+  frequency:  { min: 0.01, max: 10,   step: 0.01,  label: 'Frequency (Hz)' },
+  amplitude:  { min: 0,    max: 2,    step: 0.01,  label: 'Amplitude' },
+  offset:     { min: -1,   max: 1,    step: 0.01,  label: 'Offset' },
+  phase:      { min: 0,    max: 1,    step: 0.01,  label: 'Phase (cycles)' },
+  width:      { min: 0.01, max: 0.99, step: 0.01,  label: 'Width' },
+  frequency2: { min: 0,    max: 20,   step: 0.01,  label: 'End / Carrier (Hz)' },
+  sweep:      { min: 0.1,  max: 30,   step: 0.1,   label: 'Sweep (s)' },
+  attack:     { min: 0,    max: 2,    step: 0.01,  label: 'Attack (s)' },
+  decay:      { min: 0,    max: 2,    step: 0.01,  label: 'Decay (s)' },
+  sustain:    { min: 0,    max: 1,    step: 0.01,  label: 'Sustain' },
+  release:    { min: 0,    max: 2,    step: 0.01,  label: 'Release (s)' },
+  seed:       { min: 0,    max: 999,  step: 1,     label: 'Seed' },
+};
+
+/** Parameters every waveform reads; WAVEFORMS[wave].params lists the rest. */
+export const COMMON_PARAMS = ['frequency', 'amplitude', 'offset', 'phase'];
+
+const TAU = Math.PI * 2;
+const frac = x => x - Math.floor(x);
+const bipolarToUnit = v => 0.5 + 0.5 * v;
+
+// Integer hash → [0, 1), for sample-and-hold steps
+function hash01(a, b) {
+  let h = Math.imul(a ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(b + 0x632be5ab, 0xc2b2ae35);
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x7feb352d);
+  h ^= h >>> 15;
+  h = Math.imul(h, 0x846ca68b);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+// ADSR level at time tau into a gate of length gate
+function envelope(tau, gate, { attack, decay, sustain, release }) {
+  const held = t => {
+    if (t < attack) return t / attack;
+    if (t < attack + decay) return 1 - (1 - sustain) * (t - attack) / decay;
+    return sustain;
+  };
+  if (tau < gate) return held(tau);
+  return release > 0 ? held(gate) * Math.max(0, 1 - (tau - gate) / release) : 0;
+}
+
+/**
+ * Each shape maps (time, source) to 0–1 before amplitude and offset.
+ * `params` are the settings it reads beyond COMMON_PARAMS.
+ */
+export const WAVEFORMS = {
+  sine: {
+    label: 'Sine',
+    params: [],
+    shape: (t, s) => bipolarToUnit(Math.sin(TAU * (t * s.frequency + s.phase))),
+  },
+  square: {
+    label: 'Square',
+    params: [],
+    shape: (t, s) => (frac(t * s.frequency + s.phase) < 0.5 ? 1 : 0),
+  },
+  saw: {
+    label: 'Saw',
+    params: [],
+    shape: (t, s) => frac(t * s.frequency + s.phase),
+  },
+  triangle: {
+    label: 'Triangle',
+    params: [],
+    shape: (t, s) => 1 - Math.abs(2 * frac(t * s.frequency + s.phase) - 1),
+  },
+  pulse: {
+    label: 'Pulse Train',
+    params: ['width'],
+    shape: (t, s) => (frac(t * s.frequency + s.phase) < s.width ? 1 : 0),
+  },
+  chirp: {
+    label: 'Chirp',
+    params: ['frequency2', 'sweep'],
+    // Linear sweep from frequency to frequency2, restarting every sweep seconds
+    shape: (t, s) => {
+      const tau = frac(t / s.sweep) * s.sweep;
+      const cycles = s.frequency * tau + (s.frequency2 - s.frequency) * tau * tau / (2 * s.sweep);
+      return bipolarToUnit(Math.sin(TAU * (cycles + s.phase)));
+    },
+  },
+  bursts: {
+    label: 'ADSR Bursts',
+    params: ['width', 'frequency2', 'attack', 'decay', 'sustain', 'release'],
+    // One gate per period; the envelope shapes a carrier sine, or stands alone
+    shape: (t, s) => {
+      const period = 1 / s.frequency;
+      const env = envelope(frac(t * s.frequency + s.phase) * period, s.width * period, s);
+      return s.frequency2 > 0 ? env * bipolarToUnit(Math.sin(TAU * s.frequency2 * t)) : env;
+    },
+  },
+  hold: {
+    label: 'Sample & Hold',
+    params: ['seed'],
+    shape: (t, s) => hash01(s.seed, Math.floor(t * s.frequency + s.phase)),
+  },
+};
+
+/** @returns {number} the source's value at time t */
+export function sourceValue(source, t) {
+  const wave = WAVEFORMS[source.wave] ?? WAVEFORMS.sine;
+  return source.offset + source.amplitude * wave.shape(t, source);
+}
+
+/** @returns {number} an input's composed value at time t */
+export function composeValue(composition, t) {
+  const x = composition.crossfade;
+  const a = x < 1 ? sourceValue(composition.a, t) : 0;
+  const b = x > 0 ? sourceValue(composition.b, t) : 0;
+  return (1 - x) * a + x * b;
+}
+
+/**
+ * Input i's starting composition: source A matches sine mode's defaults,
+ * source B is a square wave, and the crossfade starts on A.
+ */
+export function defaultComposition(i, size) {
+  return {
+    crossfade: 0,
+    a: { ...SOURCE_DEFAULTS, frequency: 0.3 + i * 0.25, phase: i / Math.max(1, size), seed: 2 * i },
+    b: { ...SOURCE_DEFAULTS, wave: 'square', seed: 2 * i + 1 },
+  };
+}
+
+/**
+ * Deep copy, for presets and copying one input to the rest. Settings a
+ * saved preset lacks take their defaults.
+ */
+export const cloneComposition = c => ({
+  crossfade: c.crossfade ?? 0,
+  a: { ...SOURCE_DEFAULTS, ...c.a },
+  b: { ...SOURCE_DEFAULTS, ...c.b },
+});
+
+/**
+ * Built-in presets. Each makes input i of size; saved presets are plain
+ * composition arrays instead.
+ */
+export const COMPOSER_PRESETS = {
+  spread: {
+    label: 'Spread Sines',
+    make: (i, size) => defaultComposition(i, size),
+  },
+  pulses: {
+    label: 'Pulse Trains',
+    make: (i, size) => ({
+      ...defaultComposition(i, size),
+      a: { ...SOURCE_DEFAULTS, wave: 'pulse', frequency: 1 + i * 0.5, width: 0.15, seed: 2 * i },
+    }),
+  },
+  chirps: {
+    label: 'Chirp Sweeps',
+    make: (i, size) => ({
+      ...defaultComposition(i, size),
+      a: { ...SOURCE_DEFAULTS, wave: 'chirp', frequency: 0.2, frequency2: 3, sweep: 4, phase: i / Math.max(1, size), seed: 2 * i },
+    }),
+  },
+  bursts: {
+    label: 'ADSR Bursts',
+    make: (i, size) => ({
+      ...defaultComposition(i, size),
+      a: { ...SOURCE_DEFAULTS, wave: 'bursts', frequency: 0.5, frequency2: 0, width: 0.3, phase: i / Math.max(1, size), seed: 2 * i },
+    }),
+  },
+  drift: {
+    label: 'Random Steps over Sine',
+    make: (i, size) => ({
+      crossfade: 0.5,
+      a: { ...defaultComposition(i, size).a },
+      b: { ...SOURCE_DEFAULTS, wave: 'hold', frequency: 2, seed: 2 * i + 1 },
+    }),
+  },
+};
@@ -0,0 +1,54 @@
+const DEFAULT_KEY = 'net-viz:snapshots';
+
+/**
+ * Named snapshot slots persisted in localStorage under a single key.
+ * Each slot holds whatever JSON-safe object it was given plus a save time.
+ */
+export class SnapshotStore {
+  /**
+   * @param {string} [storageKey]
+   */
+  constructor(storageKey = DEFAULT_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  /** @returns {string[]} slot names, most recently saved first */
+  list() {
+    const slots = this._read();
+    return Object.keys(slots).sort((a, b) => slots[b].savedAt - slots[a].savedAt);
+  }
+
+  has(name) {
+    return name in this._read();
+  }
+
+  save(name, data) {
+    const slots = this._read();
+    slots[name] = { savedAt: Date.now(), data };
+    this._write(slots);
+  }
+
+  /** @returns {object|null} */
+  load(name) {
+    return this._read()[name]?.data ?? null;
+  }
+
+  remove(name) {
+    const slots = this._read();
+    delete slots[name];
+    this._write(slots);
+  }
+
+  _read() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) ?? {};
+    } catch {
+      return {};
+    }
+  }
+
+  _write(slots) {
+    // Let quota errors propagate — the caller reports them in the GUI
+    localStorage.setItem(this.storageKey, JSON.stringify(slots));
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Trigger a browser download of a JSON-serializable object.
+ * @param {string} filename
+ * @param {object} data
+ */
+export function downloadJSON(filename, data) {
+  downloadBlob(filename, new Blob([JSON.stringify(data)], { type: 'application/json' }));
+}
+
+/**
+ * Trigger a browser download of a Blob.
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  // Revoke after the click has been dispatched
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Parse a user-selected File as JSON.
+ * @param {File} file
+ * @returns {Promise<object>}
+ */
+export async function readJSONFile(file) {
+  return JSON.parse(await file.text());
+}
@@ -0,0 +1,111 @@
+import { normalizeForViz } from '../network/activations.js';
+import { REWARD_FUNCTIONS } from './rewardFunctions.js';
+
+const HISTORY_LEN = 48;  // ticks of output/input history kept for evaluation
+const TRACE_LEN   = 120; // reward evaluations kept for the HUD trace
+
+/**
+ * Continuous reward source for unattended runs. Observes every forward tick,
+ * and every `interval` seconds sums the enabled reward functions (each scaled
+ * by its gain) and applies the result with network.reinforce().
+ */
+export class AutoReward {
+  constructor() {
+    // Tunable params (exposed to GUI)
+    this.enabled      = false;
+    this.interval     = 1.0;   // seconds between evaluations
+    this.learningRate = 0.01;
+    this.target       = '1, 0, 1, 0'; // for Match Target Pattern
+    this.inputIndex   = 0;            // for Input→Output Correlation
+    this.outputIndex  = 0;
+
+    // Per-function switches and gains
+    this.functions = Object.fromEntries(
+      Object.keys(REWARD_FUNCTIONS).map(key => [key, { enabled: false, gain: 1.0 }]),
+    );
+
+    this.lastReward = 0;
+    this.trace = [];   // recent total rewards, oldest first
+
+    this._history = [];
+    this._inputHistory = [];
+    this._targets = null;
+    this._elapsed = 0;
+  }
+
+  /** Forget recorded history — call when the topology changes. */
+  reset() {
+    this._history = [];
+    this._inputHistory = [];
+    this._elapsed = 0;
+  }
+
+  /** Parsed target pattern — comma or space separated numbers. */
+  targetPattern() {
+    return this.target.split(/[\s,]+/).filter(Boolean).map(Number).map(v => (Number.isFinite(v) ? v : 0));
+  }
+
+  /**
+   * Record the latest tick. Call after every forward pass.
+   * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+   * @param {number[]} inputs
+   * @param {number[]|null} [targets] - stimulus-supplied targets (dataset mode)
+   */
+  observe(network, inputs, targets = null) {
+    this._targets = targets;
+    const last = network.numLayers - 1;
+    const outName = network.layerConfigs[last].activation;
+    this._history.push(Array.from(network.activations[last], v => normalizeForViz(v, outName)));
+    this._inputHistory.push(inputs.slice());
+    if (this._history.length > HISTORY_LEN) {
+      this._history.shift();
+      this._inputHistory.shift();
+    }
+  }
+
+  /**
+   * Advance time; evaluates and reinforces when the interval elapses.
+   * @returns {number|null} the reward applied this call, or null
+   */
+  update(dt, network) {
+    if (!this.enabled || this._history.length === 0) return null;
+    this._elapsed += dt;
+    if (this._elapsed < this.interval) return null;
+    this._elapsed = 0;
+
+    const reward = this.evaluate(network);
+    network.reinforce(reward, this.learningRate);
+
+    this.lastReward = reward;
+    this.trace.push(reward);
+    if (this.trace.length > TRACE_LEN) this.trace.shift();
+    return reward;
+  }
+
+  /** Sum of enabled reward functions × gains for the current state. */
+  evaluate(network) {
+    const ctx = {
+      outputs: this._history[this._history.length - 1],
+      history: this._history,
+      inputHistory: this._inputHistory,
+      targets: this._targets,
+      hidden: this._normalizedActivity(network),
+      settings: this,
+    };
+    let total = 0;
+    for (const [key, fn] of Object.entries(REWARD_FUNCTIONS)) {
+      const { enabled, gain } = this.functions[key];
+      if (enabled && gain !== 0) total += gain * fn.evaluate(ctx);
+    }
+    return total;
+  }
+
+  _normalizedActivity(network) {
+    const out = [];
+    for (let l = 1; l < network.numLayers; l++) {
+      const name = network.layerConfigs[l].activation;
+      for (const v of network.activations[l]) out.push(normalizeForViz(v, name));
+    }
+    return out;
+  }
+}
@@ -0,0 +1,166 @@
+import { normalizeForViz } from '../network/activations.js';
+
+// Mechanisms that keep neurons away from saturation over long runs. Each has
+// a strength (gain) and a time constant in seconds: the window of its
+// activity estimate, or for the norm limit how fast excess norm is removed.
+export const HOMEOSTASIS_MECHANISMS = {
+  scaling: {
+    label: 'Synaptic Scaling',
+    defaults: { strength: 0.5, tau: 10 },
+  },
+  intrinsic: {
+    label: 'Intrinsic Plasticity',
+    defaults: { strength: 0.5, tau: 5 },
+  },
+  weightNorm: {
+    label: 'Weight Norm Limit',
+    defaults: { strength: 1, tau: 2, maxNorm: 3 },
+  },
+};
+
+// Slider ranges and labels for every mechanism parameter
+export const HOMEOSTASIS_PARAM_SPECS = {
+  strength: { min: 0,   max: 5,   step: 0.05, label: 'Strength' },
+  tau:      { min: 0.1, max: 120, step: 0.1,  label: 'Time Constant (s)' },
+  maxNorm:  { min: 0.5, max: 10,  step: 0.1,  label: 'Max Incoming Norm' },
+};
+
+/**
+ * Mean activity of the hidden and output neurons, on the scale the target uses.
+ * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+ */
+export function meanActivity(network) {
+  const spiking = network.mode === 'spiking';
+  let sum = 0;
+  let count = 0;
+  for (let l = 1; l < network.numLayers; l++) {
+    const name = network.layerConfigs[l].activation;
+    for (const v of network.activations[l]) sum += spiking ? v : normalizeForViz(v, name);
+    count += network.layerConfigs[l].size;
+  }
+  return count ? sum / count : 0;
+}
+
+/**
+ * Homeostatic plasticity for hidden and output neurons, run after every tick:
+ *
+ * - Synaptic scaling multiplies a neuron's incoming weights so its average
+ *   activity drifts toward the target. The direction follows the sign of
+ *   its average drive, so quiet neurons with negative input scale down.
+ * - Intrinsic plasticity nudges each neuron's bias toward the target.
+ * - The weight-norm limit shrinks any neuron's incoming weight vector whose
+ *   L2 norm exceeds the cap.
+ *
+ * Activity is measured like the glow (normalizeForViz, or spikes in spiking
+ * mode), so the target means the same thing for every activation function.
+ * Neurons with a lesion override are left alone.
+ */
+export class Homeostasis {
+  constructor() {
+    // Tunable params (exposed to GUI)
+    this.targetActivity = 0.3;
+    this.mechanisms = Object.fromEntries(
+      Object.entries(HOMEOSTASIS_MECHANISMS).map(([key, m]) => [key, { enabled: false, ...m.defaults }]),
+    );
+
+    this._avg = null;   // per mechanism → per layer running activity
+    this._drive = null; // per layer running pre-activation, for scaling direction
+  }
+
+  /** Forget running averages — call when the topology changes. */
+  reset() {
+    this._avg = null;
+    this._drive = null;
+  }
+
+  /**
+   * Advance every enabled mechanism by dt seconds.
+   * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+   * @param {number} dt
+   */
+  update(network, dt) {
+    const { scaling, intrinsic, weightNorm } = this.mechanisms;
+    if (!scaling.enabled && !intrinsic.enabled && !weightNorm.enabled) return;
+    if (!this._fits(network)) this._allocate(network);
+
+    const target = this.targetActivity;
+    const spiking = network.mode === 'spiking';
+    const lesioned = new Set(network.overrides.map(o => `${o.layer}:${o.index}`));
+    const kScale = Math.min(1, dt / scaling.tau);
+    const kIntrinsic = Math.min(1, dt / intrinsic.tau);
+    const kNorm = Math.min(1, weightNorm.strength * dt / weightNorm.tau);
+
+    for (let l = 1; l < network.numLayers; l++) {
+      // Feature maps share weights across positions — per-neuron changes would untie them
+      if (network.layerConfigs[l].type !== 'dense') continue;
+      const acts = network.activations[l];
+      const z = network.preActivations[l];
+      const name = network.layerConfigs[l].activation;
+      const bias = network.biases[l - 1];
+      const { clamp } = network.plasticity[l - 1].params;
+      const avgS = this._avg.scaling[l];
+      const avgI = this._avg.intrinsic[l];
+      const drive = this._drive[l];
+
+      for (let j = 0; j < acts.length; j++) {
+        const a = spiking ? acts[j] : normalizeForViz(acts[j], name);
+        if (lesioned.has(`${l}:${j}`)) continue;
+
+        if (scaling.enabled) {
+          avgS[j] += (a - avgS[j]) * kScale;
+          drive[j] += (z[j] - drive[j]) * kScale;
+          const factor = 1 + scaling.strength * (target - avgS[j]) * Math.sign(drive[j]) * dt;
+          this._scaleIncoming(network, l, j, factor, clamp);
+        }
+        if (intrinsic.enabled) {
+          avgI[j] += (a - avgI[j]) * kIntrinsic;
+          const b = bias[j] + intrinsic.strength * (target - avgI[j]) * dt;
+          bias[j] = Math.max(-clamp, Math.min(clamp, b));
+        }
+        if (weightNorm.enabled) {
+          const norm = this._incomingNorm(network, l, j);
+          if (norm > weightNorm.maxNorm) {
+            this._scaleIncoming(network, l, j, 1 - (1 - weightNorm.maxNorm / norm) * kNorm, clamp);
+          }
+        }
+      }
+    }
+  }
+
+  /** Multiply neuron j of layer l's feedforward, recurrent and skip incoming weights. */
+  _scaleIncoming(network, l, j, factor, clamp) {
+    const outN = network.layerConfigs[l].size;
+    const w = network.weights[l - 1];
+    for (let k = j; k < w.length; k += outN) w[k] = Math.max(-clamp, Math.min(clamp, w[k] * factor));
+    for (const r of [...network.recurrent, ...network.skips]) {
+      if (r.to !== l) continue;
+      for (let k = j; k < r.weights.length; k += outN) {
+        r.weights[k] = Math.max(-clamp, Math.min(clamp, r.weights[k] * factor));
+      }
+    }
+  }
+
+  _incomingNorm(network, l, j) {
+    const outN = network.layerConfigs[l].size;
+    const w = network.weights[l - 1];
+    let sq = 0;
+    for (let k = j; k < w.length; k += outN) sq += w[k] * w[k];
+    for (const r of [...network.recurrent, ...network.skips]) {
+      if (r.to !== l) continue;
+      for (let k = j; k < r.weights.length; k += outN) sq += r.weights[k] * r.weights[k];
+    }
+    return Math.sqrt(sq);
+  }
+
+  _fits(network) {
+    return this._drive?.length === network.numLayers &&
+      this._drive.every((d, l) => d.length === network.layerConfigs[l].size);
+  }
+
+  /** Averages start at the target so enabling a mechanism doesn't jolt the network. */
+  _allocate(network) {
+    const perLayer = fill => network.layerConfigs.map(l => new Float32Array(l.size).fill(fill));
+    this._avg = { scaling: perLayer(this.targetActivity), intrinsic: perLayer(this.targetActivity) };
+    this._drive = perLayer(0);
+  }
+}
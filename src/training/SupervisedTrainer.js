@@ -0,0 +1,55 @@
+import { TASKS } from './tasks.js';
+
+/**
+ * Drives NeuralNetwork.train() from the live stimulus: each tick the current
+ * inputs are paired with targets generated by the selected task, or for an
+ * external task, the targets the stimulus supplied.
+ */
+export class SupervisedTrainer {
+  constructor() {
+    // Tunable params (exposed to GUI)
+    this.enabled      = false;
+    this.task         = 'follow';
+    this.shift        = 0;
+    this.loss         = 'mse';
+    this.optimizer    = 'adam';
+    this.learningRate = 0.02;
+
+    this.lastLoss = 0;  // most recent mean loss (smoothed)
+  }
+
+  /**
+   * @param {number[]} inputs
+   * @param {number} outputSize
+   * @param {number[]|null} [targets] - stimulus-supplied targets, for external tasks
+   * @returns {number[]}
+   */
+  targetsFor(inputs, outputSize, targets = null) {
+    const task = TASKS[this.task] ?? TASKS.follow;
+    const shift = Math.max(0, this.shift | 0);
+    return Array.from({ length: outputSize }, (_, k) => task.target(inputs, k, shift, targets));
+  }
+
+  /**
+   * Run one training step in place of a plain forward pass. An external task
+   * with no targets this tick just runs the forward pass.
+   * @param {import('../network/NeuralNetwork.js').NeuralNetwork} network
+   * @param {number[]} inputs
+   * @param {number[]|null} [targets]
+   * @returns {number|null} the step's loss, or null if it didn't train
+   */
+  step(network, inputs, targets = null) {
+    if (TASKS[this.task]?.external && !targets?.length) {
+      network.forward(inputs);
+      return null;
+    }
+    const outputSize = network.layerConfigs[network.numLayers - 1].size;
+    const loss = network.train(inputs, this.targetsFor(inputs, outputSize, targets), this.learningRate, {
+      loss: this.loss,
+      optimizer: this.optimizer,
+    });
+    // Exponential smoothing keeps the readout legible at 24 Hz
+    this.lastLoss = this.lastLoss * 0.9 + loss * 0.1;
+    return loss;
+  }
+}
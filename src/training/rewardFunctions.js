@@ -0,0 +1,108 @@
+// Automatic reward sources. Each evaluates the network's recent behavior and
+// returns a reward in [-1, 1]; AutoReward scales it by the function's gain.
+//
+// evaluate(ctx) receives:
+//   outputs     - current output activations, normalized to [0, 1]
+//   history     - recent normalized output vectors, oldest first
+//   inputHistory - recent raw input vectors, aligned with history
+//   targets     - the stimulus's current targets (dataset target columns), or null
+//   hidden      - normalized activations of every non-input layer, concatenated
+//   settings    - the AutoReward instance (target pattern, input/output indices)
+
+const clamp1 = v => Math.max(-1, Math.min(1, v));
+
+export const REWARD_FUNCTIONS = {
+  matchTarget: {
+    label: 'Match Target Pattern',
+    evaluate({ outputs, settings }) {
+      const target = settings.targetPattern();
+      let err = 0;
+      for (let j = 0; j < outputs.length; j++) err += Math.abs(outputs[j] - (target[j] ?? 0));
+      // Perfect match → +1, maximally wrong → −1
+      return 1 - 2 * err / Math.max(1, outputs.length);
+    },
+  },
+
+  matchDataset: {
+    // Like matchTarget, against the dataset's target columns; neutral without them
+    label: 'Match Dataset Targets',
+    evaluate({ outputs, targets }) {
+      if (!targets?.length) return 0;
+      let err = 0;
+      for (let j = 0; j < outputs.length; j++) err += Math.abs(outputs[j] - (targets[j] ?? 0));
+      return 1 - 2 * err / Math.max(1, outputs.length);
+    },
+  },
+
+  entropy: {
+    // Normalized Shannon entropy of the output distribution: reward outputs
+    // that share activity instead of one winner taking all
+    label: 'Output Diversity',
+    evaluate({ outputs }) {
+      const n = outputs.length;
+      if (n < 2) return 0;
+      let sum = 0;
+      for (const v of outputs) sum += v;
+      if (sum < 1e-6) return -1;
+      let h = 0;
+      for (const v of outputs) {
+        const p = v / sum;
+        if (p > 0) h -= p * Math.log(p);
+      }
+      return 2 * h / Math.log(n) - 1;
+    },
+  },
+
+  novelty: {
+    // Distance from the current output to its nearest neighbour in recent history
+    label: 'Novelty',
+    evaluate({ outputs, history }) {
+      if (history.length < 2) return 0;
+      let nearest = Infinity;
+      // The newest history entry is the current output itself — skip it
+      for (let h = 0; h < history.length - 1; h++) {
+        let d = 0;
+        for (let j = 0; j < outputs.length; j++) {
+          const diff = outputs[j] - history[h][j];
+          d += diff * diff;
+        }
+        nearest = Math.min(nearest, d);
+      }
+      const dist = Math.sqrt(nearest / outputs.length);
+      return clamp1(dist * 8 - 1);
+    },
+  },
+
+  correlation: {
+    // Pearson correlation between one input and one output over the history window
+    label: 'Input→Output Correlation',
+    evaluate({ history, inputHistory, settings }) {
+      const n = history.length;
+      if (n < 3) return 0;
+      const xi = settings.inputIndex | 0;
+      const yi = settings.outputIndex | 0;
+      let mx = 0, my = 0;
+      for (let t = 0; t < n; t++) { mx += inputHistory[t][xi] ?? 0; my += history[t][yi] ?? 0; }
+      mx /= n; my /= n;
+      let cov = 0, vx = 0, vy = 0;
+      for (let t = 0; t < n; t++) {
+        const dx = (inputHistory[t][xi] ?? 0) - mx;
+        const dy = (history[t][yi] ?? 0) - my;
+        cov += dx * dy; vx += dx * dx; vy += dy * dy;
+      }
+      const denom = Math.sqrt(vx * vy);
+      return denom > 1e-9 ? clamp1(cov / denom) : 0;
+    },
+  },
+
+  saturation: {
+    // Penalty only: share of neurons pinned near 0 or 1
+    label: 'Saturation Penalty',
+    evaluate({ hidden }) {
+      if (hidden.length === 0) return 0;
+      let pinned = 0;
+      for (const v of hidden) if (v < 0.02 || v > 0.98) pinned++;
+      return -pinned / hidden.length;
+    },
+  },
+};
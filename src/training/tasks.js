@@ -0,0 +1,33 @@
+// Target generators for supervised training. Each task maps the current
+// stimulus input vector to a target vector for the output layer.
+// `shift` offsets which input an output reads: output k uses input (k + shift).
+// Tasks marked `external` read the targets the stimulus supplies instead
+// (a dataset's target columns) and skip training on ticks without them.
+const pick = (inputs, k, shift) => inputs[(k + shift) % inputs.length] ?? 0;
+const bit = v => (v > 0.5 ? 1 : 0);
+
+export const TASKS = {
+  follow: {
+    target: (inputs, k, shift) => pick(inputs, k, shift),
+    label: 'Output follows input',
+  },
+  invert: {
+    target: (inputs, k, shift) => 1 - pick(inputs, k, shift),
+    label: 'Output inverts input',
+  },
+  threshold: {
+    target: (inputs, k, shift) => bit(pick(inputs, k, shift)),
+    label: 'Output = input > 0.5',
+  },
+  xor: {
+    // XOR of two neighbouring inputs, each thresholded at 0.5
+    target: (inputs, k, shift) =>
+      bit(pick(inputs, 2 * k, shift)) ^ bit(pick(inputs, 2 * k + 1, shift)),
+    label: 'XOR of input pair',
+  },
+  dataset: {
+    target: (inputs, k, shift, targets) => pick(targets, k, shift),
+    label: 'Dataset target columns',
+    external: true,
+  },
+};
@@ -0,0 +1,150 @@
+import GUI, { BooleanController, FunctionController, NumberController, OptionController } from 'lil-gui';
+
+/**
+ * @typedef {object} LearnableControl
+ * @property {import('lil-gui').Controller} controller
+ * @property {LearnableGUI} folder              - folder the control was added to
+ * @property {'number'|'toggle'|'option'|'button'} kind
+ * @property {string} name                      - label shown in the panel
+ * @property {boolean} disabled
+ * @property {number} [min]                     - number controls
+ * @property {number} [max]
+ * @property {number|null} [step]               - null unless given explicitly
+ * @property {any[]} [values]                   - option controls
+ * @property {{onChange: ?Function, onFinishChange: ?Function}} handlers - the control's own
+ */
+
+/**
+ * A lil-gui GUI that records the controls MIDI learn can bind as they are
+ * built: sliders with a range, toggles, dropdowns and buttons. Each record
+ * keeps the range, step or options the control was given, so a bound
+ * control can be found by path and driven through the public controller API
+ * after the panels are rebuilt. Folders made with addFolder() share the
+ * root's registry.
+ */
+export class LearnableGUI extends GUI {
+  constructor(opts = {}) {
+    super(opts);
+    // Folder titles below the root, e.g. ['Training', 'Auto Reward']
+    this.titles = opts.parent ? [...opts.parent.titles, opts.title] : [];
+    /** @type {Map<import('lil-gui').Controller, LearnableControl>} */
+    this.learnable = opts.parent ? opts.parent.learnable : new Map();
+    // Folder-level handlers, replayed for edits made from MIDI (see set/press)
+    this._handlers = { onChange: null, onFinishChange: null };
+  }
+
+  addFolder(title) {
+    return new LearnableGUI({ parent: this, title });
+  }
+
+  add(object, property, $1, $2, $3) {
+    const controller = super.add(object, property, $1, $2, $3);
+    const control = describeControl(controller, $1, $2, $3);
+    if (control) this._track(controller, control);
+    return controller;
+  }
+
+  onChange(callback) {
+    this._handlers.onChange = callback;
+    return super.onChange(callback);
+  }
+
+  onFinishChange(callback) {
+    this._handlers.onFinishChange = callback;
+    return super.onFinishChange(callback);
+  }
+
+  destroy() {
+    this.controllersRecursive().forEach(c => this.learnable.delete(c));
+    super.destroy();
+  }
+
+  /** Folder titles and control name, e.g. "Training › Learning Rate". */
+  static pathOf(control) {
+    return [...control.folder.titles, control.name].join(' › ');
+  }
+
+  /** The enabled control at path, if the panels have one right now. */
+  find(path) {
+    for (const control of this.learnable.values()) {
+      if (!control.disabled && LearnableGUI.pathOf(control) === path) return control;
+    }
+    return null;
+  }
+
+  /** Set a control as a finished edit in the panel would: change, then finish handlers. */
+  set(control, value) {
+    const { controller } = control;
+    if (value === controller.getValue()) return;
+    controller.setValue(value);
+    this._dispatch('onFinishChange', control);
+  }
+
+  /** Run a button's function and its change handlers, as a click does. */
+  press(control) {
+    const { controller } = control;
+    controller.getValue().call(controller.object);
+    this._dispatch('onChange', control);
+  }
+
+  /**
+   * Call the handlers in the order lil-gui does for an edit in the panel:
+   * Controller._callOnChange hands the event to its folder first, and each
+   * folder to its parent before its own handler. So the root runs first,
+   * then each folder down to the control's, then the control's own handler.
+   */
+  _dispatch(kind, control) {
+    const { controller } = control;
+    const value = controller.getValue();
+    const event = { object: controller.object, property: controller.property, value, controller };
+    const folders = [];
+    for (let f = control.folder; f; f = f.parent) folders.unshift(f);
+    folders.forEach(f => f._handlers[kind]?.call(f, event));
+    control.handlers[kind]?.call(controller, value);
+  }
+
+  /** Record a control, and keep the record in step with later calls on it. */
+  _track(controller, control) {
+    Object.assign(control, {
+      controller, folder: this, name: controller.property, disabled: false,
+      handlers: { onChange: null, onFinishChange: null },
+    });
+    this.learnable.set(controller, control);
+
+    const follow = (method, record) => {
+      const base = controller[method];
+      controller[method] = function (...args) {
+        record(...args);
+        return base.apply(this, args);
+      };
+    };
+    follow('name', name => { control.name = name; });
+    // enable() goes through disable() too
+    follow('disable', (disabled = true) => { control.disabled = disabled; });
+    follow('onChange', fn => { control.handlers.onChange = fn; });
+    follow('onFinishChange', fn => { control.handlers.onFinishChange = fn; });
+    follow('destroy', () => this.learnable.delete(controller));
+    if (control.kind === 'number') {
+      follow('min', min => { control.min = min; });
+      follow('max', max => { control.max = max; });
+      follow('step', step => { control.step = step; });
+    } else if (control.kind === 'option') {
+      follow('options', options => { control.values = optionValues(options); });
+    }
+  }
+}
+
+const optionValues = options => (Array.isArray(options) ? [...options] : Object.values(options));
+
+/** What a new controller can be driven by, from the arguments it was added with. */
+function describeControl(controller, $1, $2, $3) {
+  if (controller instanceof NumberController) {
+    // Sliders only: a bare number field has no range for a knob to span
+    if (!Number.isFinite($1) || !Number.isFinite($2)) return null;
+    return { kind: 'number', min: $1, max: $2, step: Number.isFinite($3) ? $3 : null };
+  }
+  if (controller instanceof OptionController) return { kind: 'option', values: optionValues($1) };
+  if (controller instanceof BooleanController) return { kind: 'toggle' };
+  if (controller instanceof FunctionController) return { kind: 'button' };
+  return null;
+}
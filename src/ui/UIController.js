@@ -1,4 +1,41 @@
-import GUI from 'lil-gui';
+import { LearnableGUI } from './LearnableGUI.js';
+import { SnapshotStore } from '../storage/SnapshotStore.js';
+import { random } from '../util/random.js';
+import { downloadJSON, downloadBlob, readJSONFile } from '../storage/files.js';
+import { importModelFiles, exportTFJSModel, exportONNXModel } from '../interop/models.js';
+import { SessionRecorder } from '../recording/SessionRecorder.js';
+import { LOSSES } from '../network/losses.js';
+import { OPTIMIZERS } from '../network/optimizers.js';
+import { TASKS } from '../training/tasks.js';
+import { REWARD_FUNCTIONS } from '../training/rewardFunctions.js';
+import { HOMEOSTASIS_MECHANISMS, HOMEOSTASIS_PARAM_SPECS, meanActivity } from '../training/Homeostasis.js';
+import { LEARNING_RULES, RULE_PARAM_SPECS } from '../network/learningRules.js';
+import { SPIKING_PARAM_SPECS } from '../network/spiking.js';
+import { CONNECTIVITY_TYPES } from '../network/connectivity.js';
+import { NEURON_OVERRIDES } from '../network/overrides.js';
+import { BufferSource, MicrophoneSource, AUDIO_PARAM_SPECS } from '../stimulus/audio.js';
+import {
+  ImageFileSource, VideoFileSource, WebcamSource, IMAGE_PARAM_SPECS, COLOR_MODES, CONTRAST_MODES,
+} from '../stimulus/image.js';
+import { DatasetSource, NORMALIZATIONS, SHORT_ROW_MODES } from '../stimulus/dataset.js';
+import { FEEDBACK_PARAM_SPECS } from '../stimulus/feedback.js';
+import {
+  WAVEFORMS, COMMON_PARAMS, SOURCE_PARAM_SPECS, COMPOSER_PRESETS, cloneComposition, sourceValue, composeValue,
+} from '../stimulus/waveforms.js';
+import { INPUT_MAPS, OUTPUT_MODES } from '../midi/MidiLink.js';
+import { describeMessage, noteOn, noteOff, controlChange } from '../midi/messages.js';
+import { LAYER_TYPES, POOL_MODES, FEATURE_MAP_DEFAULTS, isFeatureMap } from '../network/layerTypes.js';
+import {
+  ACTIVATIONS, registerActivation, unregisterActivation, customActivations,
+} from '../network/activations.js';
+
+// { key: label } tables → { label: key } for lil-gui dropdowns
+const labeledOptions = table =>
+  Object.fromEntries(Object.entries(table).map(([key, v]) => [v.label, key]));
+
+// Editable layer configs remember which network layer they came from, so
+// reshape() can carry weights across inserts and removals
+const trackLayers = configs => configs.map((l, i) => ({ ...l, source: i }));
 
 export class UIController {
   /**
@@ -6,20 +43,70 @@ export class UIController {
    * @param {import('../network/NeuralNetwork.js').NeuralNetwork} opts.network
    * @param {import('../viz/NetworkVisualizer.js').NetworkVisualizer} opts.visualizer
    * @param {import('../stimulus/StimulusController.js').StimulusController} opts.stimulus
-   * @param {function(Array)} opts.onReconfigure  - called when topology changes
+   * @param {import('../training/SupervisedTrainer.js').SupervisedTrainer} opts.trainer
+   * @param {import('../training/AutoReward.js').AutoReward} opts.autoReward
+   * @param {import('../training/Homeostasis.js').Homeostasis} opts.homeostasis
+   * @param {import('../recording/SessionRecorder.js').SessionRecorder} opts.recorder
+   * @param {import('../recording/SessionPlayer.js').SessionPlayer} opts.player
+   * @param {import('../remote/RemoteLink.js').RemoteLink} opts.remote
+   * @param {import('../midi/MidiLink.js').MidiLink} opts.midi
+   * @param {function(?SessionRecorder, number=)} opts.onReplay - enter replay of a recording at a frame, or null to go live
+   * @param {function(number, number)} opts.onReward  - reinforce the running network by a manual reward/punish at a learning rate
+   * @param {function(Array, object)} opts.onReconfigure - called when topology changes
+   * @param {function(object)} opts.onRestore     - called with a network snapshot to load
+   * @param {function(string)} opts.onReseed      - restart the session from a seed
+   * @param {object} opts.simulation               - simulation backend settings (worker, rates)
+   * @param {function(string)} opts.onSimulationChange - called with the changed setting's key
+   * @param {function(object=)} opts.onNetworkEdit - the network was edited; `{ fresh: true }` if it was reset
+   * @param {function()} opts.onTrainingChange     - supervised, auto reward or homeostasis settings were edited
+   * @param {function()} opts.onFeedbackChange     - the stimulus feedback routes were edited
    */
-  constructor({ network, visualizer, stimulus, onReconfigure }) {
+  constructor({
+    network, visualizer, stimulus, trainer, autoReward, homeostasis, recorder, player, remote, midi, onReplay, onReward,
+    onReconfigure, onRestore, onReseed, simulation, onSimulationChange, onNetworkEdit, onTrainingChange,
+    onFeedbackChange,
+  }) {
     this.network = network;
     this.visualizer = visualizer;
     this.stimulus = stimulus;
+    this.trainer = trainer;
+    this.autoReward = autoReward;
+    this.homeostasis = homeostasis;
+    this.recorder = recorder;
+    this.player = player;
+    this.remote = remote;
+    this.midi = midi;
+    this.onReplay = onReplay;
+    this.onReward = onReward;
     this.onReconfigure = onReconfigure;
+    this.onRestore = onRestore;
+    this.onReseed = onReseed;
+    this.simulation = simulation;
+    this.onSimulationChange = onSimulationChange;
+    this.onNetworkEdit = onNetworkEdit;
+    this.onTrainingChange = onTrainingChange;
+    this.onFeedbackChange = onFeedbackChange;
+
+    this.snapshots = new SnapshotStore();
+    this.activationStore = new SnapshotStore('net-viz:activations');
+    this.wavePresets = new SnapshotStore('net-viz:wave-presets');
+    this._fileInputs = {};
+    // Controls in watched folders that leave the network alone (see _watchEdits)
+    this._notEdits = new WeakSet();
+    this._simState = { status: '' };
+    this._loadCustomActivations();
+    this._midiState = { learn: 'Idle', picking: false };
+    this._midiKeys = { channel: 1, note: 36, velocity: 100, cc: 1, value: 0 };
+    midi.onControl = (path, event) => this._applyMidiControl(path, event);
 
     // Mutable state tracked by GUI
     this.learningRate = 0.015;
+    this.preserveWeights = true;
+    this.seed = random.seed;
 
-    this.gui = new GUI({ title: 'NET·VIZ', width: 290 });
+    this.gui = new LearnableGUI({ title: 'NET·VIZ', width: 290 });
     // Mirror the current layer configs as editable objects
-    this._layerConfigs = network.layerConfigs.map(l => ({ ...l }));
+    this._layerConfigs = trackLayers(network.layerConfigs);
 
     this._build();
   }
@@ -27,24 +114,33 @@ export class UIController {
   // ─── Public rebuild (called after reconfigure) ───────────────────────────────
 
   rebuild(newLayerConfigs) {
-    this._layerConfigs = newLayerConfigs.map(l => ({ ...l }));
+    this._layerConfigs = trackLayers(newLayerConfigs);
     this.gui.destroy();
-    this.gui = new GUI({ title: 'NET·VIZ', width: 290 });
+    this.gui = new LearnableGUI({ title: 'NET·VIZ', width: 290 });
     this._build();
   }
 
   // ─── Build all panels ────────────────────────────────────────────────────────
 
   _build() {
+    // Every change bubbles up here; MIDI learn picks its control from it
+    this.gui.onChange(e => this._pickMidiTarget(e.controller));
+
     this._buildArchPanel();
     this._buildStimulusPanel();
+    this._buildRemotePanel();
+    this._buildMidiPanel();
     this._buildTrainingPanel();
+    this._buildSnapshotPanel();
+    this._buildRecorderPanel();
     this._buildVizPanel();
+    this._buildSimulationPanel();
     if (this._stlLayout) this._buildSTLPanel();
   }
 
   _buildArchPanel() {
     const folder = this.gui.addFolder('Architecture');
+    this._watchEdits(folder);
 
     this._layerConfigs.forEach((cfg, i) => {
       const isInput  = i === 0;
@@ -52,8 +148,47 @@ export class UIController {
       const label = isInput ? '→ Input' : isOutput ? '← Output' : `Layer ${i}`;
       const lf = folder.addFolder(label);
 
-      lf.add(cfg, 'size', 1, 32, 1).name('Nodes');
-      lf.add(cfg, 'activation', ['sigmoid', 'relu', 'tanh', 'linear']).name('Activation');
+      const typeCtrl = isInput ? null : lf.add(cfg, 'type', labeledOptions(LAYER_TYPES)).name('Type');
+      const sizeCtrl = lf.add(cfg, 'size', 1, 128, 1).name('Nodes');
+      const actCtrl = lf.add(cfg, 'activation', Object.keys(ACTIVATIONS)).name('Activation');
+      // Dense layers: how many feature maps a following conv/pool layer reads them as
+      const channelsCtrl = lf.add(cfg, 'channels', 1, 16, 1).name('Channels');
+
+      // Window settings only exist on conv/pool configs; read defaults until set
+      const windowOf = () => FEATURE_MAP_DEFAULTS[cfg.type] ?? FEATURE_MAP_DEFAULTS.conv;
+      const windowCfg = {
+        get kernel() { return cfg.kernel ?? windowOf().kernel; },
+        set kernel(v) { cfg.kernel = v; },
+        get stride() { return cfg.stride ?? windowOf().stride; },
+        set stride(v) { cfg.stride = v; },
+        get pool() { return cfg.pool ?? FEATURE_MAP_DEFAULTS.pool.pool; },
+        set pool(v) { cfg.pool = v; },
+      };
+      const kernelCtrl = lf.add(windowCfg, 'kernel', 1, 7, 1).name('Kernel');
+      const strideCtrl = lf.add(windowCfg, 'stride', 1, 4, 1).name('Stride');
+      const poolCtrl = lf.add(windowCfg, 'pool', labeledOptions(POOL_MODES)).name('Pooling');
+
+      let recurrentCtrl = null;
+      if (!isInput && !isOutput) {
+        recurrentCtrl = lf.add(cfg, 'recurrent').name('Recurrent');
+      }
+      if (isOutput) {
+        lf.add(cfg, 'feedback').name('Feedback → Layer 1');
+      }
+
+      // Conv and pool layers size themselves from kernel, stride and channels
+      const showType = () => {
+        const { type } = cfg;
+        sizeCtrl.show(type === 'dense');
+        actCtrl.show(type !== 'pool');
+        channelsCtrl.show(type !== 'pool');
+        kernelCtrl.show(type !== 'dense').updateDisplay();
+        strideCtrl.show(type !== 'dense').updateDisplay();
+        poolCtrl.show(type === 'pool');
+        recurrentCtrl?.show(type !== 'pool');
+      };
+      typeCtrl?.onChange(showType);
+      showType();
 
       // Only hidden layers can be removed
       if (!isInput && !isOutput) {
@@ -64,6 +199,8 @@ export class UIController {
           },
         }, 'remove').name('✕ Remove');
       }
+      // Layer settings take effect on Apply, which reports the edit itself
+      lf.controllers.forEach(c => this._notEdits.add(c));
       lf.open();
     });
 
@@ -73,41 +210,367 @@ export class UIController {
         this._layerConfigs.splice(this._layerConfigs.length - 1, 0, {
           size: 6,
           activation: 'relu',
+          recurrent: false,
         });
         this._apply();
       },
     }, 'add').name('+ Add Hidden Layer');
 
     folder.add({ apply: () => this._apply() }, 'apply').name('↺ Apply');
+    if (this._archStatus) folder.add(this, '_archStatus').name('Status').disable();
+    this._notEdit(folder.add(this, 'preserveWeights').name('Preserve Weights'));
+    this._notEdit(folder.add(this, 'seed').name('Seed'));
+    folder.add({ restart: () => this.onReseed(String(this.seed)) }, 'restart').name('⟲ Restart From Seed');
+
+    // Neuron model applies immediately — no topology change involved
+    folder.add({ mode: this.network.mode }, 'mode', { 'Rate': 'rate', 'Spiking (LIF)': 'spiking' })
+      .name('Neuron Model')
+      .onChange(mode => {
+        this.network.setMode(mode);
+        spikingFolder.show(mode === 'spiking');
+      });
+
+    const spikingFolder = folder.addFolder('Spiking (LIF)');
+    for (const [key, spec] of Object.entries(SPIKING_PARAM_SPECS)) {
+      spikingFolder.add(this.network.spiking, key, spec.min, spec.max, spec.step).name(spec.label);
+    }
+    spikingFolder.show(this.network.mode === 'spiking');
+
+    this._buildConnectivityFolder(folder);
+    this._buildSkipFolder(folder);
+    this._buildLesionFolder(folder);
+    this._buildCustomActivationFolder(folder);
+
     folder.open();
   }
 
+  /**
+   * Register every custom activation persisted from earlier sessions. Ones
+   * that no longer register are reported in the Custom Activations status.
+   */
+  _loadCustomActivations() {
+    this._actState = { name: 'wave', expression: 'sin(x)*0.5+0.5', vizMin: 0, vizMax: 1, selected: '', status: '' };
+    const skipped = [];
+    for (const name of this.activationStore.list()) {
+      try {
+        registerActivation(name, this.activationStore.load(name));
+      } catch (err) {
+        skipped.push(`${name} (${err.message})`);
+      }
+    }
+    if (skipped.length) this._actState.status = `Skipped ${skipped.join(', ')}`;
+  }
+
+  _buildCustomActivationFolder(parent) {
+    const state = this._actState;
+    const folder = parent.addFolder('Custom Activations');
+
+    const setStatus = (msg) => {
+      state.status = msg;
+      statusCtrl.updateDisplay();
+    };
+
+    this._notEdit(folder.add(state, 'name').name('Name'));
+    this._notEdit(folder.add(state, 'expression').name('f(x) ='));
+    this._notEdit(folder.add(state, 'vizMin').name('Viz Min'));
+    this._notEdit(folder.add(state, 'vizMax').name('Viz Max'));
+
+    // Registering may redefine an activation in use, so it counts as an edit
+    folder.add({
+      register: () => {
+        const name = state.name.trim();
+        const def = { expression: state.expression, vizMin: Number(state.vizMin), vizMax: Number(state.vizMax) };
+        try {
+          registerActivation(name, def);
+          this.activationStore.save(name, def);
+        } catch (err) {
+          return setStatus(`Error: ${err.message}`);
+        }
+        state.selected = name;
+        state.status = `Registered ${name}`;
+        // Rebuild so every layer dropdown lists the new activation
+        this.rebuild(this._layerConfigs);
+      },
+    }, 'register').name('+ Register / Update');
+
+    const names = Object.keys(customActivations());
+    if (!names.includes(state.selected)) state.selected = names[0] ?? '';
+    this._notEdit(folder.add(state, 'selected', names).name('Custom')).onChange(name => {
+      const def = customActivations()[name];
+      if (!def) return;
+      Object.assign(state, { name, ...def });
+      folder.controllers.forEach(c => c.updateDisplay());
+    });
+
+    // Only unused activations can be removed, so this leaves the network alone
+    this._notEdit(folder.add({
+      remove: () => {
+        const name = state.selected;
+        if (!name) return;
+        if (this.network.layerConfigs.some(l => l.activation === name)) {
+          return setStatus(`Error: '${name}' is in use`);
+        }
+        unregisterActivation(name);
+        this.activationStore.remove(name);
+        state.status = `Removed ${name}`;
+        this._layerConfigs.forEach(l => { if (l.activation === name) l.activation = 'sigmoid'; });
+        this.rebuild(this._layerConfigs);
+      },
+    }, 'remove').name('✕ Remove'));
+
+    const statusCtrl = folder.add(state, 'status').name('Status').disable();
+
+    // Stay open across the rebuild that follows register/remove
+    if (state.status) folder.open(); else folder.close();
+  }
+
+  _buildConnectivityFolder(parent) {
+    const network = this.network;
+    const folder = parent.addFolder('Connectivity');
+    const layerName = l => (l === 0 ? 'In' : l === network.numLayers - 1 ? 'Out' : `L${l}`);
+
+    // Mask edits only change line geometry — neurons and layout are untouched
+    const refresh = () => this.visualizer.rebuildConnections();
+
+    network.connectivity.forEach((cfg, l) => {
+      // Windows into conv/pool layers are fixed by kernel and stride
+      if (isFeatureMap(network.layerConfigs[l + 1])) return;
+      const mf = folder.addFolder(`W${l}  ${layerName(l)} → ${layerName(l + 1)}`);
+      const update = () => {
+        network.setConnectivity(l, cfg);
+        refresh();
+      };
+
+      mf.add(cfg, 'type', labeledOptions(CONNECTIVITY_TYPES)).name('Pattern').onFinishChange(update);
+      mf.add(cfg, 'density', 1, 100, 1).name('Density %').onFinishChange(update);
+      mf.add(cfg, 'radius', 0.05, 1.5, 0.05).name('Field Radius').onFinishChange(update);
+
+      const toggle = { from: 0, to: 0 };
+      this._notEdit(mf.add(toggle, 'from', 0, network.layerConfigs[l].size - 1, 1).name('Toggle From'));
+      this._notEdit(mf.add(toggle, 'to', 0, network.layerConfigs[l + 1].size - 1, 1).name('Toggle To'));
+      mf.add({
+        toggle: () => {
+          network.toggleConnection(l, toggle.from, toggle.to);
+          refresh();
+        },
+      }, 'toggle').name('⇄ Toggle Connection');
+
+      mf.close();
+    });
+
+    const prune = { percent: 10 };
+    this._notEdit(folder.add(prune, 'percent', 1, 90, 1).name('Prune / Regrow %'));
+    folder.add({
+      prune: () => {
+        network.prune(prune.percent);
+        refresh();
+      },
+    }, 'prune').name('✂ Prune Weakest');
+    folder.add({
+      regrow: () => {
+        network.regrow(prune.percent);
+        refresh();
+      },
+    }, 'regrow').name('⟳ Regrow');
+
+    folder.close();
+  }
+
+  _buildSkipFolder(parent) {
+    const network = this.network;
+    const folder = parent.addFolder('Skip Connections');
+    const layerName = l => (l === 0 ? 'Input' : l === network.numLayers - 1 ? 'Output' : `Layer ${l}`);
+    const layerOptions = Object.fromEntries(network.layerConfigs.map((_, l) => [layerName(l), l]));
+    const last = network.numLayers - 1;
+
+    const state = { from: 0, to: last, status: '' };
+    this._notEdit(folder.add(state, 'from', layerOptions).name('From'));
+    this._notEdit(folder.add(state, 'to', layerOptions).name('To'));
+    folder.add({
+      add: () => {
+        try {
+          network.addSkip(state.from, state.to);
+          state.status = `Added ${layerName(state.from)} → ${layerName(state.to)}`;
+        } catch (err) {
+          state.status = err.message;
+        }
+        this.visualizer.rebuildConnections();
+        rebuildList();
+      },
+    }, 'add').name('+ Add Skip');
+    folder.add(state, 'status').name('Status').listen().disable();
+
+    // One remove button per existing skip
+    const list = folder.addFolder('Current');
+    const rebuildList = () => {
+      [...list.controllers].forEach(c => c.destroy());
+      for (const s of network.skips) {
+        list.add({
+          remove: () => {
+            network.removeSkip(s.from, s.to);
+            state.status = `Removed ${layerName(s.from)} → ${layerName(s.to)}`;
+            this.visualizer.rebuildConnections();
+            rebuildList();
+          },
+        }, 'remove').name(`✕ ${layerName(s.from)} → ${layerName(s.to)}`);
+      }
+    };
+    rebuildList();
+
+    folder.close();
+  }
+
+  _buildLesionFolder(parent) {
+    const network = this.network;
+    const folder = parent.addFolder('Lesions');
+    const layerName = l => (l === 0 ? 'Input' : l === network.numLayers - 1 ? 'Output' : `Layer ${l}`);
+    const layerOptions = Object.fromEntries(network.layerConfigs.map((_, l) => [layerName(l), l]));
+
+    // Persist the selection across GUI rebuilds, clamped to the current topology
+    if (!this._lesionState) this._lesionState = { layer: 1, index: 0, type: 'silence', value: 0.5 };
+    const state = this._lesionState;
+    state.layer = Math.min(state.layer, network.numLayers - 1);
+    state.index = Math.min(state.index, network.layerConfigs[state.layer].size - 1);
+
+    // Show the selected neuron's current override, if any
+    const select = () => {
+      state.index = Math.min(state.index, network.layerConfigs[state.layer].size - 1);
+      neuronCtrl.max(network.layerConfigs[state.layer].size - 1).updateDisplay();
+      const o = network.getOverride(state.layer, state.index);
+      if (o) Object.assign(state, { type: o.type, value: o.value });
+      typeCtrl.updateDisplay();
+      valueCtrl.updateDisplay();
+    };
+
+    // Picking a neuron and its override changes nothing until Apply
+    folder.add(state, 'layer', layerOptions).name('Layer').onChange(select);
+    const neuronCtrl = folder.add(state, 'index', 0, network.layerConfigs[state.layer].size - 1, 1)
+      .name('Neuron').onChange(select);
+    const typeCtrl = folder.add(state, 'type', labeledOptions(NEURON_OVERRIDES)).name('Override');
+    const valueCtrl = folder.add(state, 'value', -2, 2, 0.01).name('Clamp / Noise σ');
+    folder.controllers.forEach(c => this._notEdits.add(c));
+
+    folder.add({
+      apply: () => network.setOverride(state.layer, state.index, state.type, state.value),
+    }, 'apply').name('✓ Apply to Neuron');
+    folder.add({
+      restore: () => network.setOverride(state.layer, state.index, 'none'),
+    }, 'restore').name('↺ Restore Neuron');
+    folder.add({ clear: () => network.clearOverrides() }, 'clear').name('✕ Clear All');
+    folder.add({ get count() { return `${network.overrides.length} neuron(s)`; } }, 'count')
+      .name('Overridden').listen().disable();
+
+    const dropout = folder.addFolder('Dropout');
+    network.layerConfigs.forEach((_, l) => {
+      dropout.add({
+        get rate() { return network.dropout[l]; },
+        set rate(v) { network.setDropout(l, v); },
+      }, 'rate', 0, 1, 0.01).name(layerName(l));
+    });
+    dropout.close();
+
+    folder.close();
+  }
+
   _buildStimulusPanel() {
     const folder = this.gui.addFolder('Stimulus');
 
-    folder.add(this.stimulus, 'mode', ['sine', 'noise', 'manual'])
+    folder.add(this.stimulus, 'mode', ['sine', 'noise', 'manual', 'audio', 'image', 'dataset', 'remote', 'midi', 'composer'])
       .name('Mode')
       .onChange(() => this._rebuildStimulusControls(subFolder));
 
     const subFolder = folder.addFolder('Controls');
     this._rebuildStimulusControls(subFolder);
+    this._buildFeedbackFolder(folder);
     folder.open();
   }
 
+  _buildFeedbackFolder(parent) {
+    const feedback = this.stimulus.feedback;
+    const network = this.network;
+    const folder = parent.addFolder('Feedback');
+    // The routes run where the network ticks, so edits are sent on
+    folder.onFinishChange(() => this.onFeedbackChange());
+    const sourceOptions = { Output: -1 };
+    for (let l = 1; l < network.numLayers - 1; l++) sourceOptions[`Layer ${l}`] = l;
+    sourceOptions.Input = 0;
+
+    folder.add(feedback, 'enabled').name('Enabled');
+    folder.add({
+      route: () => {
+        feedback.routeOutputs();
+        this.onFeedbackChange();
+        fill();
+      },
+    }, 'route').name('⟲ Outputs → Inputs');
+    folder.add({
+      clear: () => {
+        feedback.routes.forEach(r => { r.mix = 0; });
+        this.onFeedbackChange();
+        fill();
+      },
+    }, 'clear').name('✕ Clear Mix');
+
+    const routes = folder.addFolder('Routes');
+    const fill = () => {
+      [...routes.folders].forEach(f => f.destroy());
+      feedback.routes.forEach((route, i) => {
+        const rf = routes.addFolder(`Input ${i}`);
+        const layer = route.layer < 0 ? network.numLayers + route.layer : route.layer;
+        const size = network.layerConfigs[layer]?.size ?? 1;
+        // Show the neuron the route actually reads
+        route.neuron %= size;
+        rf.add(route, 'layer', sourceOptions).name('Source').onChange(fill);
+        rf.add(route, 'neuron', 0, size - 1, 1).name('Neuron');
+        for (const [key, spec] of Object.entries(FEEDBACK_PARAM_SPECS)) {
+          rf.add(route, key, spec.min, spec.max, spec.step).name(spec.label);
+        }
+        rf.add(route, 'invert').name('Invert');
+        if (route.mix === 0) rf.close();
+      });
+    };
+    fill();
+    folder.close();
+  }
+
   _rebuildStimulusControls(folder) {
     // Remove all child controllers
     [...folder.controllers].forEach(c => c.destroy());
     [...folder.folders].forEach(f => f.destroy());
+    this._imagePreview?.remove();
+    this._imagePreview = null;
+    this._composerPreview?.remove();
+    this._composerPreview = null;
 
     if (this.stimulus.mode === 'sine') {
       this.stimulus.sineParams.forEach((p, i) => {
         folder.add(p, 'frequency', 0.05, 8.0, 0.05).name(`#${i} freq`);
         folder.add(p, 'amplitude', 0.0, 2.0, 0.05).name(`#${i} amp`);
+        folder.add(p, 'phase', 0, Math.PI * 2, 0.01).name(`#${i} phase`);
       });
     } else if (this.stimulus.mode === 'manual') {
       for (let i = 0; i < this.stimulus.inputSize; i++) {
         folder.add(this.stimulus.manualValues, String(i), 0, 1, 0.01).name(`Input ${i}`);
       }
+    } else if (this.stimulus.mode === 'audio') {
+      this._buildAudioControls(folder);
+    } else if (this.stimulus.mode === 'image') {
+      this._buildImageControls(folder);
+    } else if (this.stimulus.mode === 'dataset') {
+      this._buildDatasetControls(folder);
+    } else if (this.stimulus.mode === 'remote') {
+      const remote = this.remote;
+      folder.add(remote, 'status').name('Bridge').listen().disable();
+      folder.add({ get received() { return remote.received; } }, 'received').name('Vectors Received').listen().disable();
+      folder.add({
+        get latest() { return remote.inputs?.map(v => v.toFixed(2)).join(', ') || '—'; },
+      }, 'latest').name('Latest').listen().disable();
+      folder.add(remote.settings, 'holdInputs').name('Hold While Disconnected');
+      folder.add({ info: 'Connect under Remote Bridge' }, 'info').name('Setup').disable();
+    } else if (this.stimulus.mode === 'midi') {
+      this._buildMidiInputControls(folder);
+    } else if (this.stimulus.mode === 'composer') {
+      this._buildComposerControls(folder);
     } else {
       folder.add({ info: 'Smooth random walk' }, 'info').name('Mode').disable();
     }
@@ -115,35 +578,926 @@ export class UIController {
     folder.open();
   }
 
-  _buildTrainingPanel() {
-    const folder = this.gui.addFolder('Training');
+  _buildAudioControls(folder) {
+    const stimulus = this.stimulus;
+    // Persist status across GUI rebuilds
+    if (!this._audioState) this._audioState = { status: stimulus.audioSource?.name ?? 'No source' };
+    const state = this._audioState;
+    const refresh = () => this._rebuildStimulusControls(folder);
 
-    folder.add(this, 'learningRate', 0.001, 0.1, 0.001).name('Learning Rate');
+    // Browsers only start audio from a click, so the context is made (or
+    // resumed) inside the button handlers; file and microphone share it
+    const context = () => {
+      this._audioContext ??= new AudioContext();
+      this._audioContext.resume().catch(err => { state.status = `Error: ${err.message}`; });
+      return this._audioContext;
+    };
+
+    const fileInput = this._fileInput('audio', 'audio/*', async (file) => {
+      state.status = 'Decoding…';
+      try {
+        const ctx = context();
+        const buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+        const source = new BufferSource(buffer, { context: ctx, name: file.name });
+        stimulus.setAudioSource(source);
+        source.play();
+        state.status = `${file.name} (${buffer.duration.toFixed(1)} s)`;
+      } catch (err) {
+        state.status = `Error: ${err.message}`;
+      }
+      refresh();
+    });
+    folder.add({
+      open: () => {
+        context();
+        fileInput.click();
+      },
+    }, 'open').name('⬆ Open Audio File…');
+    folder.add({
+      microphone: async () => {
+        try {
+          stimulus.setAudioSource(await MicrophoneSource.open(context()));
+          state.status = 'Microphone';
+        } catch (err) {
+          state.status = `Error: ${err.message}`;
+        }
+        refresh();
+      },
+    }, 'microphone').name('🎤 Use Microphone');
+    folder.add(state, 'status').name('Source').listen().disable();
+
+    const source = stimulus.audioSource;
+    if (source instanceof BufferSource) {
+      const transport = folder.addFolder('Transport');
+      transport.add({ play: () => source.play() }, 'play').name('▶ Play');
+      transport.add({ pause: () => source.pause() }, 'pause').name('⏸ Pause');
+      transport.add({ stop: () => source.stop() }, 'stop').name('■ Stop');
+      const playhead = {
+        get position() { return source.position; },
+        set position(v) { source.seek(v); },
+      };
+      transport.add(playhead, 'position', 0, source.duration, 0.01).name('Position (s)').listen();
+      transport.add(source, 'loop').name('Loop');
+    }
+
+    const analysis = folder.addFolder('Analysis');
+    for (const [key, spec] of Object.entries(AUDIO_PARAM_SPECS)) {
+      analysis.add(stimulus.audio, key, spec.min, spec.max, spec.step).name(spec.label);
+    }
+    analysis.add(stimulus.audio, 'normalize').name('Auto-Normalize');
+    // The onset channel takes the last input, so the band list changes
+    analysis.add(stimulus.audio, 'onset').name('Onset Channel').onChange(refresh);
+
+    const bands = stimulus.audio.onset && stimulus.inputSize > 1 ? stimulus.inputSize - 1 : stimulus.inputSize;
+    const gains = folder.addFolder('Band Gains (low → high)');
+    for (let i = 0; i < bands; i++) {
+      gains.add(stimulus.bandGains, String(i), 0, 4, 0.05).name(`Band ${i}`);
+    }
+    gains.close();
+  }
+
+  _buildImageControls(folder) {
+    const stimulus = this.stimulus;
+    // Persist status across GUI rebuilds
+    if (!this._imageState) this._imageState = { status: stimulus.imageSource?.name ?? 'No source' };
+    const state = this._imageState;
+    const refresh = () => this._rebuildStimulusControls(folder);
+
+    const open = async (opener, file) => {
+      state.status = 'Loading…';
+      try {
+        const source = await opener(file);
+        stimulus.setImageSource(source);
+        state.status = source instanceof VideoFileSource
+          ? `${source.name} (${source.duration.toFixed(1)} s)`
+          : source.name;
+      } catch (err) {
+        state.status = `Error: ${err.message}`;
+      }
+      refresh();
+    };
+    const fileInput = this._fileInput('image', 'image/*,video/*', (file) => {
+      open(f => (f.type.startsWith('video/') ? VideoFileSource : ImageFileSource).open(f), file);
+    });
+    folder.add({ open: () => fileInput.click() }, 'open').name('⬆ Open Image or Video…');
+    folder.add({ webcam: () => open(() => WebcamSource.open()) }, 'webcam').name('📷 Use Webcam');
+    folder.add(state, 'status').name('Source').listen().disable();
+
+    const source = stimulus.imageSource;
+    if (source instanceof VideoFileSource) {
+      const transport = folder.addFolder('Transport');
+      transport.add(source, 'playing').name('Playing');
+      const playhead = {
+        get position() { return source.position; },
+        set position(v) { source.seek(v); },
+      };
+      transport.add(playhead, 'position', 0, source.duration, 0.01).name('Position (s)').listen();
+      transport.add(source, 'loop').name('Loop');
+    }
+
+    const sampling = folder.addFolder('Sampling');
+    const { channels, height, width } = stimulus.inputShape;
+    sampling.add({ shape: `${channels} × ${height} × ${width}` }, 'shape').name('Input Maps').disable();
+    sampling.add(stimulus.image, 'color', labeledOptions(COLOR_MODES)).name('Color');
+    sampling.add(stimulus.image, 'contrast', labeledOptions(CONTRAST_MODES)).name('Contrast');
+    for (const key of ['roiX', 'roiY', 'roiW', 'roiH']) {
+      const spec = IMAGE_PARAM_SPECS[key];
+      sampling.add(stimulus.image, key, spec.min, spec.max, spec.step).name(spec.label);
+    }
+    const scan = folder.addFolder('Scan');
+    scan.add(stimulus.image, 'scan').name('Enabled');
+    for (const key of ['scanSize', 'scanSpeed']) {
+      const spec = IMAGE_PARAM_SPECS[key];
+      scan.add(stimulus.image, key, spec.min, spec.max, spec.step).name(spec.label);
+    }
+    scan.close();
+
+    this._imagePreview = this._buildImagePreview(folder);
+  }
+
+  _buildDatasetControls(folder) {
+    const stimulus = this.stimulus;
+    const describe = source => `${source.name} (${source.length} rows × ${source.columns.length} columns)`;
+    // Persist status across GUI rebuilds
+    if (!this._datasetState) {
+      this._datasetState = { status: stimulus.datasetSource ? describe(stimulus.datasetSource) : 'No dataset' };
+    }
+    const state = this._datasetState;
+    const refresh = () => this._rebuildStimulusControls(folder);
+
+    const fileInput = this._fileInput('dataset', '.csv,.tsv,.txt,.ndjson,.jsonl', async (file) => {
+      try {
+        const source = DatasetSource.parse(await file.text(), file.name);
+        stimulus.setDatasetSource(source);
+        state.status = describe(source);
+      } catch (err) {
+        state.status = `Error: ${err.message}`;
+      }
+      refresh();
+    });
+    folder.add({ open: () => fileInput.click() }, 'open').name('⬆ Open CSV / NDJSON…');
+    folder.add(state, 'status').name('Source').listen().disable();
+
+    const source = stimulus.datasetSource;
+    const transport = folder.addFolder('Playback');
+    transport.add(stimulus.dataset, 'rate', 0.1, 240, 0.1).name('Rate (rows/s)');
+    transport.add(stimulus.dataset, 'loop').name('Loop');
+    transport.add(stimulus.dataset, 'shortRows', labeledOptions(SHORT_ROW_MODES)).name('Missing Values');
+    if (!source) return;
+
+    transport.add(source, 'playing').name('Playing');
+    const playhead = {
+      get row() { return source.row; },
+      set row(v) { source.seek(v); },
+    };
+    transport.add(playhead, 'row', 0, source.length - 1, 1).name('Row').listen();
+
+    // Column dropdowns: { label: column index }, −1 for none
+    const columnOptions = { '—': -1 };
+    source.columns.forEach((name, c) => { columnOptions[`${c}: ${name}`] = c; });
+
+    const inputs = folder.addFolder('Inputs ← Columns');
+    source.inputColumns.forEach((_, i) => {
+      inputs.add(source.inputColumns, String(i), columnOptions).name(`Input ${i}`);
+    });
+    const unmapped = source.inputColumns.filter(c => c < 0).length;
+    if (unmapped) {
+      inputs.add({ note: `${unmapped} input${unmapped > 1 ? 's' : ''} read 0` }, 'note').name('Unmapped').disable();
+    }
+    inputs.close();
+
+    const columns = folder.addFolder('Columns');
+    source.columns.forEach((name, c) => {
+      const cf = columns.addFolder(name);
+      cf.add({ range: `${source.stats[c].min.toPrecision(4)} … ${source.stats[c].max.toPrecision(4)}` }, 'range')
+        .name('Range').disable();
+      cf.add(source.normalization, String(c), labeledOptions(NORMALIZATIONS)).name('Normalize');
+      cf.add({
+        get target() { return source.targetColumns.includes(c); },
+        set target(on) {
+          const rest = source.targetColumns.filter(t => t !== c);
+          source.targetColumns = on ? [...rest, c].sort((a, b) => a - b) : rest;
+        },
+      }, 'target').name('Target Column');
+      cf.close();
+    });
+    columns.close();
 
     folder.add({
-      reward: () => {
-        this.network.reinforce(1.0, this.learningRate);
-        this.visualizer.syncWeights();
+      get targets() { return stimulus.getTargets()?.map(v => v.toFixed(2)).join(', ') || '—'; },
+    }, 'targets').name('Targets').listen().disable();
+  }
+
+  /**
+   * Thumbnail of what the input layer sees, under the stimulus controls.
+   * Redraws every animation frame until the controls are rebuilt.
+   */
+  _buildImagePreview(folder) {
+    const stimulus = this.stimulus;
+    const { channels, height, width } = stimulus.inputShape;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    Object.assign(canvas.style, {
+      display: 'block',
+      width: '96px',
+      margin: '4px auto',
+      imageRendering: 'pixelated',
+      background: '#000',
+    });
+    folder.$children.appendChild(canvas);
+
+    const ctx = canvas.getContext('2d');
+    const pixels = ctx.createImageData(width, height);
+    const area = width * height;
+    const draw = () => {
+      if (!canvas.isConnected) return;
+      const values = stimulus.imageValues;
+      // First three maps as RGB in color mode, the first map as gray otherwise
+      const rgb = stimulus.image.color === 'rgb' && channels >= 3;
+      for (let p = 0; p < area; p++) {
+        for (let k = 0; k < 3; k++) pixels.data[p * 4 + k] = (values[(rgb ? k * area : 0) + p] ?? 0) * 255;
+        pixels.data[p * 4 + 3] = 255;
+      }
+      ctx.putImageData(pixels, 0, 0);
+      requestAnimationFrame(draw);
+    };
+    requestAnimationFrame(draw);
+    return canvas;
+  }
+
+  _buildComposerControls(folder) {
+    const stimulus = this.stimulus;
+    // Persist the edited input and preset fields across GUI rebuilds
+    if (!this._composerState) {
+      this._composerState = { input: 0, preset: 'builtin:spread', name: 'preset-1', status: '' };
+    }
+    const state = this._composerState;
+    state.input = Math.min(state.input, stimulus.inputSize - 1);
+    const refresh = () => this._rebuildStimulusControls(folder);
+
+    // Built-in presets first, then saved ones
+    const presetOptions = () => ({
+      ...Object.fromEntries(Object.entries(COMPOSER_PRESETS).map(([key, p]) => [p.label, `builtin:${key}`])),
+      ...Object.fromEntries(this.wavePresets.list().map(name => [`★ ${name}`, `saved:${name}`])),
+    });
+    const presets = folder.addFolder('Presets');
+    presets.add(state, 'preset', presetOptions()).name('Preset');
+    presets.add({
+      load: () => {
+        const split = state.preset.indexOf(':');
+        const kind = state.preset.slice(0, split);
+        const name = state.preset.slice(split + 1);
+        const size = stimulus.inputSize;
+        if (kind === 'builtin') {
+          stimulus.compositions = Array.from({ length: size }, (_, i) => COMPOSER_PRESETS[name].make(i, size));
+        } else {
+          const saved = this.wavePresets.load(name);
+          if (!saved?.length) {
+            state.status = `No preset ${name}`;
+            return;
+          }
+          // Fewer saved inputs than the layer has repeat from the first
+          stimulus.compositions = Array.from({ length: size }, (_, i) => cloneComposition(saved[i % saved.length]));
+        }
+        state.status = `Loaded ${name}`;
+        refresh();
+      },
+    }, 'load').name('⇪ Load Preset');
+    presets.add(state, 'name').name('Name');
+    presets.add({
+      save: () => {
+        const name = state.name.trim();
+        if (!name) {
+          state.status = 'Enter a name first';
+          return;
+        }
+        try {
+          this.wavePresets.save(name, stimulus.compositions.map(cloneComposition));
+          state.preset = `saved:${name}`;
+          state.status = `Saved ${name}`;
+        } catch (err) {
+          state.status = `Error: ${err.message}`;
+          return;
+        }
+        refresh();
+      },
+    }, 'save').name('💾 Save Preset');
+    presets.add({
+      remove: () => {
+        if (!state.preset.startsWith('saved:')) return;
+        const name = state.preset.slice('saved:'.length);
+        this.wavePresets.remove(name);
+        state.preset = 'builtin:spread';
+        state.status = `Deleted ${name}`;
+        refresh();
+      },
+    }, 'remove').name('✕ Delete Preset');
+    presets.add(state, 'status').name('Status').listen().disable();
+    presets.close();
+
+    folder.add(state, 'input', 0, stimulus.inputSize - 1, 1).name('Edit Input').onFinishChange(refresh);
+    const composition = stimulus.compositions[state.input];
+    folder.add({
+      copy: () => {
+        // The edited input keeps its object, which the controls below are bound to
+        stimulus.compositions = stimulus.compositions.map((c, i) => (i === state.input ? c : cloneComposition(composition)));
+        state.status = `Copied input ${state.input} to all`;
       },
-    }, 'reward').name('★  Reward  (+)');
+    }, 'copy').name('⧉ Copy to All Inputs');
+    folder.add(composition, 'crossfade', 0, 1, 0.01).name('Crossfade A → B');
+
+    for (const slot of ['a', 'b']) {
+      const source = composition[slot];
+      const sf = folder.addFolder(`Source ${slot.toUpperCase()}`);
+      sf.add(source, 'wave', labeledOptions(WAVEFORMS)).name('Wave').onChange(refresh);
+      for (const key of [...COMMON_PARAMS, ...WAVEFORMS[source.wave].params]) {
+        const spec = SOURCE_PARAM_SPECS[key];
+        sf.add(source, key, spec.min, spec.max, spec.step).name(spec.label);
+      }
+      if (slot === 'b' && composition.crossfade === 0) sf.close();
+    }
+
+    this._composerPreview = this._buildComposerPreview(folder);
+  }
+
+  /** Scrolling plot of the edited input: the mix bright, its two sources dim. */
+  _buildComposerPreview(folder) {
+    const stimulus = this.stimulus;
+    const state = this._composerState;
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    Object.assign(canvas.style, {
+      display: 'block',
+      width: '100%',
+      margin: '4px auto',
+      background: '#000',
+    });
+    folder.$children.appendChild(canvas);
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const SPAN_S = 4; // seconds ahead of the current stimulus time
+    // 0 and 1 sit 4 px inside the edges; anything outside is clipped
+    const y = v => 4 + (1 - v) * (height - 8);
+    const trace = (value, style) => {
+      ctx.strokeStyle = style;
+      ctx.beginPath();
+      for (let x = 0; x < width; x++) {
+        const v = value(stimulus.time + (x / width) * SPAN_S);
+        if (x === 0) ctx.moveTo(x, y(v));
+        else ctx.lineTo(x, y(v));
+      }
+      ctx.stroke();
+    };
+    const draw = () => {
+      if (!canvas.isConnected) return;
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = '#222';
+      ctx.fillRect(0, y(1), width, 1);
+      ctx.fillRect(0, y(0), width, 1);
+      const composition = stimulus.compositions[state.input];
+      if (composition) {
+        const x = composition.crossfade;
+        if (x > 0 && x < 1) {
+          trace(t => sourceValue(composition.a, t), 'rgba(255, 255, 255, 0.25)');
+          trace(t => sourceValue(composition.b, t), 'rgba(255, 255, 255, 0.25)');
+        }
+        trace(t => composeValue(composition, t), '#4fc3f7');
+      }
+      requestAnimationFrame(draw);
+    };
+    requestAnimationFrame(draw);
+    return canvas;
+  }
 
+  _buildMidiInputControls(folder) {
+    const midi = this.midi;
+    const stimulus = this.stimulus;
+    const settings = midi.settings;
+    const clear = () => midi.values.fill(0);
+
+    folder.add(midi, 'status').name('Ports').listen().disable();
+    folder.add(settings, 'inputMap', labeledOptions(INPUT_MAPS)).name('Read').onChange(clear);
+    folder.add(settings, 'inChannel', 0, 16, 1).name('Channel (0 = Any)').onChange(clear);
+    folder.add(settings, 'firstNote', 0, 127, 1).name('First Note').onChange(clear);
+    folder.add(settings, 'firstCC', 0, 127, 1).name('First CC').onChange(clear);
+    folder.add(midi, 'lastMessage').name('Last Message').listen().disable();
     folder.add({
-      punish: () => {
-        this.network.reinforce(-1.0, this.learningRate);
-        this.visualizer.syncWeights();
+      get latest() { return Array.from(midi.values.subarray(0, stimulus.inputSize), v => v.toFixed(2)).join(', '); },
+    }, 'latest').name('Latest').listen().disable();
+    folder.add({ info: 'Ports and learn under MIDI' }, 'info').name('Setup').disable();
+  }
+
+  /**
+   * Reinforce at the Training panel's learning rate, as Reward and Punish
+   * do. Rewards from the remote bridge come in here too. The simulation
+   * backend applies it where the network runs, so it never goes through
+   * onNetworkEdit.
+   */
+  applyReward(value) {
+    this.onReward(value, this.learningRate);
+    this.visualizer.syncWeights();
+  }
+
+  /** Show a message in the Simulation panel, e.g. why the worker was turned off. */
+  showSimulationStatus(message) {
+    this._simState.status = message;
+  }
+
+  _buildRemotePanel() {
+    const remote = this.remote;
+    const folder = this.gui.addFolder('Remote Bridge');
+    const settings = remote.settings;
+
+    folder.add(settings, 'url').name('Bridge URL');
+    folder.add({ connect: () => remote.connect() }, 'connect').name('⇄ Connect');
+    folder.add({ disconnect: () => remote.disconnect() }, 'disconnect').name('✕ Disconnect');
+    folder.add(settings, 'autoReconnect').name('Auto Reconnect');
+    folder.add(remote, 'status').name('Status').listen().disable();
+
+    const out = folder.addFolder('Output Stream');
+    out.add(settings, 'streamOutputs').name('Enabled');
+    out.add(settings, 'allActivations').name('All Layers');
+    out.add(settings, 'sendHz', 1, 60, 1).name('Rate (Hz)');
+    out.add({ get sent() { return remote.sent; } }, 'sent').name('Sent').listen().disable();
+
+    folder.add(settings, 'acceptRewards').name('Accept Rewards');
+    folder.close();
+  }
+
+  _buildMidiPanel() {
+    const midi = this.midi;
+    const settings = midi.settings;
+    const state = this._midiState;
+    const folder = this.gui.addFolder('MIDI');
+    this._midiFolder = folder;
+
+    folder.add({ open: () => midi.open() }, 'open').name('🎹 Enable Web MIDI');
+    folder.add(midi, 'status').name('Status').listen().disable();
+    const ports = kind => Object.fromEntries(midi.listPorts(kind).map(p => [p.name, p.id]));
+    const inPort = folder.add(settings, 'inputPort', ports('input')).name('Input Port')
+      .onChange(() => midi.selectPorts());
+    const outPort = folder.add(settings, 'outputPort', ports('output')).name('Output Port')
+      .onChange(() => midi.selectPorts());
+    midi.onPortsChange = () => {
+      inPort.options(ports('input'));
+      outPort.options(ports('output'));
+    };
+    folder.add(midi, 'lastMessage').name('Last Message').listen().disable();
+
+    // Learn: press the button, change any slider, toggle, dropdown or button,
+    // then move a knob or press a key
+    const learn = folder.addFolder('Learn');
+    learn.add({
+      learn: () => {
+        if (state.picking || midi.learning) {
+          state.picking = false;
+          midi.cancelLearn();
+          state.learn = 'Idle';
+        } else {
+          state.picking = true;
+          state.learn = 'Change a control to bind…';
+        }
       },
-    }, 'punish').name('✗  Punish  (−)');
+    }, 'learn').name('🎛 MIDI Learn');
+    learn.add(state, 'learn').name('Status').listen().disable();
+    const bindings = learn.addFolder('Bindings');
+    const fillBindings = () => {
+      [...bindings.controllers].forEach(c => c.destroy());
+      if (!midi.bindings.length) bindings.add({ info: 'None' }, 'info').name('Bound').disable();
+      for (const binding of midi.bindings) {
+        bindings.add({
+          remove: () => {
+            midi.unbind(binding);
+            fillBindings();
+          },
+        }, 'remove').name(`✕ ${describeMessage(binding)} → ${binding.path}`);
+      }
+    };
+    fillBindings();
+    midi.onLearn = (binding) => {
+      state.learn = `${describeMessage(binding)} → ${binding.path}`;
+      fillBindings();
+    };
+
+    const out = folder.addFolder('Output');
+    // Held notes are released before the mapping moves
+    const resetOutput = () => midi.resetOutput();
+    out.add(settings, 'output', labeledOptions(OUTPUT_MODES)).name('Send').onChange(resetOutput);
+    out.add(settings, 'outChannel', 1, 16, 1).name('Channel').onChange(resetOutput);
+    out.add(settings, 'outFirstCC', 0, 127, 1).name('First CC').onChange(resetOutput);
+    out.add(settings, 'outFirstNote', 0, 127, 1).name('First Note').onChange(resetOutput);
+    out.add(settings, 'threshold', 0.05, 1, 0.01).name('Note Threshold');
+    out.add(midi, 'sent').name('Sent').listen().disable();
+    out.close();
+
+    // Plays into the virtual port, for trying mappings and learn without a device
+    const keys = this._midiKeys;
+    const keyboard = folder.addFolder('Virtual Keyboard');
+    keyboard.add(keys, 'channel', 1, 16, 1).name('Channel');
+    keyboard.add(keys, 'note', 0, 127, 1).name('Note');
+    keyboard.add(keys, 'velocity', 1, 127, 1).name('Velocity');
+    keyboard.add({ on: () => midi.sendVirtual(noteOn(keys.channel, keys.note, keys.velocity)) }, 'on')
+      .name('▶ Note On');
+    keyboard.add({ off: () => midi.sendVirtual(noteOff(keys.channel, keys.note)) }, 'off')
+      .name('■ Note Off');
+    keyboard.add(keys, 'cc', 0, 127, 1).name('CC');
+    keyboard.add(keys, 'value', 0, 127, 1).name('CC Value')
+      .onChange(v => midi.sendVirtual(controlChange(keys.channel, keys.cc, v)));
+    keyboard.close();
+
+    folder.close();
+  }
+
+  /** While MIDI learn is picking, bind the control that just changed. */
+  _pickMidiTarget(controller) {
+    const state = this._midiState;
+    if (!state.picking) return;
+    // The MIDI panel's own controls (the Learn button included) aren't bindable
+    for (let g = controller.parent; g; g = g.parent) if (g === this._midiFolder) return;
+
+    const control = this.gui.learnable.get(controller);
+    if (!control) {
+      state.learn = 'Pick a slider, toggle, dropdown or button';
+      return;
+    }
+    // Folder titles and control name — how the binding finds it again after a rebuild
+    const path = LearnableGUI.pathOf(control);
+    state.picking = false;
+    state.learn = `Move a knob or press a key for ${path}`;
+    this.midi.learn(path);
+  }
+
+  /**
+   * Drive a bound control from MIDI. Sliders follow the CC or velocity
+   * across their range; buttons fire on a press; toggles follow a CC or flip
+   * on each note; dropdowns pick by CC or step on each note.
+   */
+  _applyMidiControl(path, { value, press, type }) {
+    const control = this.gui.find(path);
+    // Bound controls come and go with rebuilds (e.g. a stimulus mode's)
+    if (!control) return;
+    // Note-offs only matter as the end of a press
+    if (type === 'note' && !press) return;
+
+    const current = control.controller.getValue();
+    if (control.kind === 'button') {
+      if (press) this.gui.press(control);
+    } else if (control.kind === 'toggle') {
+      this.gui.set(control, type === 'cc' ? value >= 0.5 : !current);
+    } else if (control.kind === 'option') {
+      const { values } = control;
+      const index = type === 'cc'
+        ? Math.min(values.length - 1, Math.floor(value * values.length))
+        : (values.indexOf(current) + 1) % values.length;
+      this.gui.set(control, values[index]);
+    } else {
+      const { min, max, step } = control;
+      let v = min + value * (max - min);
+      if (step) v = Math.min(max, min + Math.round((v - min) / step) * step);
+      this.gui.set(control, v);
+    }
+  }
+
+  _buildTrainingPanel() {
+    // Not watched as a whole: the learning rate and rewards go with each
+    // reward, and the trainers' settings travel without the network
+    const folder = this.gui.addFolder('Training');
+
+    folder.add(this, 'learningRate', 0.001, 0.1, 0.001).name('Learning Rate');
+
+    folder.add({ reward: () => this.applyReward(1.0) }, 'reward').name('★  Reward  (+)');
+    folder.add({ punish: () => this.applyReward(-1.0) }, 'punish').name('✗  Punish  (−)');
 
     folder.add({
       reset: () => {
         this.network.configure(this._layerConfigs);
-        this.visualizer.syncWeights();
+        // Random/local masks are redrawn on reset
+        this.visualizer.rebuildConnections();
+        this.onNetworkEdit({ fresh: true });
       },
     }, 'reset').name('↺  Reset Weights');
 
+    this._buildPlasticityFolder(folder);
+    this._buildSupervisedFolder(folder);
+    this._buildAutoRewardFolder(folder);
+    this._buildHomeostasisFolder(folder);
+
     folder.open();
   }
 
+  _buildHomeostasisFolder(parent) {
+    const homeostasis = this.homeostasis;
+    const network = this.network;
+    const folder = parent.addFolder('Homeostasis');
+    this._watchTraining(folder);
+
+    folder.add(homeostasis, 'targetActivity', 0.01, 0.99, 0.01).name('Target Activity');
+    folder.add({ get activity() { return meanActivity(network); } }, 'activity')
+      .name('Mean Activity').listen().disable();
+
+    for (const [key, mechanism] of Object.entries(HOMEOSTASIS_MECHANISMS)) {
+      const mf = folder.addFolder(mechanism.label);
+      const settings = homeostasis.mechanisms[key];
+      mf.add(settings, 'enabled').name('Enabled');
+      for (const param of Object.keys(mechanism.defaults)) {
+        const spec = HOMEOSTASIS_PARAM_SPECS[param];
+        mf.add(settings, param, spec.min, spec.max, spec.step).name(spec.label);
+      }
+      mf.close();
+    }
+
+    folder.close();
+  }
+
+  _buildPlasticityFolder(parent) {
+    const network = this.network;
+    const folder = parent.addFolder('Plasticity');
+    this._watchEdits(folder);
+    const layerName = l => (l === 0 ? 'In' : l === network.numLayers - 1 ? 'Out' : `L${l}`);
+
+    network.plasticity.forEach((_, l) => {
+      const mf = folder.addFolder(`W${l}  ${layerName(l)} → ${layerName(l + 1)}`);
+
+      mf.add({ rule: network.plasticity[l].rule }, 'rule', labeledOptions(LEARNING_RULES))
+        .name('Rule')
+        .onChange(rule => {
+          network.setLearningRule(l, rule);
+          rebuildParams();
+        });
+
+      const params = mf.addFolder('Parameters');
+
+      const rebuildParams = () => {
+        [...params.controllers].forEach(c => c.destroy());
+        const p = network.plasticity[l].params;
+        for (const key of Object.keys(p)) {
+          const spec = RULE_PARAM_SPECS[key];
+          params.add(p, key, spec.min, spec.max, spec.step).name(spec.label);
+        }
+      };
+
+      rebuildParams();
+      params.open();
+      mf.close();
+    });
+
+    folder.close();
+  }
+
+  _buildAutoRewardFolder(parent) {
+    const auto = this.autoReward;
+    const folder = parent.addFolder('Auto Reward');
+    this._watchTraining(folder);
+
+    folder.add(auto, 'enabled').name('Enabled');
+    folder.add(auto, 'interval', 0.1, 10, 0.1).name('Interval (s)');
+    folder.add(auto, 'learningRate', 0.001, 0.1, 0.001).name('Learning Rate');
+    folder.add(auto, 'lastReward').name('Last Reward').listen().disable();
+
+    for (const [key, fn] of Object.entries(REWARD_FUNCTIONS)) {
+      const ff = folder.addFolder(fn.label);
+      ff.add(auto.functions[key], 'enabled').name('Enabled');
+      ff.add(auto.functions[key], 'gain', -4, 4, 0.05).name('Gain');
+
+      if (key === 'matchTarget') {
+        ff.add(auto, 'target').name('Target (0–1, …)');
+      } else if (key === 'correlation') {
+        const last = this.network.numLayers - 1;
+        ff.add(auto, 'inputIndex', 0, this.network.layerConfigs[0].size - 1, 1).name('Input #');
+        ff.add(auto, 'outputIndex', 0, this.network.layerConfigs[last].size - 1, 1).name('Output #');
+      }
+      ff.close();
+    }
+
+    folder.close();
+  }
+
+  _buildSupervisedFolder(parent) {
+    const trainer = this.trainer;
+    const folder = parent.addFolder('Supervised');
+    this._watchTraining(folder);
+
+    folder.add(trainer, 'enabled').name('Enabled');
+    folder.add(trainer, 'task', labeledOptions(TASKS)).name('Task');
+    folder.add(trainer, 'shift', 0, 31, 1).name('Input Shift');
+    folder.add(trainer, 'loss', labeledOptions(LOSSES)).name('Loss');
+    folder.add(trainer, 'optimizer', labeledOptions(OPTIMIZERS)).name('Optimizer');
+    folder.add(trainer, 'learningRate', 0.001, 0.5, 0.001).name('Learning Rate');
+    folder.add(trainer, 'lastLoss').name('Loss').listen().disable();
+
+    folder.close();
+  }
+
+  _buildSnapshotPanel() {
+    // Persist field values across GUI rebuilds
+    if (!this._snapState) {
+      this._snapState = { name: 'snapshot-1', slot: this.snapshots.list()[0] ?? '', status: '' };
+    }
+    const state = this._snapState;
+    // Not watched: only loads change the network, and onRestore reports those
+    const folder = this.gui.addFolder('Snapshots');
+
+    const setStatus = (msg) => {
+      state.status = msg;
+      statusCtrl.updateDisplay();
+    };
+
+    const restore = (data, label) => {
+      try {
+        this.onRestore(data);
+        // Keep custom activations that arrived with the snapshot
+        for (const [name, def] of Object.entries(data.customActivations ?? {})) {
+          if (!this.activationStore.has(name)) this.activationStore.save(name, def);
+        }
+        this.rebuild(this.network.layerConfigs);
+        this._snapState.status = `Loaded ${label}`;
+        this._snapStatusCtrl?.updateDisplay();
+      } catch (err) {
+        setStatus(`Error: ${err.message}`);
+      }
+    };
+
+    folder.add(state, 'name').name('Name');
+
+    folder.add({
+      save: () => {
+        const name = state.name.trim();
+        if (!name) return setStatus('Enter a name first');
+        try {
+          this.snapshots.save(name, this.network.toJSON());
+        } catch (err) {
+          return setStatus(`Error: ${err.message}`);
+        }
+        state.slot = name;
+        slotCtrl.options(this.snapshots.list()).setValue(name);
+        setStatus(`Saved ${name}`);
+      },
+    }, 'save').name('💾 Save to Slot');
+
+    const slotCtrl = folder.add(state, 'slot', this.snapshots.list()).name('Slot');
+
+    folder.add({
+      load: () => {
+        const data = state.slot && this.snapshots.load(state.slot);
+        if (!data) return setStatus('No slot selected');
+        restore(data, state.slot);
+      },
+    }, 'load').name('⇪ Load Slot');
+
+    folder.add({
+      remove: () => {
+        if (!state.slot) return;
+        this.snapshots.remove(state.slot);
+        const slots = this.snapshots.list();
+        state.slot = slots[0] ?? '';
+        slotCtrl.options(slots);
+        setStatus('Deleted');
+      },
+    }, 'remove').name('✕ Delete Slot');
+
+    folder.add({
+      download: () => downloadJSON(`${state.name.trim() || 'snapshot'}.json`, this.network.toJSON()),
+    }, 'download').name('⬇ Download File');
+
+    const fileInput = this._fileInput('snapshot', '.json,application/json', async (file) => {
+      try {
+        restore(await readJSONFile(file), file.name);
+      } catch (err) {
+        setStatus(`Error: ${err.message}`);
+      }
+    });
+    folder.add({ upload: () => fileInput.click() }, 'upload').name('⬆ Load File…');
+
+    // Pretrained MLPs from other frameworks, and the reverse
+    const modelInput = this._fileInput('model', '.json,.bin,.onnx', async (files) => {
+      try {
+        const { snapshot, name } = await importModelFiles(files);
+        restore(snapshot, name);
+      } catch (err) {
+        setStatus(`Error: ${err.message}`);
+      }
+    }, { multiple: true });
+    folder.add({ importModel: () => modelInput.click() }, 'importModel').name('⬆ Import TF.js / ONNX…');
+
+    const exportModel = (write) => {
+      try {
+        write(state.name.trim() || 'model');
+      } catch (err) {
+        setStatus(`Error: ${err.message}`);
+      }
+    };
+    folder.add({
+      exportTFJS: () => exportModel((name) => {
+        const { modelJSON, weightData, weightsFile } = exportTFJSModel(this.network, name);
+        downloadJSON('model.json', modelJSON);
+        downloadBlob(weightsFile, new Blob([weightData], { type: 'application/octet-stream' }));
+        setStatus(`Exported model.json + ${weightsFile}`);
+      }),
+    }, 'exportTFJS').name('⬇ Export TF.js');
+    folder.add({
+      exportONNX: () => exportModel((name) => {
+        downloadBlob(`${name}.onnx`, new Blob([exportONNXModel(this.network)], { type: 'application/octet-stream' }));
+        setStatus(`Exported ${name}.onnx`);
+      }),
+    }, 'exportONNX').name('⬇ Export ONNX');
+
+    const statusCtrl = folder.add(state, 'status').name('Status').disable();
+    this._snapStatusCtrl = statusCtrl;
+
+    // Stay open across the rebuild that follows a load
+    if (state.status) folder.open(); else folder.close();
+  }
+
+  // ─── Recorder panel ──────────────────────────────────────────────────────────
+
+  _buildRecorderPanel() {
+    const { recorder, player } = this;
+    if (!this._recState) this._recState = { status: '' };
+    const state = this._recState;
+    const folder = this.gui.addFolder('Recorder');
+
+    const setStatus = (msg) => { state.status = msg; };
+    // The recording being replayed, else the live buffer
+    const current = () => player.recording ?? recorder;
+
+    const replay = (recording, index) => {
+      this.onReplay(recording, index);
+      // A recording of another topology reshapes the network — refresh the layer editor
+      if (!this.network.hasTopology(this._layerConfigs)) this.rebuild(this.network.layerConfigs);
+    };
+
+    folder.add(recorder, 'enabled').name('Record');
+    folder.add(recorder, 'capacity', 240, 9600, 240).name('Buffer (ticks)');
+    folder.add({
+      get buffered() {
+        const rec = current();
+        return `${rec.length} ticks · ${(rec.length / rec.tickHz).toFixed(1)} s`;
+      },
+    }, 'buffered').name('Held').listen().disable();
+
+    // 0–1 over the held ticks; scrubbing while live pauses into replay
+    folder.add({
+      get position() { return player.active ? player.position : 1; },
+      set position(p) {
+        if (!player.active) {
+          if (current().length === 0) return;
+          replay(current(), 0);
+        }
+        player.position = p;
+      },
+    }, 'position', 0, 1, 0.001).name('Timeline').listen();
+
+    folder.add({
+      play: () => {
+        if (player.playing) {
+          player.playing = false;
+          return;
+        }
+        const rec = current();
+        if (rec.length === 0) return setStatus('Nothing recorded yet');
+        if (!player.active) replay(rec, 0);
+        else if (player.index >= rec.length - 1) player.seek(0);
+        player.playing = true;
+      },
+    }, 'play').name('▶ Play / ❚❚ Pause');
+    folder.add(player, 'speed', 0.1, 4, 0.1).name('Speed');
+    folder.add(player, 'loop').name('Loop');
+    folder.add({ live: () => replay(null) }, 'live').name('● Back to Live');
+
+    folder.add({
+      exportBinary: () => {
+        const rec = current();
+        if (rec.length === 0) return setStatus('Nothing recorded yet');
+        downloadBlob('session.nvrec', new Blob([rec.encode()], { type: 'application/octet-stream' }));
+      },
+    }, 'exportBinary').name('⬇ Export Binary');
+    folder.add({
+      exportJSON: () => {
+        const rec = current();
+        if (rec.length === 0) return setStatus('Nothing recorded yet');
+        downloadJSON('session.json', rec.toJSON());
+      },
+    }, 'exportJSON').name('⬇ Export JSON');
+
+    const fileInput = this._fileInput('recording', '.nvrec,.json', async (file) => {
+      try {
+        replay(SessionRecorder.decode(await file.arrayBuffer()), 0);
+        setStatus(`Loaded ${file.name}`);
+      } catch (err) {
+        setStatus(`Error: ${err.message}`);
+      }
+    });
+    folder.add({ upload: () => fileInput.click() }, 'upload').name('⬆ Import…');
+
+    folder.add(state, 'status').name('Status').listen().disable();
+
+    // Stay open across the rebuild that entering a recording may cause
+    if (player.active || state.status) folder.open(); else folder.close();
+  }
+
   _buildVizPanel() {
     const folder = this.gui.addFolder('Visualization');
 
@@ -158,6 +1512,25 @@ export class UIController {
     folder.close();
   }
 
+  // ─── Simulation panel ────────────────────────────────────────────────────────
+
+  _buildSimulationPanel() {
+    const folder = this.gui.addFolder('Simulation');
+    const sim = this.simulation;
+    const changed = key => () => this.onSimulationChange(key);
+
+    // listen(): the app turns the worker off itself if it fails to start
+    folder.add(sim, 'worker').name('Worker Thread').listen().onChange(worker => {
+      this._simState.status = '';
+      changed('worker')(worker);
+    });
+    folder.add(sim, 'tickHz', 1, 120, 1).name('Tick Rate (Hz)').onFinishChange(changed('tickHz'));
+    folder.add(sim, 'physicsHz', 5, 240, 5).name('Physics Rate (Hz)').onFinishChange(changed('physicsHz'));
+    folder.add(this._simState, 'status').name('Status').listen().disable();
+
+    if (this._simState.status) folder.open(); else folder.close();
+  }
+
   // ─── STL Layout panel ────────────────────────────────────────────────────────
 
   addSTLPanel(layout) {
@@ -241,6 +1614,7 @@ export class UIController {
     folder.add(layout, 'kLayer',    0,   0.2,  0.002).name('Layer Guidance');
     folder.add(layout, 'kBoundary', 0,   2,    0.02 ).name('Boundary');
     folder.add(layout, 'damping',   0.5, 0.99, 0.01 ).name('Damping');
+    folder.onChange(() => layout.syncParams());
 
     folder.add({
       reset: () => {
@@ -255,12 +1629,75 @@ export class UIController {
 
   // ─── Internal ────────────────────────────────────────────────────────────────
 
+  /**
+   * Report edits made in this folder, so an off-thread simulation picks up
+   * the mirrored network. Value controllers report when a change settles;
+   * buttons only fire onChange, with the handler itself as the value.
+   * Controls in _notEdits, such as pickers for a later Apply, are left out.
+   */
+  _watchEdits(folder) {
+    folder.onFinishChange(e => {
+      if (!this._notEdits.has(e.controller)) this.onNetworkEdit();
+    });
+    folder.onChange(e => {
+      if (typeof e.value === 'function' && !this._notEdits.has(e.controller)) this.onNetworkEdit();
+    });
+  }
+
+  /** Leave a control in a watched folder out of the network edits it reports. */
+  _notEdit(controller) {
+    this._notEdits.add(controller);
+    return controller;
+  }
+
+  /** Report settled changes in a trainer's folder; only the settings need to travel. */
+  _watchTraining(folder) {
+    folder.onFinishChange(() => this.onTrainingChange());
+  }
+
+  /**
+   * Create (or replace) a hidden file input identified by key.
+   * Replacing on each GUI rebuild keeps exactly one element per key in the DOM.
+   * With `multiple`, onFile receives the array of selected files.
+   */
+  _fileInput(key, accept, onFile, { multiple = false } = {}) {
+    if (this._fileInputs[key]) document.body.removeChild(this._fileInputs[key]);
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = multiple;
+    input.style.display = 'none';
+    document.body.appendChild(input);
+    this._fileInputs[key] = input;
+
+    input.addEventListener('change', (e) => {
+      const files = Array.from(e.target.files);
+      if (!files.length) return;
+      onFile(multiple ? files : files[0]);
+      input.value = '';
+    });
+    return input;
+  }
+
   _apply() {
     const configs = this._layerConfigs.map(l => ({ ...l }));
-    this.onReconfigure(configs);
+    try {
+      this.onReconfigure(configs, { preserveWeights: this.preserveWeights });
+      this._archStatus = '';
+    } catch (err) {
+      // e.g. a kernel larger than its input — keep the edits so they can be fixed
+      this._archStatus = err.message;
+      this.gui.destroy();
+      this.gui = new LearnableGUI({ title: 'NET·VIZ', width: 290 });
+      this._build();
+      return;
+    }
+    // Layer indices shift after inserts/removals — re-tag against the new network
+    this._layerConfigs = trackLayers(this.network.layerConfigs);
     // Rebuild the whole GUI so layer folders reflect new topology
     this.gui.destroy();
-    this.gui = new GUI({ title: 'NET·VIZ', width: 290 });
+    this.gui = new LearnableGUI({ title: 'NET·VIZ', width: 290 });
     this._build();
   }
 }
@@ -0,0 +1,82 @@
+// Seedable pseudo-random numbers. Every consumer draws from its own named
+// stream so that, for example, particles spawned at the render rate can't
+// shift the sequence the network or stimulus sees. All streams derive from
+// one session seed: the same seed plus the same reward events at the same
+// ticks reproduces a session exactly.
+
+/** 32-bit string hash (FNV-1a) — lets seeds be words as well as numbers. */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** One mulberry32 generator. */
+export class RandomStream {
+  constructor(seed = 0) {
+    this.reseed(seed);
+  }
+
+  reseed(seed) {
+    this._state = hashSeed(seed);
+  }
+
+  /** Uniform float in [0, 1). */
+  next() {
+    let t = (this._state = (this._state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Uniform float in [min, max). */
+  uniform(min, max) {
+    return min + (max - min) * this.next();
+  }
+
+  /** Uniform integer in [0, n). */
+  int(n) {
+    return (this.next() * n) | 0;
+  }
+
+  /** Standard normal sample (Box–Muller; one draw per call keeps streams simple). */
+  gaussian() {
+    const u = 1 - this.next(); // (0, 1] — log(0) is -Infinity
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.next());
+  }
+}
+
+/** Session seed plus the named streams derived from it. */
+class RandomService {
+  constructor() {
+    this._streams = new Map();
+    this.setSeed(String((Math.random() * 1e6) | 0));
+  }
+
+  /** Reset every stream to the start of the sequence for `seed`. */
+  setSeed(seed) {
+    this.seed = String(seed);
+    for (const [name, stream] of this._streams) stream.reseed(`${this.seed}:${name}`);
+  }
+
+  /**
+   * The stream for one consumer. Streams are created once and reseeded in
+   * place, so modules may hold on to them.
+   * @param {string} name
+   * @returns {RandomStream}
+   */
+  stream(name) {
+    let s = this._streams.get(name);
+    if (!s) {
+      s = new RandomStream(`${this.seed}:${name}`);
+      this._streams.set(name, s);
+    }
+    return s;
+  }
+}
+
+export const random = new RandomService();
@@ -4,13 +4,24 @@ import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { normalizeForViz } from '../network/activations.js';
+import { isFeatureMap, layerShape } from '../network/layerTypes.js';
+import { random } from '../util/random.js';
 
 // Layout constants
 const LAYER_SPACING = 4.0;
 const NODE_SPACING = 1.6;
 const NEURON_RADIUS = 0.22;
+const SHEET_NODE_SPACING = 0.8; // feature maps hold many units — pack them tighter
+const SHEET_GAP = 0.6;          // z distance between stacked feature maps…
+const SHEET_DEPTH = 1.8;        // …shrunk so a layer's stack stays this deep
+const SHEET_SHIFT = 0.35;       // diagonal x/y offset between stacked maps
 const MAX_PARTICLES = 3000;
 const PARTICLE_BASE_SPEED = 2.2; // world-units/second along a unit-length edge
+const ARC_SEGMENTS = 12;         // line segments per recurrent loop or skip arc
+const SPIKE_FLASH_DECAY = 0.7;   // per-tick fade of a neuron's flash after it spikes
+
+// Own stream: particles spawn at the render rate and mustn't perturb the network's
+const rand = random.stream('particles');
 
 // Colors (raw, pre-bloom — values >1 will bloom)
 const COLOR_BG = 0x000000;
@@ -20,10 +31,22 @@ const COLOR_POS = new THREE.Color(0.1, 0.5, 1.8);  // bright blue
 const COLOR_NEG = new THREE.Color(1.8, 0.1, 0.1);  // bright red
 const COLOR_PARTICLE = new THREE.Color(2.0, 2.0, 0.8); // warm white
 
+const NORMAL_RAMP = { dim: COLOR_NEURON_DIM, active: COLOR_NEURON_ACTIVE };
+// Lesioned neurons swap the cyan ramp for their own, so they read at a glance
+const OVERRIDE_RAMPS = {
+  silence: { dim: new THREE.Color(0.35, 0.0, 0.02), active: new THREE.Color(0.35, 0.0, 0.02) }, // dead ember
+  clamp:   { dim: new THREE.Color(0.08, 0.04, 0.0), active: new THREE.Color(2.4, 1.1, 0.0) },   // amber
+  noise:   { dim: COLOR_NEURON_DIM, active: new THREE.Color(1.5, 0.3, 2.4) },                   // violet
+};
+
 // Temp objects — reused every frame to avoid GC pressure
 const _tmpObj = new THREE.Object3D();
 const _tmpPos = new THREE.Vector3();
 const _tmpColor = new THREE.Color();
+const _tmpC1 = new THREE.Vector3();
+const _tmpC2 = new THREE.Vector3();
+const _tmpA = new THREE.Vector3();
+const _tmpB = new THREE.Vector3();
 
 export class NetworkVisualizer {
   constructor(canvas) {
@@ -35,6 +58,7 @@ export class NetworkVisualizer {
     this.neuronPositions = [];   // [layer][node] → Vector3
     this.neuronOffset = [];      // [layer] → start index into instancedMesh
     this._connectionMap = [];    // [{layer, from, to}]
+    this._arcMap = [];           // [{kind, proj, from, to}] — index into network.recurrent / network.skips
     this._particles = [];
     this._particlePool = [];
 
@@ -128,10 +152,12 @@ export class NetworkVisualizer {
 
     if (this.neuronMesh) { this.scene.remove(this.neuronMesh); this.neuronMesh.dispose(); }
     if (this.connectionLines) { this.scene.remove(this.connectionLines); this.connectionLines.geometry.dispose(); }
+    if (this.arcLines) { this.scene.remove(this.arcLines); this.arcLines.geometry.dispose(); }
 
     this._computePositions(network);
     this._buildNeurons(network);
     this._buildConnections(network);
+    this._buildArcs(network);
     this._positionCamera(network);
   }
 
@@ -146,6 +172,15 @@ export class NetworkVisualizer {
       const rows = Math.ceil(n / cols);
       const z = (l - (network.numLayers - 1) / 2) * LAYER_SPACING;
 
+      // Conv and pool layers, and whatever feeds them, are drawn as feature maps
+      const next = network.layerConfigs[l + 1];
+      if (isFeatureMap(network.layerConfigs[l]) || (next && isFeatureMap(next))) {
+        this.neuronPositions.push(_sheetPositions(layerShape(network.layerConfigs[l]), z));
+        this.neuronOffset.push(offset);
+        offset += n;
+        continue;
+      }
+
       const positions = [];
       for (let i = 0; i < n; i++) {
         const col = i % cols;
@@ -185,34 +220,52 @@ export class NetworkVisualizer {
     this.neuronMesh.instanceMatrix.needsUpdate = true;
     this.neuronMesh.instanceColor.needsUpdate = true;
     this.scene.add(this.neuronMesh);
+
+    // Spiking mode: per-neuron brightness that jumps to 1 on a spike and decays
+    this._flash = new Float32Array(total);
   }
 
-  _buildConnections(network) {
-    const totalConn = network.getTotalConnections();
-    // Two vec3 per line segment
-    const positions = new Float32Array(totalConn * 6);
-    const colors = new Float32Array(totalConn * 6);
+  /**
+   * Rebuild only the connection geometry — for mask edits (prune, regrow,
+   * connectivity changes) and added/removed skips, which leave neurons and
+   * positions untouched.
+   */
+  rebuildConnections() {
+    if (!this.network || !this.connectionLines) return;
+    this.scene.remove(this.connectionLines);
+    this.connectionLines.geometry.dispose();
+    this._buildConnections(this.network);
+    if (this.arcLines) { this.scene.remove(this.arcLines); this.arcLines.geometry.dispose(); }
+    this._buildArcs(this.network);
+    this.syncWeights();
+  }
 
+  _buildConnections(network) {
+    // Only live (unmasked) connections get a segment
     this._connectionMap = [];
-    let c = 0;
-
     for (let l = 0; l < network.numLayers - 1; l++) {
       const inN = network.layerConfigs[l].size;
       const outN = network.layerConfigs[l + 1].size;
+      const mask = network.masks[l];
+      const shown = _kernelTargets(network.layerConfigs[l + 1]);
       for (let i = 0; i < inN; i++) {
         for (let j = 0; j < outN; j++) {
-          const s = this.neuronPositions[l][i];
-          const e = this.neuronPositions[l + 1][j];
-
-          positions[c * 6 + 0] = s.x; positions[c * 6 + 1] = s.y; positions[c * 6 + 2] = s.z;
-          positions[c * 6 + 3] = e.x; positions[c * 6 + 4] = e.y; positions[c * 6 + 5] = e.z;
-
+          if (!mask[i * outN + j] || (shown && !shown.has(j))) continue;
           this._connectionMap.push({ layer: l, from: i, to: j });
-          c++;
         }
       }
     }
 
+    // Two vec3 per line segment
+    const positions = new Float32Array(this._connectionMap.length * 6);
+    const colors = new Float32Array(this._connectionMap.length * 6);
+    this._connectionMap.forEach(({ layer, from, to }, c) => {
+      const s = this.neuronPositions[layer][from];
+      const e = this.neuronPositions[layer + 1][to];
+      positions[c * 6 + 0] = s.x; positions[c * 6 + 1] = s.y; positions[c * 6 + 2] = s.z;
+      positions[c * 6 + 3] = e.x; positions[c * 6 + 4] = e.y; positions[c * 6 + 5] = e.z;
+    });
+
     const posAttr = new THREE.BufferAttribute(positions, 3);
     posAttr.setUsage(THREE.DynamicDrawUsage);
 
@@ -226,6 +279,99 @@ export class NetworkVisualizer {
     this.scene.add(this.connectionLines);
   }
 
+  /**
+   * Recurrent and skip connections are drawn as cubic Bézier arcs: recurrent
+   * ones read as "looping back", skips as bypassing the layers in between,
+   * rather than as more feedforward edges crossing the network.
+   */
+  _buildArcs(network) {
+    this._arcMap = [];
+    const add = (kind, projections) => projections.forEach((r, proj) => {
+      const fromN = network.layerConfigs[r.from].size;
+      const toN = network.layerConfigs[r.to].size;
+      for (let i = 0; i < fromN; i++) {
+        for (let j = 0; j < toN; j++) this._arcMap.push({ kind, proj, from: i, to: j });
+      }
+    });
+    add('recurrent', network.recurrent);
+    add('skip', network.skips);
+
+    const floats = this._arcMap.length * ARC_SEGMENTS * 6;
+    const posAttr = new THREE.BufferAttribute(new Float32Array(floats), 3);
+    posAttr.setUsage(THREE.DynamicDrawUsage);
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', posAttr);
+    geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(floats), 3));
+
+    const mat = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.5 });
+    this.arcLines = new THREE.LineSegments(geo, mat);
+    this.arcLines.frustumCulled = false;
+    this.scene.add(this.arcLines);
+
+    this._syncArcPositions();
+  }
+
+  /** Projection ({from, to, weights}) behind one arc. */
+  _arcProjection({ kind, proj }) {
+    return kind === 'skip' ? this.network.skips[proj] : this.network.recurrent[proj];
+  }
+
+  _arcWeight({ kind, proj, from, to }) {
+    return kind === 'skip'
+      ? this.network.getSkipWeight(proj, from, to)
+      : this.network.getRecurrentWeight(proj, from, to);
+  }
+
+  /** Bézier control points for one recurrent or skip connection. */
+  _arcControls(conn, c1, c2) {
+    const { kind, from, to } = conn;
+    const r = this._arcProjection(conn);
+    const s = this.neuronPositions[r.from][from];
+    const e = this.neuronPositions[r.to][to];
+
+    if (kind === 'skip') {
+      // Skip: dip under the bypassed layers, deeper for longer spans, so
+      // skips never share the space above the network with feedback arcs
+      const drop = Math.max(2, s.distanceTo(e) * 0.3) + (r.to - r.from - 1) * 0.5;
+      c1.set(s.x, s.y - drop, s.z + (e.z - s.z) * 0.15);
+      c2.set(e.x, e.y - drop, e.z - (e.z - s.z) * 0.15);
+    } else if (r.from !== r.to) {
+      // Feedback: lift the arc over the top of the network
+      const lift = Math.max(2, s.distanceTo(e) * 0.35);
+      c1.set(s.x, s.y + lift, s.z);
+      c2.set(e.x, e.y + lift, e.z);
+    } else if (from === to) {
+      // Self-connection: small teardrop loop above the neuron
+      c1.set(s.x - 0.5, s.y + 0.9, s.z + 0.3);
+      c2.set(s.x + 0.5, s.y + 0.9, s.z + 0.3);
+    } else {
+      // Lateral: bow out of the layer plane, opposite sides for i→j and j→i
+      const bulge = (from < to ? 1 : -1) * LAYER_SPACING * 0.3;
+      c1.set(s.x, s.y, s.z + bulge);
+      c2.set(e.x, e.y, e.z + bulge);
+    }
+    return { s, e };
+  }
+
+  _syncArcPositions() {
+    if (!this.arcLines) return;
+    const posArr = this.arcLines.geometry.attributes.position.array;
+
+    let v = 0;
+    for (let c = 0; c < this._arcMap.length; c++) {
+      const { s, e } = this._arcControls(this._arcMap[c], _tmpC1, _tmpC2);
+      _bezier(s, _tmpC1, _tmpC2, e, 0, _tmpA);
+      for (let k = 1; k <= ARC_SEGMENTS; k++) {
+        _bezier(s, _tmpC1, _tmpC2, e, k / ARC_SEGMENTS, _tmpB);
+        posArr[v++] = _tmpA.x; posArr[v++] = _tmpA.y; posArr[v++] = _tmpA.z;
+        posArr[v++] = _tmpB.x; posArr[v++] = _tmpB.y; posArr[v++] = _tmpB.z;
+        _tmpA.copy(_tmpB);
+      }
+    }
+    this.arcLines.geometry.attributes.position.needsUpdate = true;
+  }
+
   // ─── STL mesh overlay ────────────────────────────────────────────────────────
 
   showSTLMesh(geometry) {
@@ -298,6 +444,8 @@ export class NetworkVisualizer {
       posArr[c * 6 + 3] = e.x; posArr[c * 6 + 4] = e.y; posArr[c * 6 + 5] = e.z;
     }
     this.connectionLines.geometry.attributes.position.needsUpdate = true;
+
+    this._syncArcPositions();
   }
 
   _positionCamera(network) {
@@ -313,17 +461,32 @@ export class NetworkVisualizer {
     if (!this.network || !this.neuronMesh?.instanceColor) return;
     const network = this.network;
     const colArr = this.neuronMesh.instanceColor.array;
+    const spiking = network.mode === 'spiking';
+    const flash = this._flash;
+
+    // Flat neuron index → override ramp
+    const offsets = [];
+    let total = 0;
+    for (const l of network.layerConfigs) { offsets.push(total); total += l.size; }
+    const ramps = new Map(network.overrides.map(o => [offsets[o.layer] + o.index, OVERRIDE_RAMPS[o.type]]));
 
     let base = 0;
     for (let l = 0; l < network.numLayers; l++) {
       const acts = network.activations[l];
       const actName = network.layerConfigs[l].activation;
       for (let i = 0; i < acts.length; i++) {
-        const norm = normalizeForViz(acts[i], actName);
+        let norm;
+        if (spiking) {
+          flash[base] = acts[i] > 0 ? 1 : flash[base] * SPIKE_FLASH_DECAY;
+          norm = flash[base];
+        } else {
+          norm = normalizeForViz(acts[i], actName);
+        }
         // Lerp from dim base to overbright cyan — bloom amplifies the glow
-        const r = COLOR_NEURON_DIM.r + (COLOR_NEURON_ACTIVE.r - COLOR_NEURON_DIM.r) * norm;
-        const g = COLOR_NEURON_DIM.g + (COLOR_NEURON_ACTIVE.g - COLOR_NEURON_DIM.g) * norm;
-        const b = COLOR_NEURON_DIM.b + (COLOR_NEURON_ACTIVE.b - COLOR_NEURON_DIM.b) * norm;
+        const { dim, active } = ramps.get(base) ?? NORMAL_RAMP;
+        const r = dim.r + (active.r - dim.r) * norm;
+        const g = dim.g + (active.g - dim.g) * norm;
+        const b = dim.b + (active.b - dim.b) * norm;
         colArr[base * 3]     = r;
         colArr[base * 3 + 1] = g;
         colArr[base * 3 + 2] = b;
@@ -340,15 +503,7 @@ export class NetworkVisualizer {
 
     for (let c = 0; c < this._connectionMap.length; c++) {
       const { layer, from, to } = this._connectionMap[c];
-      const w = network.getWeight(layer, from, to);
-      const intensity = Math.tanh(Math.abs(w) * 1.8); // compress to 0-1
-
-      let r, g, b;
-      if (w >= 0) {
-        r = COLOR_POS.r * intensity; g = COLOR_POS.g * intensity; b = COLOR_POS.b * intensity;
-      } else {
-        r = COLOR_NEG.r * intensity; g = COLOR_NEG.g * intensity; b = COLOR_NEG.b * intensity;
-      }
+      const { r, g, b } = _weightColor(network.getWeight(layer, from, to));
 
       // Both endpoints same color
       const vi = c * 6;
@@ -356,6 +511,18 @@ export class NetworkVisualizer {
       colArr[vi + 3] = r; colArr[vi + 4] = g; colArr[vi + 5] = b;
     }
     this.connectionLines.geometry.attributes.color.needsUpdate = true;
+
+    if (this.arcLines) {
+      const arcArr = this.arcLines.geometry.attributes.color.array;
+      let v = 0;
+      for (let c = 0; c < this._arcMap.length; c++) {
+        const { r, g, b } = _weightColor(this._arcWeight(this._arcMap[c]));
+        for (let k = 0; k < ARC_SEGMENTS * 2; k++) {
+          arcArr[v++] = r; arcArr[v++] = g; arcArr[v++] = b;
+        }
+      }
+      this.arcLines.geometry.attributes.color.needsUpdate = true;
+    }
   }
 
   // ─── Particle system ─────────────────────────────────────────────────────────
@@ -363,31 +530,74 @@ export class NetworkVisualizer {
   triggerSignalFlow() {
     if (!this.network || !this.showParticles) return;
     const network = this.network;
+    const spiking = network.mode === 'spiking';
 
     for (let c = 0; c < this._connectionMap.length; c++) {
       if (this._particles.length >= MAX_PARTICLES - 3) break;
 
       const { layer, from, to } = this._connectionMap[c];
       const w = network.getWeight(layer, from, to);
-      const preAct = normalizeForViz(network.activations[layer][from], network.layerConfigs[layer].activation);
-      const postAct = normalizeForViz(network.activations[layer + 1][to], network.layerConfigs[layer + 1].activation);
-
-      const activity = preAct * postAct * Math.abs(w);
+      const activity = this._signalActivity(
+        layer, network.activations[layer][from], layer + 1, network.activations[layer + 1][to], w);
       if (activity < 0.04) continue;
 
-      // Spawn 1–3 particles staggered in time
-      const count = Math.ceil(activity * 2.5);
+      // Spawn 1–3 particles staggered in time — a spike is a single event
+      const count = spiking ? 1 : Math.ceil(activity * 2.5);
       for (let p = 0; p < count; p++) {
         const particle = this._particlePool.pop() ?? {};
         particle.start = this.neuronPositions[layer][from];
         particle.end   = this.neuronPositions[layer + 1][to];
-        particle.t     = -(Math.random() * 0.4); // stagger start
+        particle.t     = spiking ? 0 : -rand.uniform(0, 0.4); // stagger start
         const dist = particle.start.distanceTo(particle.end);
         particle.speed  = PARTICLE_BASE_SPEED / Math.max(0.1, dist);
         particle.weight = w;
+        particle.curved = false;
         this._particles.push(particle);
       }
     }
+
+    // Recurrent arcs carry the previous tick's activity of their source,
+    // skip arcs the current one
+    for (let c = 0; c < this._arcMap.length; c++) {
+      if (this._particles.length >= MAX_PARTICLES - 3) break;
+
+      const conn = this._arcMap[c];
+      const proj = this._arcProjection(conn);
+      const w = this._arcWeight(conn);
+      const pre = conn.kind === 'skip' ? network.activations : network.prevActivations;
+      const activity = this._signalActivity(
+        proj.from, pre[proj.from][conn.from], proj.to, network.activations[proj.to][conn.to], w);
+      if (activity < 0.04) continue;
+
+      const count = spiking ? 1 : Math.ceil(activity * 2.5);
+      for (let p = 0; p < count; p++) {
+        const particle = this._particlePool.pop() ?? {};
+        particle.c1 = particle.c1 ?? new THREE.Vector3();
+        particle.c2 = particle.c2 ?? new THREE.Vector3();
+        const { s, e } = this._arcControls(conn, particle.c1, particle.c2);
+        particle.start = s;
+        particle.end   = e;
+        particle.t     = spiking ? 0 : -rand.uniform(0, 0.4);
+        // Control polygon length over-estimates the arc; 0.75 is close enough
+        const len = (s.distanceTo(particle.c1) + particle.c1.distanceTo(particle.c2) + particle.c2.distanceTo(e)) * 0.75;
+        particle.speed  = PARTICLE_BASE_SPEED / Math.max(0.1, len);
+        particle.weight = w;
+        particle.curved = true;
+        this._particles.push(particle);
+      }
+    }
+  }
+
+  /**
+   * How strongly a connection should emit particles this tick. Rate mode uses
+   * the co-activity heuristic; spiking mode fires only on a real presynaptic spike.
+   */
+  _signalActivity(preLayer, preValue, postLayer, postValue, w) {
+    if (this.network.mode === 'spiking') return preValue > 0 ? Math.abs(w) : 0;
+    const configs = this.network.layerConfigs;
+    const preAct = normalizeForViz(preValue, configs[preLayer].activation);
+    const postAct = normalizeForViz(postValue, configs[postLayer].activation);
+    return preAct * postAct * Math.abs(w);
   }
 
   _updateParticles(dt) {
@@ -404,7 +614,11 @@ export class NetworkVisualizer {
       }
 
       const t = Math.max(0, p.t);
-      _tmpPos.lerpVectors(p.start, p.end, t);
+      if (p.curved) {
+        _bezier(p.start, p.c1, p.c2, p.end, t, _tmpPos);
+      } else {
+        _tmpPos.lerpVectors(p.start, p.end, t);
+      }
 
       // Scale: small at ends, full in middle
       const scale = Math.sin(t * Math.PI) * 0.8 + 0.2;
@@ -458,3 +672,57 @@ export class NetworkVisualizer {
     this.camera.updateProjectionMatrix();
   }
 }
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * A layer's feature maps as square-spaced sheets, one per channel, stacked
+ * along z around the layer's plane and shifted diagonally so each stays visible.
+ */
+function _sheetPositions({ channels, height, width }, z) {
+  const gap = channels > 1 ? Math.min(SHEET_GAP, SHEET_DEPTH / (channels - 1)) : 0;
+  const positions = [];
+  for (let c = 0; c < channels; c++) {
+    const shift = c - (channels - 1) / 2;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        positions.push(new THREE.Vector3(
+          (x - (width - 1) / 2) * SHEET_NODE_SPACING + shift * SHEET_SHIFT,
+          ((height - 1) / 2 - y) * SHEET_NODE_SPACING + shift * SHEET_SHIFT,
+          z + shift * gap,
+        ));
+      }
+    }
+  }
+  return positions;
+}
+
+/**
+ * Units of a convolution layer whose incoming connections are drawn: the
+ * centre of each map. Every position shares its channel's kernel, so that
+ * one fan shows all of the layer's distinct weights. Null means draw all.
+ */
+function _kernelTargets(cfg) {
+  if (cfg.type !== 'conv') return null;
+  const { channels, height, width } = cfg;
+  const centre = Math.floor(height / 2) * width + Math.floor(width / 2);
+  return new Set(Array.from({ length: channels }, (_, c) => c * height * width + centre));
+}
+
+/** Line color for a weight: blue positive, red negative, brightness ∝ |w|. */
+function _weightColor(w) {
+  const intensity = Math.tanh(Math.abs(w) * 1.8); // compress to 0-1
+  const base = w >= 0 ? COLOR_POS : COLOR_NEG;
+  return _tmpColor.setRGB(base.r * intensity, base.g * intensity, base.b * intensity);
+}
+
+/** Cubic Bézier point at t, written into out. */
+function _bezier(s, c1, c2, e, t, out) {
+  const u = 1 - t;
+  const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+  return out.set(
+    a * s.x + b * c1.x + c * c2.x + d * e.x,
+    a * s.y + b * c1.y + c * c2.y + d * e.y,
+    a * s.z + b * c1.z + c * c2.z + d * e.z,
+  );
+}
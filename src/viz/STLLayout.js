@@ -1,11 +1,14 @@
 import * as THREE from 'three';
 import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { random } from '../util/random.js';
 
 const GRID_SIZE  = 32;
 const SUB_STEPS  = 3;
 const FIXED_DT   = 1 / (60 * SUB_STEPS);
 const MIN_DIST_SQ = 0.09; // (0.3 units)²
 
+const rand = random.stream('layout');
+
 // Temp vector — reused in _subStep to avoid GC pressure
 const _d = new THREE.Vector3();
 
@@ -24,13 +27,16 @@ export class STLLayout {
 
     // Internal state
     this._voxels      = null;    // Uint8Array [GRID^3]
-    this._insideCache = [];      // [{ix,iy,iz}] shuffled inside cells
+    this._insideCells = [];      // [{ix,iy,iz}] inside cells in scan order
+    this._insideCache = [];      // same cells, shuffled per initNeurons
     this._bounds      = null;    // {min, max, size} world-space
     this._neurons     = [];      // sim particle state
     this._layerTargets = [];     // Vector3[] per layer
     this._positions   = [];      // Vector3[layer][node] — output
 
     this._rafId   = null;
+    this._remote  = false;       // physics running on `runner`
+    this.runner   = null;        // optional off-thread physics, see Simulation.js
     this.isLoaded = false;
     this.energy   = 0;           // mean kinetic energy (convergence indicator)
   }
@@ -74,7 +80,8 @@ export class STLLayout {
 
   /** Place neurons inside the voxel volume. Call after loadFile resolves. */
   initNeurons(network) {
-    if (!this.isLoaded || this._insideCache.length === 0) return;
+    if (!this.isLoaded || this._insideCells.length === 0) return;
+    this._shuffleInsideCache();
 
     const { min, size } = this._bounds;
     const numLayers     = network.numLayers;
@@ -108,9 +115,9 @@ export class STLLayout {
           pos:   p.clone(),
           prev:  p.clone(),
           vel:   new THREE.Vector3(
-            (Math.random() - 0.5) * 0.1,
-            (Math.random() - 0.5) * 0.1,
-            (Math.random() - 0.5) * 0.1,
+            rand.uniform(-0.05, 0.05),
+            rand.uniform(-0.05, 0.05),
+            rand.uniform(-0.05, 0.05),
           ),
           force: new THREE.Vector3(),
           layer: l,
@@ -119,10 +126,20 @@ export class STLLayout {
       }
       this._positions.push(pos);
     }
+
+    // An off-thread sim is still stepping the old neuron set
+    if (this._remote) this.runner.startLayout(this);
   }
 
+  get isRunning() { return this._rafId !== null || this._remote; }
+
   start() {
-    if (this._rafId !== null) return;
+    if (this.isRunning) return;
+    if (this.runner) {
+      this._remote = true;
+      this.runner.startLayout(this);
+      return;
+    }
     const loop = () => {
       this._rafId = requestAnimationFrame(loop);
       this._step();
@@ -131,6 +148,10 @@ export class STLLayout {
   }
 
   stop() {
+    if (this._remote) {
+      this._remote = false;
+      this.runner.stopLayout();
+    }
     if (this._rafId !== null) {
       cancelAnimationFrame(this._rafId);
       this._rafId = null;
@@ -139,12 +160,96 @@ export class STLLayout {
 
   getPositions() { return this._positions; }
 
+  /** Force-sim tuning — the GUI-exposed params. */
+  params() {
+    const { kRepel, kLayer, kBoundary, damping } = this;
+    return { kRepel, kLayer, kBoundary, damping };
+  }
+
+  /** Forward param edits to an off-thread runner; the local sim reads them directly. */
+  syncParams() {
+    if (this._remote) this.runner.setLayoutParams(this.params());
+  }
+
+  // ─── Off-thread physics ─────────────────────────────────────────────────────
+
+  /** Everything _step() needs, as structured-cloneable data. */
+  exportState() {
+    const N      = this._neurons.length;
+    const pos    = new Float32Array(N * 3);
+    const vel    = new Float32Array(N * 3);
+    const layers = new Uint16Array(N);
+    this._neurons.forEach((n, i) => {
+      n.pos.toArray(pos, i * 3);
+      n.vel.toArray(vel, i * 3);
+      layers[i] = n.layer;
+    });
+    return {
+      voxels:       this._voxels,
+      bounds:       { min: this._bounds.min.toArray(), max: this._bounds.max.toArray(), size: this._bounds.size.toArray() },
+      layerTargets: this._layerTargets.map(t => t.toArray()),
+      layerSizes:   this._positions.map(p => p.length),
+      pos, vel, layers,
+      params:       this.params(),
+    };
+  }
+
+  /** Rebuild physics state from exportState() — used by the simulation worker. */
+  importState(state) {
+    this._voxels = state.voxels;
+    this._bounds = {
+      min:  new THREE.Vector3().fromArray(state.bounds.min),
+      max:  new THREE.Vector3().fromArray(state.bounds.max),
+      size: new THREE.Vector3().fromArray(state.bounds.size),
+    };
+    this._layerTargets = state.layerTargets.map(t => new THREE.Vector3().fromArray(t));
+    this._positions = state.layerSizes.map(() => []);
+    this._neurons = [];
+    for (let i = 0; i < state.layers.length; i++) {
+      const layer = state.layers[i];
+      const p = new THREE.Vector3().fromArray(state.pos, i * 3);
+      this._neurons.push({
+        pos:   p,
+        prev:  p.clone(),
+        vel:   new THREE.Vector3().fromArray(state.vel, i * 3),
+        force: new THREE.Vector3(),
+        layer,
+        index: this._positions[layer].length,
+      });
+      this._positions[layer].push(p.clone());
+    }
+    Object.assign(this, state.params);
+    this.isLoaded = true;
+  }
+
+  /** Neuron positions as a flat xyz array, in _neurons order. */
+  packPositions() {
+    const out = new Float32Array(this._neurons.length * 3);
+    this._neurons.forEach((n, i) => n.pos.toArray(out, i * 3));
+    return out;
+  }
+
+  /** Take positions computed off-thread. Ignores results for a stale neuron set. */
+  applyPositions(flat, energy) {
+    if (!this._remote || flat.length !== this._neurons.length * 3) return;
+    let n = 0;
+    for (let l = 0; l < this._positions.length; l++) {
+      for (let i = 0; i < this._positions[l].length; i++) {
+        this._neurons[n].pos.fromArray(flat, n * 3);
+        this._positions[l][i].copy(this._neurons[n].pos);
+        n++;
+      }
+    }
+    this.energy = energy;
+    if (this.onTick) this.onTick(this._positions);
+  }
+
   // ─── Voxelization (32³ scanline approach) ───────────────────────────────────
 
   async _voxelize(geo) {
     const G = GRID_SIZE;
     this._voxels      = new Uint8Array(G * G * G);
-    this._insideCache = [];
+    this._insideCells = [];
 
     const { min, size } = this._bounds;
     const posAttr   = geo.getAttribute('position');
@@ -208,25 +313,30 @@ export class STLLayout {
       }
     }
 
-    // Build shuffled inside-cell cache for fast "find inside point near target"
+    // Inside-cell list for fast "find inside point near target"
     for (let ix = 0; ix < G; ix++) {
       for (let iy2 = 0; iy2 < G; iy2++) {
         for (let iz2 = 0; iz2 < G; iz2++) {
           if (this._voxels[ix * G * G + iy2 * G + iz2]) {
-            this._insideCache.push({ ix, iy: iy2, iz: iz2 });
+            this._insideCells.push({ ix, iy: iy2, iz: iz2 });
           }
         }
       }
     }
+
+    if (this.onProgress) this.onProgress(1, 'Ready');
+  }
+
+  /** Shuffle from scan order each time, so a reseeded layout stream reproduces the placement. */
+  _shuffleInsideCache() {
+    this._insideCache = this._insideCells.slice();
     // Fisher-Yates shuffle
     for (let i = this._insideCache.length - 1; i > 0; i--) {
-      const j = (Math.random() * (i + 1)) | 0;
+      const j = rand.int(i + 1);
       const t = this._insideCache[i];
       this._insideCache[i] = this._insideCache[j];
       this._insideCache[j] = t;
     }
-
-    if (this.onProgress) this.onProgress(1, 'Ready');
   }
 
   _isInside(pos) {
@@ -255,9 +365,9 @@ export class STLLayout {
 
     for (let i = 0; i < maxTries; i++) {
       const p = new THREE.Vector3(
-        target.x + (Math.random() - 0.5) * spread,
-        target.y + (Math.random() - 0.5) * spread,
-        target.z + (Math.random() - 0.5) * spread,
+        target.x + rand.uniform(-0.5, 0.5) * spread,
+        target.y + rand.uniform(-0.5, 0.5) * spread,
+        target.z + rand.uniform(-0.5, 0.5) * spread,
       );
       if (this._isInside(p)) return p;
     }
@@ -266,7 +376,7 @@ export class STLLayout {
     let best = null, bestDist = Infinity;
     const sample = Math.min(60, this._insideCache.length);
     for (let i = 0; i < sample; i++) {
-      const c = this._insideCache[(Math.random() * this._insideCache.length) | 0];
+      const c = this._insideCache[rand.int(this._insideCache.length)];
       const p = this._cellToWorld(c.ix, c.iy, c.iz);
       const d = p.distanceToSquared(target);
       if (d < bestDist) { bestDist = d; best = p; }